@@ -0,0 +1,133 @@
+const sigUtil = require("eth-sig-util");
+
+const { PrivateKeySigner } = require("../private/Signer");
+const { managerDomain, buildTypedData } = require("../common/eip712");
+const { DaisyValidationError } = require("../common/errors");
+const { setupMockAPI } = require("./utils");
+
+describe("Agreements", () => {
+  const PRIVATE_KEY = Buffer.from("22".repeat(32), "hex");
+  const OTHER_KEY = Buffer.from("33".repeat(32), "hex");
+  const SUBSCRIBER = sigUtil.recoverPersonalSignature({
+    data: "0x00",
+    sig: sigUtil.personalSign(PRIVATE_KEY, { data: "0x00" }),
+  });
+  const DOMAIN = { version: "2", chainId: 4 };
+
+  function setup() {
+    const { api, daisy, manager, plans } = setupMockAPI(
+      {
+        managers: [
+          {
+            identifier: "sub",
+            plans: [
+              { name: "Monthly", price: "100" },
+              { name: "Yearly", price: "1000", periodUnit: "YEAR" },
+            ],
+          },
+        ],
+      },
+      { manager: { domain: DOMAIN } }
+    );
+    const [monthly, yearly] = plans;
+
+    const sign = (
+      plan,
+      { key = PRIVATE_KEY, expiresIn = 600, ...terms } = {}
+    ) => {
+      const agreement = {
+        subscription: {
+          subscriber: SUBSCRIBER,
+          token: plan.tokenAddress,
+          price: plan.price,
+          periodUnit: plan.periodUnit,
+          periods: plan.periods,
+          maxExecutions: "0",
+          plan: plan.onChainId,
+          ...terms,
+        },
+        previousSubscriptionId: `0x${"00".repeat(32)}`,
+        credits: "0",
+        nonce: `0x${"11".repeat(32)}`,
+        signatureExpiresAt: Math.floor(Date.now() / 1000) + expiresIn,
+      };
+      return new PrivateKeySigner(key)
+        .signTypedData(
+          buildTypedData(
+            managerDomain(manager, DOMAIN),
+            "CreateSubscription",
+            agreement
+          )
+        )
+        .then(signature => ({ agreement, signature }));
+    };
+    return { api, daisy, monthly, yearly, sign };
+  }
+
+  test("Accept agreements signed by the subscriber", async () => {
+    const { daisy, monthly, sign } = setup();
+
+    const signed = await sign(monthly);
+    await expect(daisy.verifyAgreement(signed)).resolves.toEqual({
+      valid: true,
+      signer: SUBSCRIBER.toLowerCase(),
+      plan: monthly,
+      problems: [],
+    });
+    await expect(
+      daisy.verifyAgreement({ ...signed, plan: monthly })
+    ).resolves.toHaveProperty("valid", true);
+
+    expect(() => daisy.verifyAgreement({ agreement: {} })).toThrow(
+      DaisyValidationError
+    );
+  });
+
+  test("Report every problem", async () => {
+    const { daisy, monthly, yearly, sign } = setup();
+
+    // Signed by someone else, expired and for another plan.
+    const signed = await sign(monthly, { key: OTHER_KEY, expiresIn: -60 });
+    const result = await daisy.verifyAgreement({ ...signed, plan: yearly });
+    expect(result.valid).toBe(false);
+    expect(result.signer).not.toBe(SUBSCRIBER.toLowerCase());
+    expect(result.problems).toEqual([
+      expect.objectContaining({ code: "SIGNER_MISMATCH" }),
+      expect.objectContaining({ code: "SIGNATURE_EXPIRED" }),
+      expect.objectContaining({ code: "PLAN_MISMATCH", field: "plan" }),
+      {
+        code: "PLAN_MISMATCH",
+        field: "price",
+        message: "Agreement price is 100, plan has 1000.",
+      },
+      expect.objectContaining({ code: "PLAN_MISMATCH", field: "periodUnit" }),
+    ]);
+
+    // Terms changed after signing.
+    const tampered = await sign(monthly);
+    tampered.agreement.subscription.price = "1";
+    const { problems } = await daisy.verifyAgreement(tampered);
+    expect(problems.map(p => p.code)).toEqual([
+      "SIGNER_MISMATCH",
+      "PLAN_MISMATCH",
+    ]);
+
+    const unknown = await sign(monthly, { plan: "unknown" });
+    await expect(daisy.verifyAgreement(unknown)).resolves.toMatchObject({
+      valid: false,
+      plan: null,
+      problems: [{ code: "PLAN_NOT_FOUND" }],
+    });
+
+    await expect(
+      daisy.verifyAgreement({ agreement: {}, signature: "0x00" })
+    ).resolves.toMatchObject({
+      problems: [{ code: "INVALID_AGREEMENT" }],
+    });
+    await expect(
+      daisy.verifyAgreement({ ...(await sign(monthly)), signature: "0x00" })
+    ).resolves.toMatchObject({
+      problems: [{ code: "INVALID_SIGNATURE" }],
+    });
+  });
+});
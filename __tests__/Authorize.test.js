@@ -0,0 +1,115 @@
+const sigUtil = require("eth-sig-util");
+const ethUtil = require("ethereumjs-util");
+
+const { managerDomain, buildTypedData } = require("../common/eip712");
+const { DaisyValidationError } = require("../common/errors");
+const { setupMockAPI } = require("./utils");
+
+describe("Authorize", () => {
+  const PRIVATE_KEY = Buffer.from("55".repeat(32), "hex");
+  const OTHER_KEY = Buffer.from("66".repeat(32), "hex");
+  const AUTHORIZER = ethUtil.bufferToHex(ethUtil.privateToAddress(PRIVATE_KEY));
+  const NOW = Date.UTC(2020, 0, 1);
+
+  function setup() {
+    const { daisy, manager, plans } = setupMockAPI({
+      managers: [
+        {
+          identifier: "sub",
+          authorizer: AUTHORIZER.toUpperCase().replace("0X", "0x"),
+          plans: [
+            { name: "Team", private: true },
+            { name: "Enterprise", private: true },
+          ],
+        },
+      ],
+    });
+    const agreement = (plan, expiresIn = 600) => ({
+      subscription: {
+        subscriber: `0x${"33".repeat(20)}`,
+        token: plan.tokenAddress,
+        price: plan.price,
+        periodUnit: plan.periodUnit,
+        periods: plan.periods,
+        maxExecutions: "0",
+        plan: plan.onChainId,
+      },
+      previousSubscriptionId: `0x${"00".repeat(32)}`,
+      credits: "0",
+      nonce: `0x${"11".repeat(32)}`,
+      signatureExpiresAt: String(Math.floor(NOW / 1000) + expiresIn),
+    });
+    return { daisy, manager, plans, agreement };
+  }
+
+  test("Sign only with the authorizer of the manager", async () => {
+    const { daisy, manager, plans, agreement } = setup();
+    const signed = agreement(plans[0]);
+
+    const authSignature = await daisy.authorize(
+      { privateKey: PRIVATE_KEY },
+      signed
+    );
+    expect(
+      sigUtil.recoverTypedSignature({
+        data: buildTypedData(
+          managerDomain(manager),
+          "Subscription",
+          signed.subscription
+        ),
+        sig: authSignature,
+      })
+    ).toBe(AUTHORIZER);
+    // The terms alone are enough.
+    await expect(
+      daisy.authorize({ privateKey: PRIVATE_KEY }, signed.subscription)
+    ).resolves.toBe(authSignature);
+
+    await expect(
+      daisy.authorize({ privateKey: OTHER_KEY }, signed)
+    ).rejects.toMatchObject({
+      code: "AUTHORIZER_MISMATCH",
+      expected: manager.authorizer,
+    });
+    expect(() => daisy.authorize({ privateKey: PRIVATE_KEY })).toThrow(
+      DaisyValidationError
+    );
+  });
+
+  test("Scope to plans and expiration", async () => {
+    const { daisy, plans, agreement } = setup();
+    const [team, enterprise] = plans;
+    const authorizer = { privateKey: PRIVATE_KEY };
+
+    await expect(
+      daisy.authorize(authorizer, agreement(team), { plans: [team] })
+    ).resolves.toMatch(/^0x/);
+    await expect(
+      daisy.authorize(authorizer, agreement(team), {
+        plans: [enterprise.id, team.onChainId],
+      })
+    ).resolves.toMatch(/^0x/);
+    await expect(
+      daisy.authorize(authorizer, agreement(team), { plans: [enterprise] })
+    ).rejects.toMatchObject({ code: "PLAN_NOT_AUTHORIZED" });
+
+    const opts = { maxExpiresIn: 15 * 60 * 1000, now: NOW };
+    await expect(
+      daisy.authorize(authorizer, agreement(team, 600), opts)
+    ).resolves.toMatch(/^0x/);
+    await expect(
+      daisy.authorize(authorizer, agreement(team, 3600), opts)
+    ).rejects.toMatchObject({ code: "EXPIRATION_TOO_LATE" });
+    await expect(
+      daisy.authorize(authorizer, agreement(team, -60), opts)
+    ).rejects.toMatchObject({ code: "SIGNATURE_EXPIRED" });
+    await expect(
+      daisy.authorize(authorizer, agreement(team).subscription, opts)
+    ).rejects.toThrow(DaisyValidationError);
+    await expect(
+      daisy.authorize(authorizer, agreement(team), {
+        plans: [null, team],
+      })
+    ).resolves.toMatch(/^0x/);
+  });
+});
@@ -0,0 +1,372 @@
+const { Headers } = require("node-fetch"); // eslint-disable-line no-shadow
+
+const { json } = require("./utils");
+
+const Client = require("../common/Client");
+const ServerPayments = require("../private/ServerPayments");
+const ServerSubscriptions = require("../private/ServerSubscriptions");
+const {
+  DaisyError,
+  DaisyAPIError,
+  DaisyAuthError,
+  DaisyNotFoundError,
+  DaisyRateLimitError,
+  DaisyNetworkError,
+  DaisyValidationError,
+} = require("../common/errors");
+
+// Minimal stand-in, Jest's node environment does not expose one.
+class FakeAbortController {
+  constructor() {
+    this.signal = {
+      aborted: false,
+      listeners: [],
+      addEventListener(type, listener) {
+        this.listeners.push(listener);
+      },
+    };
+  }
+
+  abort() {
+    this.signal.aborted = true;
+    this.signal.listeners.forEach(listener => listener());
+  }
+}
+
+function createInstance(fakeFetch, config = {}) {
+  return new Client(
+    {
+      baseURL: "https://sdk.test.daisypayments.com",
+      retry: { minDelay: 1, maxDelay: 50 },
+      ...config,
+    },
+    { fetch: fakeFetch, Headers, AbortController: FakeAbortController }
+  );
+}
+
+describe("Client", () => {
+  describe("Retry policy", () => {
+    test("Retry GET on retryable status codes", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockResolvedValueOnce(
+          json({ message: "Unavailable" }, { status: 503 })
+        )
+        .mockResolvedValueOnce(
+          json({ message: "Bad Gateway" }, { status: 502 })
+        )
+        .mockResolvedValueOnce(json({ data: "ok" }));
+      const client = createInstance(fakeFetch);
+
+      const { data } = await client.GET("/");
+      expect(data).toEqual({ data: "ok" });
+      expect(fakeFetch).toHaveBeenCalledTimes(3);
+    });
+
+    test("Give up after max attempts", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockImplementation(() =>
+          Promise.resolve(json({ message: "Unavailable" }, { status: 503 }))
+        );
+      const client = createInstance(fakeFetch, {
+        retry: { attempts: 2, minDelay: 1 },
+      });
+
+      await expect(client.GET("/")).rejects.toThrow("Unavailable");
+      expect(fakeFetch).toHaveBeenCalledTimes(2);
+    });
+
+    test("Do not retry client errors", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockResolvedValue(json({ message: "Not found" }, { status: 404 }));
+      const client = createInstance(fakeFetch);
+
+      await expect(client.GET("/")).rejects.toThrow("Not found");
+      expect(fakeFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("Retry network errors", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockRejectedValueOnce(new Error("ECONNRESET"))
+        .mockResolvedValueOnce(json({ data: "ok" }));
+      const client = createInstance(fakeFetch);
+
+      await expect(client.GET("/")).resolves.toHaveProperty("status", 200);
+      expect(fakeFetch).toHaveBeenCalledTimes(2);
+    });
+
+    test("Do not retry POST by default", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockResolvedValue(json({ message: "Unavailable" }, { status: 503 }));
+      const client = createInstance(fakeFetch, {
+        retry: { minDelay: 1, methods: ["get", "head", "post"] },
+      });
+
+      await expect(client.POST("/", {})).rejects.toThrow("Unavailable");
+      expect(fakeFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("Retry POST when opted-in and has an idempotency key", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockResolvedValueOnce(
+          json({ message: "Unavailable" }, { status: 503 })
+        )
+        .mockResolvedValueOnce(json({ data: "ok" }));
+      const client = createInstance(fakeFetch, {
+        retry: { minDelay: 1, methods: ["get", "head", "post"] },
+      });
+
+      await client.request({
+        method: "post",
+        url: "/",
+        data: {},
+        headers: { "Idempotency-Key": "key" },
+      });
+      expect(fakeFetch).toHaveBeenCalledTimes(2);
+    });
+
+    test("Disable retries per call", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockResolvedValue(json({ message: "Unavailable" }, { status: 503 }));
+      const client = createInstance(fakeFetch);
+
+      await expect(
+        client.request({ method: "get", url: "/", retry: false })
+      ).rejects.toThrow("Unavailable");
+      expect(fakeFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("Honor Retry-After header", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockResolvedValueOnce(
+          json(
+            { message: "Too many requests" },
+            { status: 429, headers: { "Retry-After": "0" } }
+          )
+        )
+        .mockResolvedValueOnce(json({ data: "ok" }));
+      const client = createInstance(fakeFetch);
+
+      await expect(client.GET("/")).resolves.toHaveProperty("status", 200);
+      expect(fakeFetch).toHaveBeenCalledTimes(2);
+    });
+
+    test("Do not wait for a Retry-After longer than `maxDelay`", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockResolvedValue(
+          json(
+            { message: "Too many requests" },
+            { status: 429, headers: { "Retry-After": "120" } }
+          )
+        );
+      const client = createInstance(fakeFetch);
+
+      await expect(client.GET("/")).rejects.toThrow("Too many requests");
+      expect(fakeFetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("Errors", () => {
+    test("Throw typed errors based on the status code", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockResolvedValueOnce(
+          json(
+            { message: "Subscription not found", code: "NOT_FOUND" },
+            { status: 404, headers: { "X-Request-Id": "req-1" } }
+          )
+        )
+        .mockResolvedValueOnce(json({ message: "Forbidden" }, { status: 403 }))
+        .mockResolvedValueOnce(
+          json(
+            { message: "Slow down" },
+            { status: 429, headers: { "Retry-After": "60" } }
+          )
+        );
+      const client = createInstance(fakeFetch);
+
+      const notFound = await client.GET("/subscriptions/x/").catch(e => e);
+      expect(notFound).toBeInstanceOf(DaisyNotFoundError);
+      expect(notFound).toBeInstanceOf(DaisyAPIError);
+      expect(notFound).toBeInstanceOf(DaisyError);
+      expect(notFound).toMatchObject({
+        message: "Subscription not found",
+        status: 404,
+        code: "NOT_FOUND",
+        requestId: "req-1",
+        method: "GET",
+        url: "https://sdk.test.daisypayments.com/subscriptions/x/",
+      });
+      expect(notFound).toHaveProperty("response.status", 404);
+
+      await expect(client.GET("/")).rejects.toBeInstanceOf(DaisyAuthError);
+
+      const limited = await client.GET("/").catch(e => e);
+      expect(limited).toBeInstanceOf(DaisyRateLimitError);
+      expect(limited).toHaveProperty("retryAfter", 60000);
+    });
+
+    test("Wrap network errors", async () => {
+      const cause = new Error("getaddrinfo ENOTFOUND");
+      const fakeFetch = jest.fn().mockRejectedValue(cause);
+      const client = createInstance(fakeFetch, { retry: { attempts: 1 } });
+
+      const error = await client.POST("/otp/", {}).catch(e => e);
+      expect(error).toBeInstanceOf(DaisyNetworkError);
+      expect(error).toMatchObject({
+        message: "getaddrinfo ENOTFOUND",
+        method: "POST",
+        timeout: false,
+        cause,
+      });
+      expect(error).toHaveProperty("request");
+    });
+
+    test("Validation errors are still TypeErrors", () => {
+      expect(() => Client.querystring("a=b")).toThrow(DaisyValidationError);
+      expect(() => Client.querystring("a=b")).toThrow(TypeError);
+    });
+  });
+
+  describe("Idempotency keys", () => {
+    test("Send the same idempotency key on every retry", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockResolvedValueOnce(
+          json({ message: "Unavailable" }, { status: 503 })
+        )
+        .mockResolvedValueOnce(json({ data: "ok" }));
+      const client = createInstance(fakeFetch, {
+        retry: { minDelay: 1, methods: ["get", "head", "post"] },
+      });
+
+      await client.request({
+        method: "post",
+        url: "/",
+        data: {},
+        idempotencyKey: "order-1",
+      });
+      const keys = fakeFetch.mock.calls.map(([, config]) =>
+        config.headers.get("Idempotency-Key")
+      );
+      expect(keys).toEqual(["order-1", "order-1"]);
+    });
+
+    test("Generate keys for invoices and derive them from agreements", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockImplementation(() => Promise.resolve(json({ data: {} })));
+      const withGlobals = { fetch: fakeFetch, Headers };
+      const payments = new ServerPayments({
+        manager: { identifier: "id", secretKey: "key" },
+        withGlobals,
+      });
+      const subscriptions = new ServerSubscriptions({
+        manager: { identifier: "id", secretKey: "key" },
+        withGlobals,
+      });
+
+      await payments.createInvoice({ invoicedPrice: 100 });
+      await payments.createInvoice(
+        { invoicedPrice: 100 },
+        { idempotencyKey: "a" }
+      );
+      await subscriptions.submit({
+        agreement: { nonce: "0x1" },
+        signature: "",
+      });
+
+      const [generated, given, derived] = fakeFetch.mock.calls.map(
+        ([, config]) => config.headers.get("Idempotency-Key")
+      );
+      expect(generated).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-/);
+      expect(given).toBe("a");
+      expect(derived).toBe("subscription-0x1");
+    });
+
+    test("Retry invoice creation and submissions with the same key", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockImplementation(() => Promise.resolve(json({ data: {} })));
+      const unavailable = () =>
+        fakeFetch.mockResolvedValueOnce(
+          json({ message: "Unavailable" }, { status: 503 })
+        );
+      const withGlobals = { fetch: fakeFetch, Headers };
+      const override = { retry: { minDelay: 1, maxDelay: 50 } };
+      const manager = { identifier: "id", secretKey: "key" };
+      const payments = new ServerPayments({ manager, override, withGlobals });
+      const subscriptions = new ServerSubscriptions({
+        manager,
+        override,
+        withGlobals,
+      });
+      const keys = () =>
+        fakeFetch.mock.calls.map(([, config]) => [
+          config.method,
+          config.headers.get("Idempotency-Key"),
+        ]);
+
+      unavailable();
+      await payments.createInvoice({ invoicedPrice: 100 });
+      const [[method, key], retried] = keys();
+      expect(method).toBe("post");
+      expect(key).toBeTruthy();
+      expect(retried).toEqual(["post", key]);
+
+      fakeFetch.mockClear();
+      unavailable();
+      await subscriptions.submit({
+        agreement: { nonce: "0x1" },
+        signature: "",
+      });
+      expect(keys()).toEqual([
+        ["post", "subscription-0x1"],
+        ["post", "subscription-0x1"],
+      ]);
+    });
+  });
+
+  describe("Timeout", () => {
+    function hang(url, { signal }) {
+      return new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(new Error("Aborted")));
+      });
+    }
+
+    test("Abort requests taking longer than the timeout", async () => {
+      const fakeFetch = jest.fn().mockImplementation(hang);
+      const client = createInstance(fakeFetch, {
+        timeout: 20,
+        retry: { attempts: 1 },
+      });
+
+      const error = await client.GET("/").catch(e => e);
+      expect(error).toBeInstanceOf(DaisyNetworkError);
+      expect(error).toHaveProperty("code", "ETIMEDOUT");
+      expect(error).toHaveProperty("timeout", true);
+      expect(fakeFetch.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    test("Override timeout per call and retry timed out requests", async () => {
+      const fakeFetch = jest
+        .fn()
+        .mockImplementationOnce(hang)
+        .mockResolvedValueOnce(json({ data: "ok" }));
+      const client = createInstance(fakeFetch, { timeout: 0 });
+
+      await expect(
+        client.request({ method: "get", url: "/", timeout: 20 })
+      ).resolves.toHaveProperty("status", 200);
+      expect(fakeFetch).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const sigUtil = require("eth-sig-util");
+
+const { PrivateKeySigner } = require("../private/Signer");
+const DaisySubscriptions = require("../common/DaisySubscriptions");
+const {
+  buildDomain,
+  managerDomain,
+  isLegacyDomain,
+  buildTypedData,
+} = require("../common/eip712");
+const { DaisyValidationError } = require("../common/errors");
+const { setupMockAPI } = require("./utils");
+
+describe("EIP-712", () => {
+  const CONTRACT = "0x2222222222222222222222222222222222222222";
+  const PRIVATE_KEY = Buffer.from("11".repeat(32), "hex");
+  const ACCOUNT = "0x3a3B1b31C5f8F29511b93B7C2a6A5C5D732AaA0e";
+  const MESSAGE = {
+    wallet: CONTRACT,
+    nonce: `0x${"00".repeat(32)}`,
+    signatureExpiresAt: 1,
+  };
+
+  test("Build legacy and full domains", () => {
+    const legacy = buildDomain({ verifyingContract: CONTRACT });
+    expect(legacy).toEqual({ verifyingContract: CONTRACT });
+    expect(isLegacyDomain(legacy)).toBe(true);
+    expect(buildTypedData(legacy, "SetWallet", MESSAGE).types).toHaveProperty(
+      "EIP712Domain",
+      [{ name: "verifyingContract", type: "address" }]
+    );
+
+    const domain = managerDomain(
+      { address: CONTRACT, networkId: "1" },
+      { version: 2, chainId: "4" }
+    );
+    expect(domain).toEqual({
+      name: "Daisy Subscriptions",
+      version: "2",
+      chainId: 4,
+      verifyingContract: CONTRACT,
+    });
+    expect(isLegacyDomain(domain)).toBe(false);
+    expect(buildTypedData(domain, "SetWallet", MESSAGE)).toMatchObject({
+      domain,
+      primaryType: "SetWallet",
+      message: MESSAGE,
+      types: {
+        EIP712Domain: [
+          { name: "name", type: "string" },
+          { name: "version", type: "string" },
+          { name: "chainId", type: "uint256" },
+          { name: "verifyingContract", type: "address" },
+        ],
+        SetWallet: expect.any(Array),
+      },
+    });
+
+    expect(() => buildDomain({})).toThrow(DaisyValidationError);
+    // The chain id, never the network id.
+    expect(() =>
+      managerDomain({ address: CONTRACT, networkId: 4 }, { version: "2" })
+    ).toThrow(DaisyValidationError);
+    expect(() =>
+      buildDomain({ verifyingContract: CONTRACT, version: "2" })
+    ).toThrow(DaisyValidationError);
+  });
+
+  test("Signatures are bound to the chain", async () => {
+    const domain = buildDomain({
+      verifyingContract: CONTRACT,
+      version: "2",
+      chainId: 4,
+    });
+    const signer = new PrivateKeySigner(PRIVATE_KEY);
+    const signature = await signer.signTypedData(
+      buildTypedData(domain, "SetWallet", MESSAGE)
+    );
+
+    const recover = chainId =>
+      sigUtil.recoverTypedSignature({
+        data: buildTypedData({ ...domain, chainId }, "SetWallet", MESSAGE),
+        sig: signature,
+      });
+    expect(recover(4)).toBe(await signer.getAddress());
+    expect(recover(1)).not.toBe(await signer.getAddress());
+
+    // Legacy domain.
+    await expect(
+      signer.signTypedData(
+        buildTypedData(
+          buildDomain({ verifyingContract: CONTRACT }),
+          "SetWallet",
+          MESSAGE
+        )
+      )
+    ).resolves.not.toBe(signature);
+  });
+
+  test("Sign with the manager domain", async () => {
+    const { api, create } = setupMockAPI({
+      managers: [
+        { identifier: "legacy" },
+        { identifier: "full", networkId: 4 },
+        { identifier: "server" },
+      ],
+    });
+    const sendAsync = jest.fn((payload, callback) =>
+      callback(null, {
+        result: payload.method === "eth_chainId" ? "0x4" : "0x1",
+      })
+    );
+    const web3 = {
+      currentProvider: { sendAsync },
+      utils: { randomHex: len => `0x${"1".repeat(len * 2)}` },
+    };
+    const signed = () =>
+      JSON.parse(
+        sendAsync.mock.calls[sendAsync.mock.calls.length - 1][0].params[1]
+      );
+
+    // The chain id is read with `eth_chainId` when syncing.
+    const full = create({
+      SDK: DaisySubscriptions,
+      manager: { identifier: "full", domain: { name: "Daisy", version: "2" } },
+      withGlobals: { web3 },
+    });
+    await full.sync();
+    await full.signSetWallet({ account: ACCOUNT, wallet: CONTRACT });
+    expect(signed().domain).toEqual({
+      name: "Daisy",
+      version: "2",
+      chainId: 4,
+      verifyingContract: api.db.managers[1].address,
+    });
+    expect(signed().types.EIP712Domain).toHaveLength(4);
+
+    const legacy = create({ SDK: DaisySubscriptions, withGlobals: { web3 } });
+    await legacy.sync();
+    await legacy.signSetWallet({ account: ACCOUNT, wallet: CONTRACT });
+    expect(signed().domain).toEqual({
+      verifyingContract: api.db.managers[0].address,
+    });
+    expect(legacy.getDomain()).toEqual(signed().domain);
+
+    // Without web3 the chain id must be explicit.
+    const server = create({
+      SDK: DaisySubscriptions,
+      manager: { identifier: "server", domain: { version: "2" } },
+    });
+    await server.sync();
+    expect(() => server.getDomain()).toThrow(DaisyValidationError);
+    const explicit = create({
+      SDK: DaisySubscriptions,
+      manager: { identifier: "server", domain: { version: "2", chainId: 5 } },
+    });
+    await explicit.sync();
+    expect(explicit.getDomain()).toHaveProperty("chainId", 5);
+  });
+});
@@ -0,0 +1,175 @@
+const MockDaisyAPI = require("../private/mock");
+const ServerSubscriptions = require("../private/ServerSubscriptions");
+
+describe("Entitlements", () => {
+  const ACCOUNT = "0x3a3B1b31C5f8F29511b93B7C2a6A5C5D732AaA0e";
+  const DAY = 24 * 60 * 60 * 1000;
+  const inDays = days => new Date(Date.now() + days * DAY).toISOString();
+
+  function setup(entitlements) {
+    const api = new MockDaisyAPI({
+      managers: [
+        {
+          identifier: "sub",
+          plans: [
+            {
+              name: "Gold",
+              subscriptions: [{ account: ACCOUNT, state: "ACTIVE" }],
+            },
+            {
+              name: "Silver",
+              subscriptions: [
+                {
+                  account: ACCOUNT,
+                  state: "ACTIVE_CANCELLED",
+                  nextPaymentDate: inDays(3),
+                },
+              ],
+            },
+            {
+              name: "Bronze",
+              subscriptions: [
+                {
+                  account: ACCOUNT,
+                  state: "ACTIVE_CANCELLED",
+                  nextPaymentDate: inDays(-1),
+                },
+                { account: ACCOUNT, state: "CANCELLED" },
+              ],
+            },
+            {
+              name: "Trial",
+              freeTrialPeriods: "2",
+              freeTrialPeriodsUnit: "WEEK",
+            },
+          ],
+        },
+      ],
+    });
+    const daisy = new ServerSubscriptions({
+      manager: { identifier: "sub" },
+      withGlobals: api.globals,
+      entitlements,
+    });
+    const plans = api.db.managers[0].plans.reduce(
+      (acc, plan) => ({ ...acc, [plan.name]: plan }),
+      {}
+    );
+    return { api, daisy, plans };
+  }
+
+  test("Resolve active subscriptions across plans", async () => {
+    const { daisy, plans } = setup();
+
+    const entitlements = await daisy.getEntitlements(ACCOUNT.toLowerCase());
+    expect(entitlements.map(e => e.plan.name)).toEqual(["Gold", "Silver"]);
+
+    const [gold, silver] = entitlements;
+    expect(gold).toMatchObject({
+      planId: plans.Gold.id,
+      state: "ACTIVE",
+      trial: false,
+      expiresAt: null,
+    });
+    expect(gold.renewsAt).toBeInstanceOf(Date);
+    expect(silver).toMatchObject({ state: "ACTIVE_CANCELLED", renewsAt: null });
+    expect(silver.expiresAt.toISOString()).toBe(
+      silver.subscription.nextPaymentDate
+    );
+
+    // Grace period ends at `nextPaymentDate`.
+    await expect(
+      daisy.getEntitlements(ACCOUNT, { now: Date.now() + 4 * DAY })
+    ).resolves.toHaveLength(1);
+
+    await expect(
+      daisy.hasActiveSubscription(ACCOUNT, { planId: plans.Silver.id })
+    ).resolves.toBe(true);
+    await expect(
+      daisy.hasActiveSubscription(ACCOUNT, {
+        planId: [plans.Bronze.id, plans.Trial.id],
+      })
+    ).resolves.toBe(false);
+    await expect(daisy.hasActiveSubscription("0x0")).resolves.toBe(false);
+    await expect(daisy.getEntitlements()).rejects.toThrow(TypeError);
+  });
+
+  test("Free trials", async () => {
+    const { api, daisy, plans } = setup();
+    const startedAt = new Date().toISOString();
+    api.addSubscription(plans.Trial, {
+      account: ACCOUNT,
+      state: "ACTIVE_CANCELLED",
+      startedAt,
+      nextPaymentDate: inDays(-1),
+    });
+
+    const trial = (await daisy.getEntitlements(ACCOUNT)).find(
+      e => e.planId === plans.Trial.id
+    );
+    expect(trial).toMatchObject({ trial: true, state: "ACTIVE_CANCELLED" });
+    expect(trial.trialEndsAt.getTime()).toBe(Date.parse(startedAt) + 14 * DAY);
+    expect(trial.expiresAt).toEqual(trial.trialEndsAt);
+
+    await expect(
+      daisy.hasActiveSubscription(ACCOUNT, {
+        planId: plans.Trial.id,
+        now: Date.now() + 15 * DAY,
+      })
+    ).resolves.toBe(false);
+  });
+
+  test("Cache results", async () => {
+    const { api, daisy, plans } = setup({ ttl: 1000 });
+
+    await daisy.getEntitlements(ACCOUNT);
+    const count = api.requests.length;
+    await daisy.hasActiveSubscription(ACCOUNT.toLowerCase());
+    expect(api.requests).toHaveLength(count);
+
+    api.addSubscription(plans.Bronze, { account: ACCOUNT, state: "ACTIVE" });
+    await expect(daisy.getEntitlements(ACCOUNT)).resolves.toHaveLength(2);
+    await expect(
+      daisy.getEntitlements(ACCOUNT, { fresh: true })
+    ).resolves.toHaveLength(3);
+
+    api.transition(api.db.subscriptions[0].daisyId, "CANCELLED");
+    daisy.clearEntitlements(ACCOUNT);
+    await expect(daisy.getEntitlements(ACCOUNT)).resolves.toHaveLength(2);
+
+    const uncached = setup({ ttl: 0 });
+    await uncached.daisy.getEntitlements(ACCOUNT);
+    await uncached.daisy.getEntitlements(ACCOUNT);
+    expect(uncached.api.requests).toHaveLength(4);
+  });
+
+  test("Remove expired entries and normalize the account", async () => {
+    const { api, daisy } = setup({ ttl: 1000 });
+    const OTHER = "0x1111111111111111111111111111111111111111";
+
+    await daisy.getEntitlements(ACCOUNT);
+    const listing = api.requests.find(r => r.path.includes("subscriptions"));
+    expect(listing.url).toContain(`account=${ACCOUNT.toLowerCase()}`);
+    expect([...daisy.cache.keys()]).toEqual([
+      "plans",
+      `subscriptions:${ACCOUNT.toLowerCase()}`,
+    ]);
+
+    const now = Date.now();
+    const spy = jest.spyOn(Date, "now").mockReturnValue(now + 2000);
+    await daisy.getEntitlements(OTHER);
+    spy.mockRestore();
+    expect([...daisy.cache.keys()]).toEqual([
+      "plans",
+      `subscriptions:${OTHER}`,
+    ]);
+  });
+
+  test("Do not cache failures", async () => {
+    const { api, daisy } = setup();
+    api.failNext(400);
+
+    await expect(daisy.getEntitlements(ACCOUNT)).rejects.toThrow();
+    await expect(daisy.getEntitlements(ACCOUNT)).resolves.toHaveLength(2);
+  });
+});
@@ -0,0 +1,285 @@
+const DaisyPayments = require("../common/DaisyPayments");
+const DaisySubscriptions = require("../common/DaisySubscriptions");
+const {
+  FeeStrategies,
+  getFeeData,
+  estimateFees,
+  deferPromiEvent,
+} = require("../common/fees");
+const {
+  ZERO_ADDRESS,
+  addAmounts,
+  subtractAmounts,
+  multiplyAmounts,
+  formatUnits,
+} = require("../common/helpers");
+const { DaisyValidationError } = require("../common/errors");
+const { fakeWeb3 } = require("./utils");
+
+describe("Fees", () => {
+  const FROM = "0x1111111111111111111111111111111111111111";
+  const TO = "0x2222222222222222222222222222222222222222";
+  const GWEI = 1e9;
+
+  function payments(web3, tokenAddress) {
+    return new DaisyPayments({
+      manager: { identifier: "otp", networkId: 4 },
+      withGlobals: { web3 },
+    }).with({ tokenAddress });
+  }
+
+  test("Estimate legacy and EIP-1559 fees", async () => {
+    const legacy = fakeWeb3();
+    const invoice = { invoicedPrice: String(10 ** 18), address: TO };
+
+    await expect(
+      payments(legacy.web3, ZERO_ADDRESS).estimatePay(invoice, { from: FROM })
+    ).resolves.toEqual({
+      gas: "25200",
+      gasEstimate: "21000",
+      london: false,
+      gasPrice: String(20 * GWEI),
+      baseFeePerGas: null,
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      fee: "504000000000000",
+      value: String(10 ** 18),
+      cost: "1000504000000000000",
+      costInEther: "1.000504",
+    });
+    expect(legacy.web3.eth.estimateGas).toHaveBeenCalledWith({
+      from: FROM,
+      to: TO,
+      value: String(10 ** 18),
+    });
+
+    const london = fakeWeb3({ baseFeePerGas: 15 * GWEI });
+    const estimate = await payments(london.web3, TO).estimatePay(
+      invoice,
+      { from: FROM },
+      { multiplier: 2 }
+    );
+    expect(london.currency.methods.transfer).toHaveBeenCalledWith(
+      TO,
+      String(10 ** 18)
+    );
+    expect(estimate).toMatchObject({
+      gas: "100000",
+      london: true,
+      gasPrice: null,
+      baseFeePerGas: String(15 * GWEI),
+      maxPriorityFeePerGas: String(5 * GWEI),
+      maxFeePerGas: String(35 * GWEI),
+      value: "0",
+      costInEther: "0.0035",
+    });
+
+    expect(() =>
+      estimateFees(
+        london.web3,
+        london.method,
+        { from: FROM },
+        { multiplier: 0.5 }
+      )
+    ).toThrow(DaisyValidationError);
+    expect(() => estimateFees(london.web3, london.method, {})).toThrow(
+      DaisyValidationError
+    );
+  });
+
+  test("Fill fees when sending", async () => {
+    const { web3, method, currency } = fakeWeb3({ baseFeePerGas: 15 * GWEI });
+    const subscriptions = new DaisySubscriptions({
+      manager: { identifier: "sub", address: TO, networkId: 4 },
+      withGlobals: { web3 },
+    }).with({ tokenAddress: TO });
+
+    await subscriptions.approve("100", { from: FROM });
+    expect(method.send).toHaveBeenLastCalledWith({ from: FROM });
+
+    const promiEvent = subscriptions.approve(
+      "100",
+      { from: FROM, gas: 60000 },
+      { estimate: true }
+    );
+    const hash = new Promise(resolve =>
+      promiEvent.on("transactionHash", resolve)
+    );
+    await expect(promiEvent).resolves.toEqual({ transactionHash: "0xa" });
+    expect(currency.methods.approve).toHaveBeenCalledWith(TO, "100");
+    expect(method.send).toHaveBeenLastCalledWith({
+      from: FROM,
+      gas: 60000,
+      maxFeePerGas: String(35 * GWEI),
+      maxPriorityFeePerGas: String(5 * GWEI),
+    });
+
+    // Events of the transaction are forwarded.
+    method.send.mock.results[1].value.emit("transactionHash", "0xa");
+    await expect(hash).resolves.toBe("0xa");
+
+    // The caller's gas price wins.
+    await subscriptions.approve(
+      "100",
+      { from: FROM, gasPrice: "1" },
+      { estimate: { multiplier: 1 } }
+    );
+    expect(method.send).toHaveBeenLastCalledWith({
+      from: FROM,
+      gas: "50000",
+      gasPrice: "1",
+    });
+  });
+
+  test("Fee strategies", async () => {
+    const legacy = fakeWeb3();
+    const london = fakeWeb3({ baseFeePerGas: `0x${(16 * GWEI).toString(16)}` });
+
+    await expect(getFeeData(london.web3)).resolves.toEqual({
+      london: true,
+      gasPrice: String(20 * GWEI),
+      baseFeePerGas: String(16 * GWEI),
+      maxPriorityFeePerGas: String(4 * GWEI),
+    });
+    london.web3.eth.getGasPrice.mockResolvedValueOnce(String(16 * GWEI));
+    await expect(getFeeData(london.web3)).resolves.toHaveProperty(
+      "maxPriorityFeePerGas",
+      String(GWEI)
+    );
+
+    // Beyond `Number.MAX_SAFE_INTEGER` without rounding.
+    const huge = fakeWeb3({ baseFeePerGas: "9007199254740993" });
+    huge.web3.eth.getGasPrice.mockResolvedValueOnce("9007199254740995");
+    expect(FeeStrategies.standard(await getFeeData(huge.web3))).toEqual({
+      maxFeePerGas: "18014399509481986",
+      maxPriorityFeePerGas: String(GWEI),
+    });
+    expect(
+      FeeStrategies.slow({ london: false, gasPrice: "9007199254740993" })
+    ).toEqual({ gasPrice: "8106479329266894" });
+
+    const feeData = await getFeeData(london.web3);
+    expect(FeeStrategies.slow(feeData)).toEqual({
+      maxFeePerGas: String(21 * GWEI),
+      maxPriorityFeePerGas: String(GWEI),
+    });
+    expect(FeeStrategies.standard(feeData)).toEqual({
+      maxFeePerGas: String(36 * GWEI),
+      maxPriorityFeePerGas: String(4 * GWEI),
+    });
+    expect(FeeStrategies.fast(feeData)).toEqual({
+      maxFeePerGas: String(40 * GWEI),
+      maxPriorityFeePerGas: String(8 * GWEI),
+    });
+    expect(FeeStrategies.fast(await getFeeData(legacy.web3))).toEqual({
+      gasPrice: String(25 * GWEI),
+    });
+
+    const custom = jest.fn(() => ({ gasPrice: "7" }));
+    await expect(
+      estimateFees(
+        london.web3,
+        london.method,
+        { from: FROM },
+        { strategy: custom }
+      )
+    ).resolves.toMatchObject({ gasPrice: "7", maxFeePerGas: null });
+    expect(custom).toHaveBeenCalledWith(feeData);
+    expect(() =>
+      estimateFees(
+        london.web3,
+        london.method,
+        { from: FROM },
+        { strategy: "turbo" }
+      )
+    ).toThrow(DaisyValidationError);
+  });
+
+  test("Send EIP-1559 transactions", async () => {
+    const london = fakeWeb3({ baseFeePerGas: 15 * GWEI });
+    const legacy = fakeWeb3();
+    const invoice = { invoicedPrice: "10", address: TO };
+
+    // Only the fees, the wallet estimates the gas.
+    await payments(london.web3, TO).pay(
+      invoice,
+      { from: FROM },
+      { fees: "fast" }
+    );
+    expect(london.method.estimateGas).not.toHaveBeenCalled();
+    expect(london.method.send).toHaveBeenLastCalledWith({
+      from: FROM,
+      maxFeePerGas: String(40 * GWEI),
+      maxPriorityFeePerGas: String(10 * GWEI),
+    });
+
+    await payments(legacy.web3, TO).pay(
+      invoice,
+      { from: FROM },
+      { fees: true }
+    );
+    expect(legacy.method.send).toHaveBeenLastCalledWith({
+      from: FROM,
+      gasPrice: String(20 * GWEI),
+    });
+
+    // EIP-1559 fields from the caller.
+    const tip = { maxFeePerGas: "100", maxPriorityFeePerGas: "2" };
+    await payments(london.web3, TO).pay(invoice, { from: FROM, ...tip });
+    expect(london.method.send).toHaveBeenLastCalledWith({ from: FROM, ...tip });
+
+    await payments(legacy.web3, TO).pay(invoice, { from: FROM, ...tip });
+    expect(legacy.method.send).toHaveBeenLastCalledWith({
+      from: FROM,
+      gasPrice: "100",
+    });
+    await payments(legacy.web3, TO).pay(invoice, {
+      from: FROM,
+      maxPriorityFeePerGas: "2",
+    });
+    expect(legacy.method.send).toHaveBeenLastCalledWith({
+      from: FROM,
+      gasPrice: String(20 * GWEI),
+    });
+
+    // Sent after checking the network, options errors reject.
+    await expect(
+      payments(legacy.web3, TO).pay(invoice, { from: FROM }, { fees: "turbo" })
+    ).rejects.toThrow(DaisyValidationError);
+  });
+
+  test("Compute amounts with BN", () => {
+    const WEI = `1${"0".repeat(18)}`;
+    expect(multiplyAmounts(WEI, "1e3")).toBe(`1${"0".repeat(21)}`);
+    expect(addAmounts("0xde0b6b3a7640000", 1)).toBe(`1${"0".repeat(17)}1`);
+    expect(subtractAmounts("1", "2")).toBe("0");
+    expect(subtractAmounts(1e21, WEI)).toBe(`999${"0".repeat(18)}`);
+    expect(formatUnits(`15${"0".repeat(17)}`)).toBe("1.5");
+    expect(formatUnits("1", 18)).toBe("0.000000000000000001");
+    expect(formatUnits("1200", 0)).toBe("1200");
+  });
+
+  test("Report estimation failures as errors", async () => {
+    const { web3, sent } = fakeWeb3();
+    web3.eth.estimateGas.mockRejectedValue(new Error("execution reverted"));
+
+    const promiEvent = payments(web3, ZERO_ADDRESS).pay(
+      { invoicedPrice: "10", address: TO },
+      { from: FROM },
+      { estimate: true }
+    );
+    const error = new Promise(resolve => promiEvent.on("error", resolve));
+    await expect(promiEvent).rejects.toThrow("execution reverted");
+    await expect(error).resolves.toHaveProperty(
+      "message",
+      "execution reverted"
+    );
+    expect(promiEvent.tracker.started).toBe(false);
+    expect(sent).toHaveLength(0);
+
+    const send = jest.fn();
+    const failing = deferPromiEvent(Promise.reject(new Error("nope")), send);
+    await expect(failing).rejects.toThrow("nope");
+    expect(send).not.toHaveBeenCalled();
+  });
+});
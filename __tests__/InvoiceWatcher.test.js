@@ -0,0 +1,311 @@
+const MockDaisyAPI = require("../private/mock");
+const DaisyPayments = require("../common/DaisyPayments");
+const InvoiceWatcher = require("../common/InvoiceWatcher");
+const { ZERO_ADDRESS, compareAmounts } = require("../common/helpers");
+const { DaisyValidationError } = require("../common/errors");
+const { fakeWeb3 } = require("./utils");
+
+describe("InvoiceWatcher", () => {
+  const FROM = "0x1111111111111111111111111111111111111111";
+
+  function setup(tokenAddress) {
+    const chain = fakeWeb3({ from: FROM });
+    const api = new MockDaisyAPI({
+      paymentGroups: [
+        {
+          identifier: "otp",
+          ...(tokenAddress ? { tokenAddress } : {}),
+          invoices: [{ invoicedPrice: "100" }],
+        },
+      ],
+    });
+    const invoice = api.db.invoices[0];
+    // Mine an ETH transfer to the invoice, "0xbad" reverts.
+    const sendEther = (value, tx = {}) => {
+      const hash = tx.hash || `0x${chain.block + 1}`;
+      chain.pending(hash, {
+        to: invoice["address"],
+        value: String(value),
+        input: "0x",
+        ...tx,
+      });
+      chain.mine(hash, hash !== "0xbad");
+    };
+    const payments = new DaisyPayments({
+      manager: { identifier: "otp" },
+      withGlobals: { ...api.globals, web3: chain.web3 },
+    }).with(invoice);
+    return { api, chain, invoice, payments, sendEther };
+  }
+
+  function once(emitter, event) {
+    return new Promise(resolve => emitter.once(event, resolve));
+  }
+
+  test("Follow the invoice through the API", async () => {
+    const { api, invoice, payments } = setup();
+    const watcher = payments.watchInvoice(invoice, {
+      interval: 1,
+      chain: false,
+    });
+    const receipts = [];
+    watcher.on("receipt", receipt => receipts.push(receipt));
+
+    const partial = once(watcher, "partial");
+    api.pay(invoice["identifier"], "40");
+    await expect(partial).resolves.toMatchObject({
+      amountPaid: "40",
+      remaining: "60",
+      state: "UNDER_PAID",
+      confirmed: false,
+    });
+
+    const paid = once(watcher, "paid");
+    const confirmed = once(watcher, "confirmed");
+    api.pay(invoice["identifier"], "60");
+    await expect(paid).resolves.toMatchObject({ remaining: "0" });
+    await expect(confirmed).resolves.toMatchObject({
+      state: "PAID",
+      confirmed: true,
+      invoice: expect.objectContaining({ state: "PAID" }),
+    });
+    expect(receipts).toHaveLength(2);
+    expect(watcher.started).toBe(false);
+  });
+
+  test("Follow ERC20 transfers", async () => {
+    const { api, chain, invoice, payments } = setup();
+    const watcher = payments.watchInvoice(invoice, {
+      interval: 1,
+      confirmations: 2,
+      fromBlock: 90,
+    });
+    const transfers = [];
+    watcher.on("transfer", event => transfers.push(event));
+
+    const partial = once(watcher, "partial");
+    chain.transfer("30");
+    await expect(partial).resolves.toMatchObject({ remaining: "70" });
+
+    const overpaid = once(watcher, "overpaid");
+    chain.transfer("80");
+    await expect(overpaid).resolves.toMatchObject({
+      amountPaid: "110",
+      state: "OVER_PAID",
+      confirmed: false,
+    });
+    expect(api.db.invoices[0]).toHaveProperty("state", "PENDING");
+
+    const confirmed = once(watcher, "confirmed");
+    chain.block += 2;
+    await confirmed;
+    expect(transfers).toHaveLength(2);
+    // Each poll scans the new blocks, and again the ones without 2 confirmations.
+    const ranges = chain.currency.getPastEvents.mock.calls.map(
+      ([, opts]) => opts
+    );
+    expect(ranges[0]).toEqual({
+      filter: { to: [invoice["address"]] },
+      fromBlock: 90,
+      toBlock: expect.any(Number),
+    });
+    ranges.slice(1).forEach((range, i) => {
+      expect(range.fromBlock).toBe(
+        Math.min(ranges[i].toBlock + 1, range.toBlock - 1)
+      );
+    });
+    expect(ranges[ranges.length - 1].toBlock).toBe(chain.block);
+  });
+
+  test("Forget transfers removed by a reorg", async () => {
+    const { chain, invoice, payments } = setup();
+    const watcher = payments.watchInvoice(invoice, {
+      interval: 1,
+      confirmations: 5,
+      api: false,
+    });
+
+    const paid = once(watcher, "paid");
+    chain.transfer("100");
+    await paid;
+
+    // The block of the transfer is replaced before it is confirmed.
+    const update = once(watcher, "update");
+    chain.events.pop();
+    chain.block += 1;
+    await expect(update).resolves.toMatchObject({
+      amountPaid: "0",
+      state: "PENDING",
+      transfers: [],
+    });
+
+    const confirmed = jest.fn();
+    watcher.on("confirmed", confirmed);
+    const partial = once(watcher, "partial");
+    chain.transfer("40");
+    chain.block += 5;
+    await partial;
+    expect(confirmed).not.toHaveBeenCalled();
+    watcher.stop();
+  });
+
+  test("Keep a single polling loop when restarted", async () => {
+    const { invoice, payments } = setup();
+    const watcher = new InvoiceWatcher(payments, invoice, {
+      interval: 1,
+      chain: false,
+    });
+    const check = jest.spyOn(watcher, "check");
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // The first check is still running.
+    watcher
+      .start()
+      .stop()
+      .start();
+    await wait(30);
+    watcher.stop();
+    await wait(10);
+    const calls = check.mock.calls.length;
+    await wait(30);
+    expect(check).toHaveBeenCalledTimes(calls);
+  });
+
+  test("Follow ETH balance changes", async () => {
+    const { api, chain, invoice, payments, sendEther } = setup(ZERO_ADDRESS);
+    const watcher = payments.watchInvoice(invoice, {
+      interval: 1,
+      confirmations: 10,
+    });
+
+    const paid = once(watcher, "paid");
+    const transfer = once(watcher, "transfer");
+    sendEther(100);
+    await paid;
+    await expect(transfer).resolves.toMatchObject({
+      transactionHash: "0x101",
+      returnValues: { from: FROM, value: "100" },
+    });
+    expect(chain.web3.eth.getBalance).toHaveBeenCalledWith(
+      invoice["address"],
+      chain.block - 10
+    );
+    expect(watcher.confirmed).toBe(false);
+
+    // The API is authoritative.
+    const confirmed = once(watcher, "confirmed");
+    api.pay(invoice["identifier"], "100");
+    await expect(confirmed).resolves.toMatchObject({ amountPaid: "100" });
+  });
+
+  test("Get ETH transfers", async () => {
+    const { chain, invoice, payments, sendEther } = setup(ZERO_ADDRESS);
+    sendEther(10);
+    sendEther(20, { hash: "0xbad" });
+    sendEther(30, { to: FROM });
+    sendEther(0);
+    sendEther(40, { to: `0x${invoice["address"].slice(2).toUpperCase()}` });
+
+    const transfers = await payments.getTransfers(invoice, {
+      fromBlock: 101,
+    });
+    expect(transfers).toEqual([
+      {
+        event: "Transfer",
+        address: ZERO_ADDRESS,
+        blockNumber: 101,
+        blockHash: "0xb101",
+        transactionHash: "0x101",
+        transactionIndex: 0,
+        logIndex: null,
+        returnValues: {
+          0: FROM,
+          1: invoice["address"],
+          2: "10",
+          from: FROM,
+          to: invoice["address"],
+          value: "10",
+        },
+      },
+      expect.objectContaining({
+        transactionHash: "0x105",
+        returnValues: expect.objectContaining({ value: "40" }),
+      }),
+    ]);
+    expect(chain.web3.eth.getBlock).toHaveBeenCalledTimes(5);
+
+    await expect(
+      payments.getTransfers(invoice, { fromBlock: 102, toBlock: 102 })
+    ).resolves.toEqual([]);
+    chain.block += 1000;
+    // The last 100 blocks by default, 25 at a time.
+    chain.web3.eth.getBlock.mockClear();
+    await expect(payments.getTransfers(invoice)).resolves.toEqual([]);
+    expect(chain.web3.eth.getBlock).toHaveBeenCalledTimes(100);
+    expect(chain.web3.eth.getBlock).toHaveBeenLastCalledWith(chain.block, true);
+    await expect(
+      payments.getTransfers(invoice, { fromBlock: 0 })
+    ).rejects.toThrow(DaisyValidationError);
+    await expect(payments.getTransfers({ invoicedPrice: "1" })).rejects.toThrow(
+      "Missing `invoice.address` field."
+    );
+    await expect(
+      payments.getTransfers(invoice, { fromBlock: 101, maxBlockRange: 2 })
+    ).rejects.toThrow("limit is 2");
+  });
+
+  test("Request blocks in JSON-RPC batches", async () => {
+    const { chain, invoice, payments, sendEther } = setup(ZERO_ADDRESS);
+    sendEther(10);
+    chain.block += 30;
+    const batches = [];
+    chain.web3.BatchRequest = jest.fn(() => {
+      const requests = [];
+      const batch = {
+        add: request => requests.push(request),
+        execute: () => requests.forEach(request => request()),
+      };
+      batches.push(requests);
+      return batch;
+    });
+    chain.web3.eth.getBlock.request = (number, full, callback) => () =>
+      callback(null, chain.blocks[number] || { transactions: [] });
+
+    const transfers = await payments.getTransfers(invoice, { fromBlock: 101 });
+    expect(transfers).toHaveLength(1);
+    expect(batches.map(requests => requests.length)).toEqual([25, 6]);
+    expect(chain.web3.eth.getBlock).not.toHaveBeenCalled();
+  });
+
+  test("Compare amounts in any notation", () => {
+    expect(compareAmounts("1e21", `1${"0".repeat(21)}`)).toBe(0);
+    expect(compareAmounts(1e21, "0x3635c9adc5dea00000")).toBe(0);
+    expect(compareAmounts("1.5e3", 1499)).toBe(1);
+    expect(compareAmounts("0x0", "1")).toBe(-1);
+    expect(() => compareAmounts("1.5", "1")).toThrow(DaisyValidationError);
+    expect(() => compareAmounts("1.25e1", "1")).toThrow(DaisyValidationError);
+    expect(() => compareAmounts("-1", "1")).toThrow(DaisyValidationError);
+  });
+
+  test("Keep watching on errors", async () => {
+    const { api, invoice, payments } = setup();
+    expect(() => payments.watchInvoice({})).toThrow(DaisyValidationError);
+    expect(
+      () => new InvoiceWatcher(payments, invoice, { chain: false, api: false })
+    ).toThrow(DaisyValidationError);
+
+    api.failNext(400);
+    const watcher = new InvoiceWatcher(payments, invoice, {
+      interval: 1,
+      chain: false,
+    });
+    const error = once(watcher, "error");
+    watcher.start();
+    await error;
+
+    const paid = once(watcher, "paid");
+    api.pay(invoice["identifier"], "100");
+    await paid;
+    watcher.stop();
+  });
+});
@@ -0,0 +1,150 @@
+const sigUtil = require("eth-sig-util");
+
+const { KeystoreSigner, PrivateKeySigner } = require("../private/Signer");
+const { decryptKeystore, encryptKeystore } = require("../private/keystore");
+const { managerDomain, buildTypedData } = require("../common/eip712");
+const { DaisyValidationError } = require("../common/errors");
+const { setupMockAPI } = require("./utils");
+
+describe("Keystore", () => {
+  // Test vector of the Web3 Secret Storage Definition.
+  const PBKDF2 = {
+    crypto: {
+      cipher: "aes-128-ctr",
+      cipherparams: { iv: "6087dab2f9fdbbfaddc31a909735c1e6" },
+      ciphertext:
+        "5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46",
+      kdf: "pbkdf2",
+      kdfparams: {
+        c: 262144,
+        dklen: 32,
+        prf: "hmac-sha256",
+        salt:
+          "ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd",
+      },
+      mac: "517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2",
+    },
+    id: "3198bc9c-6672-5ab3-d995-4942343ae5b6",
+    version: 3,
+  };
+  const PRIVATE_KEY =
+    "7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d";
+  const PASSWORD = "testpassword";
+
+  test("Decrypt pbkdf2 and scrypt keystores", async () => {
+    const key = await decryptKeystore(JSON.stringify(PBKDF2), PASSWORD);
+    expect(key.toString("hex")).toBe(PRIVATE_KEY);
+
+    const keystore = await encryptKeystore(PRIVATE_KEY, "other", { n: 1024 });
+    expect(keystore).toMatchObject({
+      version: 3,
+      address: (await new PrivateKeySigner(PRIVATE_KEY).getAddress()).slice(2),
+      crypto: { kdf: "scrypt", kdfparams: { n: 1024, r: 8, p: 1 } },
+    });
+    await expect(
+      decryptKeystore(Buffer.from(JSON.stringify(keystore)), "other")
+    ).resolves.toEqual(Buffer.from(PRIVATE_KEY, "hex"));
+
+    await expect(decryptKeystore(PBKDF2, "wrong")).rejects.toMatchObject({
+      code: "INVALID_PASSWORD",
+    });
+    await expect(decryptKeystore(PBKDF2)).rejects.toThrow(DaisyValidationError);
+    await expect(decryptKeystore("{", PASSWORD)).rejects.toThrow(
+      DaisyValidationError
+    );
+    await expect(
+      decryptKeystore({ ...PBKDF2, version: 1 }, PASSWORD)
+    ).rejects.toThrow(DaisyValidationError);
+    await expect(
+      decryptKeystore(
+        { ...PBKDF2, crypto: { ...PBKDF2.crypto, kdf: "argon2" } },
+        PASSWORD
+      )
+    ).rejects.toThrow("Unsupported keystore KDF: argon2");
+  });
+
+  test("Reject malformed keystores and generate V3 ids", async () => {
+    const incomplete = { ...PBKDF2.crypto, kdfparams: undefined };
+    await expect(
+      decryptKeystore({ ...PBKDF2, crypto: incomplete }, PASSWORD)
+    ).rejects.toThrow("Invalid keystore");
+    await expect(
+      decryptKeystore(
+        { ...PBKDF2, crypto: { ...PBKDF2.crypto, mac: null } },
+        PASSWORD
+      )
+    ).rejects.toThrow(DaisyValidationError);
+
+    const keystore = await encryptKeystore(PRIVATE_KEY, "other", { n: 1024 });
+    expect(keystore.id).toMatch(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+    );
+  });
+
+  test("Decrypt once and sign", async () => {
+    const signer = new KeystoreSigner(PBKDF2, PASSWORD);
+    const address = await signer.getAddress();
+    expect(signer.unlock()).toBe(signer.unlock());
+    expect(signer.password).toBe(null);
+
+    const data = buildTypedData(
+      { verifyingContract: `0x${"22".repeat(20)}` },
+      "SetAuthorizer",
+      {
+        authorizer: address,
+        nonce: `0x${"00".repeat(32)}`,
+        signatureExpiresAt: 1,
+      }
+    );
+    const sig = await signer.signTypedData(data);
+    expect(sigUtil.recoverTypedSignature({ data, sig })).toBe(address);
+
+    const wrong = new KeystoreSigner(PBKDF2, "wrong");
+    await expect(wrong.getAddress()).rejects.toMatchObject({
+      code: "INVALID_PASSWORD",
+    });
+    expect(wrong.decrypting).toBe(null);
+    expect(() => new KeystoreSigner(PBKDF2)).toThrow(DaisyValidationError);
+  });
+
+  test("Load the authorizer of the manager", async () => {
+    const address = await new PrivateKeySigner(PRIVATE_KEY).getAddress();
+    const { daisy, create, manager } = setupMockAPI({
+      managers: [
+        {
+          identifier: "sub",
+          authorizer: address.toUpperCase().replace("0X", "0x"),
+        },
+        { identifier: "other" },
+      ],
+    });
+    const agreement = {
+      subscriber: `0x${"33".repeat(20)}`,
+      token: `0x${"44".repeat(20)}`,
+      price: "100",
+      periodUnit: "MONTH",
+      periods: 1,
+      maxExecutions: "0",
+      plan: "0x1",
+    };
+
+    const input = { keystore: PBKDF2, password: PASSWORD };
+    const signer = await daisy.loadAuthorizer(input);
+    expect(signer).toBeInstanceOf(KeystoreSigner);
+
+    const authSignature = await daisy.authorize(null, agreement);
+    expect(
+      sigUtil.recoverTypedSignature({
+        data: buildTypedData(managerDomain(manager), "Subscription", agreement),
+        sig: authSignature,
+      })
+    ).toBe(address);
+
+    const other = create({ manager: { identifier: "other" } });
+    await expect(other.loadAuthorizer(input)).rejects.toMatchObject({
+      code: "AUTHORIZER_MISMATCH",
+      address,
+    });
+    expect(other.authorizer).toBe(null);
+  });
+});
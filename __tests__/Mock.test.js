@@ -0,0 +1,216 @@
+const MockDaisyAPI = require("../private/mock");
+const ServerSubscriptions = require("../private/ServerSubscriptions");
+const ServerPayments = require("../private/ServerPayments");
+const ClientSDK = require("../common/ClientSDK");
+const {
+  DaisyAuthError,
+  DaisyNotFoundError,
+  DaisyError,
+} = require("../common/errors");
+const { ZERO_ADDRESS } = require("../common/helpers");
+
+describe("MockDaisyAPI", () => {
+  const ACCOUNT = "0x3a3B1b31C5f8F29511b93B7C2a6A5C5D732AaA0e";
+  const override = { retry: { minDelay: 1, jitter: false } };
+
+  function seed() {
+    return new MockDaisyAPI({
+      managers: [
+        {
+          identifier: "sub-a",
+          secretKey: "secret-a",
+          plans: [
+            {
+              name: "Gold",
+              subscriptions: [{ account: ACCOUNT, receipts: [{}] }],
+            },
+            { name: "Silver" },
+          ],
+        },
+        { identifier: "sub-b", secretKey: "secret-b", plans: [{}] },
+      ],
+      paymentGroups: [
+        {
+          identifier: "otp-a",
+          secretKey: "otp-secret",
+          invoices: [{ invoicedPrice: "100", receipts: [{ amount: "40" }] }],
+        },
+      ],
+    });
+  }
+
+  function create(Class, api, manager) {
+    return new Class({ manager, override, withGlobals: api.globals });
+  }
+
+  test("Subscription routes and permissions", async () => {
+    const api = seed();
+    const me = create(ServerSubscriptions, api, {
+      identifier: "sub-a",
+      secretKey: "secret-a",
+    });
+    const other = create(ServerSubscriptions, api, {
+      identifier: "sub-b",
+      secretKey: "secret-b",
+    });
+    const asPublic = create(ServerSubscriptions, api, { identifier: "sub-a" });
+
+    const { plans, secretKey } = await me.getData();
+    expect(plans.map(p => p.name)).toEqual(["Gold", "Silver"]);
+    expect(secretKey).toBeUndefined();
+
+    await expect(
+      create(ServerSubscriptions, api, {
+        identifier: "sub-a",
+        secretKey: "secret-b",
+      }).getData()
+    ).rejects.toThrow(DaisyAuthError);
+
+    const invitation = await me.createInvitation(plans[0]);
+    expect(invitation).toHaveProperty("plan.id", plans[0].id);
+    await expect(asPublic.createInvitation(plans[0])).rejects.toThrow(
+      "Not in an organization."
+    );
+
+    const [subscription] = await me.getSubscriptions({
+      account: ACCOUNT.toLowerCase(),
+    });
+    expect(subscription).toHaveProperty("account", ACCOUNT);
+    await expect(
+      me.getSubscriptions({ account: ACCOUNT, token: ZERO_ADDRESS })
+    ).resolves.toHaveLength(0);
+    await expect(
+      me.getSubscriptions({
+        account: ACCOUNT,
+        token: [ZERO_ADDRESS, plans[0].tokenAddress],
+      })
+    ).resolves.toHaveLength(1);
+
+    const { daisyId, onChainId } = subscription;
+    await expect(me.getSubscription({ onChainId })).resolves.toHaveProperty(
+      "daisyId",
+      daisyId
+    );
+    await expect(me.getReceipts({ daisyId })).resolves.toHaveLength(1);
+    await expect(other.getSubscription({ daisyId })).rejects.toThrow(
+      "Forbidden"
+    );
+    await expect(
+      other.getSubscriptions({ account: ACCOUNT })
+    ).resolves.toHaveLength(0);
+    await expect(
+      me.getSubscription({ daisyId: "missing" })
+    ).rejects.toBeInstanceOf(DaisyNotFoundError);
+  });
+
+  test("Subscription state transitions", async () => {
+    const api = seed();
+    const me = create(ServerSubscriptions, api, { identifier: "sub-a" });
+    const { plans } = await me.getData();
+    const plan = plans[1];
+
+    const created = await me.submit({
+      agreement: {
+        subscription: {
+          subscriber: ACCOUNT,
+          token: plan.tokenAddress,
+          price: plan.price,
+          periodUnit: plan.periodUnit,
+          periods: plan.periods,
+          maxExecutions: "0",
+          plan: plan.onChainId,
+        },
+        nonce: "0x1",
+        signatureExpiresAt: "0",
+      },
+      signature: "0xsignature",
+    });
+    const { daisyId, onChainId } = created.data;
+    expect(created.data).toMatchObject({ state: "PENDING", account: ACCOUNT });
+
+    api.transition(daisyId, "ACTIVE");
+    await me.submitCancel({
+      agreement: { subscriptionId: onChainId },
+      signature: "0xsignature",
+    });
+    await expect(me.getSubscription({ daisyId })).resolves.toMatchObject({
+      state: "ACTIVE",
+      cancelState: "PENDING",
+    });
+
+    api.transition(daisyId, "ACTIVE_CANCELLED");
+    api.transition(daisyId, "CANCELLED");
+    const cancelled = await me.getSubscription({ daisyId });
+    expect(cancelled).toMatchObject({ state: "CANCELLED", cancelState: "OK" });
+    expect(cancelled.endedAt).toBeTruthy();
+
+    expect(() => api.transition(daisyId, "ACTIVE")).toThrow(DaisyError);
+  });
+
+  test("Payment routes, payments and tokens", async () => {
+    const api = seed();
+    const me = create(ServerPayments, api, {
+      identifier: "otp-a",
+      secretKey: "otp-secret",
+    });
+
+    const [seeded] = await me.getInvoices();
+    expect(seeded).toMatchObject({ amountPaid: "40", state: "UNDER_PAID" });
+
+    const invoice = await me.createInvoice({ invoicedPrice: 20 });
+    expect(invoice).toMatchObject({ state: "PENDING", invoicedPrice: "20" });
+
+    api.pay(invoice.identifier, "20");
+    await expect(
+      me.getInvoice({ address: invoice.address })
+    ).resolves.toHaveProperty("state", "PAID");
+    api.pay(invoice.address, "1");
+    await expect(
+      me.getInvoice({ identifier: invoice.identifier })
+    ).resolves.toMatchObject({ state: "OVER_PAID", amountPaid: "21" });
+    await expect(
+      me.getReceipts({ identifier: invoice.identifier })
+    ).resolves.toHaveLength(2);
+
+    await expect(
+      me.getInvoicesPage({ state: "PAID" }, { limit: 1 })
+    ).resolves.toMatchObject({ data: [], total: 0 });
+    await expect(
+      me.iterateInvoices({}, { limit: 1 }).toArray()
+    ).resolves.toHaveLength(2);
+
+    const client = create(ClientSDK, api, { identifier: "otp-a" });
+    await expect(client.getTokens({ query: "dsy" })).resolves.toHaveLength(1);
+    await expect(client.getToken({ symbol: "DSY" })).resolves.toHaveProperty(
+      "decimals",
+      18
+    );
+  });
+
+  test("Idempotency keys and failures", async () => {
+    const api = seed();
+    const me = create(ServerPayments, api, {
+      identifier: "otp-a",
+      secretKey: "otp-secret",
+    });
+
+    const first = await me.createInvoice(
+      { invoicedPrice: 10 },
+      { idempotencyKey: "key-1" }
+    );
+    const second = await me.createInvoice(
+      { invoicedPrice: 10 },
+      { idempotencyKey: "key-1" }
+    );
+    expect(second.identifier).toBe(first.identifier);
+    await expect(me.getInvoices()).resolves.toHaveLength(2);
+
+    api.failNext(503, { times: 2 });
+    await expect(me.getData()).resolves.toHaveProperty("identifier", "otp-a");
+    expect(api.requests.slice(-3).map(r => r.path)).toEqual([
+      "/otp/",
+      "/otp/",
+      "/otp/",
+    ]);
+  });
+});
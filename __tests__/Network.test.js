@@ -0,0 +1,133 @@
+const MockDaisyAPI = require("../private/mock");
+const DaisySubscriptions = require("../common/DaisySubscriptions");
+const DaisyPayments = require("../common/DaisyPayments");
+const {
+  DaisyWrongNetworkError,
+  DaisySignatureRejectedError,
+  DaisyValidationError,
+} = require("../common/errors");
+const { fakeWeb3 } = require("./utils");
+
+describe("Network", () => {
+  const ACCOUNT = "0x3a3B1b31C5f8F29511b93B7C2a6A5C5D732AaA0e";
+
+  function setup(chainId) {
+    const api = new MockDaisyAPI({
+      managers: [{ identifier: "sub", plans: [{ name: "Monthly" }] }],
+      paymentGroups: [{ identifier: "otp" }],
+    });
+    const chain = fakeWeb3({ chainId, tokenAddress: ACCOUNT });
+    const { web3, send } = chain;
+    const withGlobals = { ...api.globals, web3 };
+    const subscriptions = new DaisySubscriptions({
+      manager: { identifier: "sub" },
+      withGlobals,
+    });
+    const payments = new DaisyPayments({
+      manager: { identifier: "otp" },
+      withGlobals,
+    });
+    return Promise.all([subscriptions.sync(), payments.sync()]).then(() => ({
+      api,
+      chain,
+      web3,
+      send,
+      subscriptions,
+      payments,
+      plan: api.db.managers[0].plans[0],
+    }));
+  }
+
+  test("Reject signatures and transactions on other networks", async () => {
+    const { chain, web3, send, subscriptions, payments, plan } = await setup(1);
+
+    await expect(subscriptions.checkNetwork()).rejects.toMatchObject({
+      name: "DaisyWrongNetworkError",
+      code: "WRONG_NETWORK",
+      networkId: 1,
+      expectedNetworkId: 4,
+    });
+
+    const signing = subscriptions.with(plan).sign({ account: ACCOUNT, plan });
+    await expect(signing).rejects.toThrow(DaisyWrongNetworkError);
+    await expect(
+      subscriptions.signCancel({ account: ACCOUNT, onChainId: "0x1" })
+    ).rejects.toThrow(DaisyWrongNetworkError);
+    expect(chain.signatures()).toHaveLength(0);
+
+    const approving = subscriptions.with(plan).approve("1", { from: ACCOUNT });
+    const error = new Promise(resolve => approving.on("error", resolve));
+    await expect(approving).rejects.toThrow(DaisyWrongNetworkError);
+    await expect(error).resolves.toBeInstanceOf(DaisyWrongNetworkError);
+
+    const paying = payments
+      .with({ tokenAddress: ACCOUNT })
+      .pay({ invoicedPrice: "1", address: ACCOUNT }, { from: ACCOUNT });
+    await expect(paying).rejects.toThrow(DaisyWrongNetworkError);
+    expect(paying.tracker.started).toBe(false);
+    expect(send).not.toHaveBeenCalled();
+
+    // Same network.
+    chain.chainId = 4;
+    await expect(subscriptions.checkNetwork()).resolves.toBe(4);
+    expect(web3.currentProvider.request).toHaveBeenLastCalledWith({
+      method: "eth_chainId",
+      params: [],
+    });
+    await expect(
+      subscriptions.with(plan).approve("1", { from: ACCOUNT })
+    ).resolves.toEqual({ transactionHash: "0xa" });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test("Sync the manager before checking the network", async () => {
+    const { api, web3 } = await setup(4);
+    const unsynced = new DaisySubscriptions({
+      manager: { identifier: "sub" },
+      withGlobals: { ...api.globals, web3 },
+    });
+    await expect(unsynced.checkNetwork()).resolves.toBe(4);
+    expect(unsynced.expectedNetworkId).toBe(4);
+
+    // Never skipped.
+    delete api.db.managers[0].networkId;
+    const unknown = new DaisySubscriptions({
+      manager: { identifier: "sub" },
+      withGlobals: { ...api.globals, web3 },
+    });
+    await expect(unknown.checkNetwork()).rejects.toThrow(DaisyValidationError);
+  });
+
+  test("Switch the wallet network", async () => {
+    const { web3, subscriptions } = await setup(1);
+
+    await subscriptions.switchNetwork();
+    expect(web3.currentProvider.request).toHaveBeenCalledWith({
+      method: "wallet_switchEthereumChain",
+      params: [{ chainId: "0x4" }],
+    });
+
+    web3.currentProvider.request.mockRejectedValueOnce({
+      code: 4001,
+      message: "User rejected the request.",
+    });
+    await expect(subscriptions.switchNetwork()).rejects.toThrow(
+      DaisySignatureRejectedError
+    );
+
+    // Legacy providers.
+    delete web3.currentProvider.request;
+    web3.currentProvider.sendAsync.mockImplementation((payload, callback) =>
+      callback(null, { result: null })
+    );
+    await expect(subscriptions.switchNetwork()).resolves.toBeNull();
+
+    const unsynced = new DaisySubscriptions({
+      manager: { identifier: "sub" },
+      withGlobals: { web3 },
+    });
+    await expect(unsynced.switchNetwork()).rejects.toThrow(
+      DaisyValidationError
+    );
+  });
+});
@@ -0,0 +1,114 @@
+const { Headers } = require("node-fetch"); // eslint-disable-line no-shadow
+
+const { json } = require("./utils");
+
+const ServerSubscriptions = require("../private/ServerSubscriptions");
+const ServerPayments = require("../private/ServerPayments");
+
+describe("Pagination", () => {
+  const withGlobals = () => {
+    const items = Array.from({ length: 5 }, (_, i) => ({ id: String(i) }));
+    const fakeFetch = jest.fn().mockImplementation(href => {
+      const { searchParams } = new URL(href);
+      const limit = Number(searchParams.get("limit"));
+      const offset = Number(searchParams.get("offset"));
+      return Promise.resolve(
+        json({ data: items.slice(offset, offset + limit), total: items.length })
+      );
+    });
+    return { fetch: fakeFetch, Headers };
+  };
+
+  function createInstance(Class, globals) {
+    return new Class({
+      manager: { identifier: "id", secretKey: "key" },
+      withGlobals: globals,
+    });
+  }
+
+  test("Expose total and next page", async () => {
+    const globals = withGlobals();
+    const me = createInstance(ServerSubscriptions, globals);
+
+    const first = await me.getSubscriptionsPage(
+      { state: "ACTIVE" },
+      { limit: 2 }
+    );
+    expect(first.data).toEqual([{ id: "0" }, { id: "1" }]);
+    expect(first).toMatchObject({ total: 5, limit: 2, offset: 0 });
+    expect(first.next).toEqual({ limit: 2, offset: 2 });
+
+    const last = await me.getSubscriptionsPage(
+      { state: "ACTIVE" },
+      {
+        limit: 2,
+        offset: 4,
+      }
+    );
+    expect(last.data).toEqual([{ id: "4" }]);
+    expect(last.next).toBeNull();
+
+    const [url] = globals.fetch.mock.calls[0];
+    expect(url).toContain("/subscriptions/?state=ACTIVE&limit=2&offset=0");
+  });
+
+  test("Iterate over every page", async () => {
+    const globals = withGlobals();
+    const me = createInstance(ServerPayments, globals);
+
+    const ids = [];
+    for await (const invoice of me.iterateInvoices({}, { limit: 2 })) {
+      ids.push(invoice.id);
+    }
+    expect(ids).toEqual(["0", "1", "2", "3", "4"]);
+    expect(globals.fetch).toHaveBeenCalledTimes(3);
+
+    await expect(
+      me.iterateInvoices({}, { limit: 3 }).toArray()
+    ).resolves.toHaveLength(5);
+  });
+
+  test("Stop when the server ignores paging", async () => {
+    const items = Array.from({ length: 5 }, (_, i) => ({ id: String(i) }));
+    const fakeFetch = jest.fn();
+    const me = createInstance(ServerSubscriptions, {
+      fetch: fakeFetch,
+      Headers,
+    });
+
+    // Every item, whatever the limit.
+    fakeFetch.mockImplementation(() =>
+      Promise.resolve(json({ data: items, total: null }))
+    );
+    const page = await me.getSubscriptionsPage({}, { limit: 2 });
+    expect(page).toMatchObject({ total: null, next: null });
+    await expect(
+      me.iterateSubscriptions({}, { limit: 2 }).toArray()
+    ).resolves.toEqual(items);
+
+    // Always the first page.
+    fakeFetch.mockClear();
+    fakeFetch.mockImplementation(() =>
+      Promise.resolve(json({ data: items.slice(0, 2) }))
+    );
+    await expect(
+      me.iterateSubscriptions({}, { limit: 2 }).toArray()
+    ).resolves.toEqual(items.slice(0, 2));
+    expect(fakeFetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("Support cursor-based responses", async () => {
+    const fakeFetch = jest
+      .fn()
+      .mockResolvedValueOnce(json({ data: [{ id: "a" }], next: "cursor-1" }))
+      .mockResolvedValueOnce(json({ data: [{ id: "b" }], next: null }));
+    const me = createInstance(ServerSubscriptions, {
+      fetch: fakeFetch,
+      Headers,
+    });
+
+    const all = await me.iterateSubscriptions({ account: "0x0" }).toArray();
+    expect(all).toEqual([{ id: "a" }, { id: "b" }]);
+    expect(fakeFetch.mock.calls[1][0]).toContain("cursor=cursor-1");
+  });
+});
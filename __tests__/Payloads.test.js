@@ -0,0 +1,130 @@
+const sigUtil = require("eth-sig-util");
+
+const { PrivateKeySigner } = require("../private/Signer");
+const payloads = require("../common/payloads");
+const { buildDomain } = require("../common/eip712");
+const { DaisyValidationError } = require("../common/errors");
+const { setupMockAPI } = require("./utils");
+
+describe("Payloads", () => {
+  const DOMAIN = buildDomain({
+    verifyingContract: `0x${"22".repeat(20)}`,
+    version: "2",
+    chainId: 4,
+  });
+  const NONCE = `0x${"11".repeat(32)}`;
+  const EXPIRES_AT = Date.UTC(2020, 0, 1);
+  const ACCOUNT = `0x${"33".repeat(20)}`;
+
+  test("Build payloads without a wallet", () => {
+    const plan = {
+      onChainId: "0xplan",
+      tokenAddress: `0x${"44".repeat(20)}`,
+      price: "100",
+      periods: 1,
+      periodUnit: "MONTH",
+    };
+    const input = {
+      account: ACCOUNT,
+      plan,
+      nonce: NONCE,
+      signatureExpiresAt: EXPIRES_AT,
+    };
+    const created = payloads.createSubscription(DOMAIN, input);
+    expect(payloads.createSubscription(DOMAIN, input)).toEqual(created);
+    expect(created.agreement).toEqual({
+      subscription: {
+        subscriber: ACCOUNT,
+        token: plan.tokenAddress,
+        price: "100",
+        periodUnit: "MONTH",
+        periods: 1,
+        maxExecutions: "0",
+        plan: "0xplan",
+      },
+      previousSubscriptionId: "0x0",
+      credits: "0",
+      nonce: NONCE,
+      signatureExpiresAt: String(EXPIRES_AT / 1000),
+    });
+    expect(created.typedData).toMatchObject({
+      domain: DOMAIN,
+      primaryType: "CreateSubscription",
+      message: created.agreement,
+    });
+    expect(
+      payloads.authorization(DOMAIN, { agreement: created.agreement })
+    ).toEqual(created);
+
+    expect(
+      payloads.cancelSubscription(DOMAIN, {
+        onChainId: "0xsub",
+        signatureExpiresAt: EXPIRES_AT,
+      }).typedData
+    ).toMatchObject({
+      primaryType: "CancelSubscription",
+      message: { subscriptionId: "0xsub", nonce: "0x0" },
+    });
+    expect(
+      payloads.removePlan(DOMAIN, { plan, signatureExpiresAt: EXPIRES_AT })
+        .agreement
+    ).toEqual({
+      plan: "0xplan",
+      nonce: "0x0",
+      signatureExpiresAt: String(EXPIRES_AT / 1000),
+    });
+    expect(
+      payloads.setAuthorizer(DOMAIN, { authorizer: ACCOUNT, nonce: NONCE })
+        .typedData.primaryType
+    ).toBe("SetAuthorizer");
+
+    expect(() => payloads.setWallet(DOMAIN, { wallet: ACCOUNT })).toThrow(
+      "Missing `nonce`."
+    );
+    expect(() => payloads.createSubscription(DOMAIN, { plan })).toThrow(
+      DaisyValidationError
+    );
+    expect(() =>
+      payloads.setWallet(null, { wallet: ACCOUNT, nonce: NONCE })
+    ).toThrow(DaisyValidationError);
+  });
+
+  test("Sign elsewhere and submit", async () => {
+    const signer = new PrivateKeySigner("55".repeat(32));
+    const account = await signer.getAddress();
+    const web3 = { eth: { Contract: jest.fn() } };
+    // Server-side signing: nonces do not need web3.
+    const { api, daisy, plans } = setupMockAPI(
+      { managers: [{ identifier: "sub", plans: [{ name: "Monthly" }] }] },
+      { withGlobals: { signer, web3 } }
+    );
+    const [plan] = plans;
+    web3.eth.Contract.mockImplementation(() => ({
+      options: { address: plan.tokenAddress },
+    }));
+    await daisy.sync();
+
+    const { agreement, typedData } = daisy.with(plan).build({ account, plan });
+    expect(typedData.domain).toEqual(daisy.getDomain());
+    expect(agreement.nonce).toMatch(/^0x[0-9a-f]{64}$/);
+
+    const signature = await signer.signTypedData(typedData);
+    expect(
+      sigUtil.recoverTypedSignature({ data: typedData, sig: signature })
+    ).toBe(account);
+    const { data: subscription } = await daisy.submit({ agreement, signature });
+    expect(subscription).toHaveProperty("daisyId");
+    expect(api.requests[api.requests.length - 1].body).toEqual({
+      agreement,
+      signature,
+    });
+
+    const wallet = daisy.buildSetWallet({ wallet: ACCOUNT });
+    expect(wallet.agreement.nonce).not.toBe(
+      daisy.buildSetWallet({ wallet: ACCOUNT }).agreement.nonce
+    );
+    expect(daisy.buildCancel({ onChainId: "0xsub" }).typedData.domain).toEqual(
+      daisy.getDomain()
+    );
+  });
+});
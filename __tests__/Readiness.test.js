@@ -0,0 +1,127 @@
+const MockDaisyAPI = require("../private/mock");
+const DaisySubscriptions = require("../common/DaisySubscriptions");
+const { DaisyValidationError } = require("../common/errors");
+const { fakeWeb3 } = require("./utils");
+
+describe("Readiness", () => {
+  const ACCOUNT = "0x3a3B1b31C5f8F29511b93B7C2a6A5C5D732AaA0e";
+
+  function setup({
+    manager = {},
+    balance = "0",
+    allowance = "0",
+    networkId = 4,
+  } = {}) {
+    const api = new MockDaisyAPI({
+      managers: [
+        {
+          identifier: "sub",
+          ...manager,
+          plans: [{ name: "Monthly", price: "100" }],
+        },
+      ],
+    });
+    const chain = fakeWeb3({
+      chainId: networkId,
+      tokenAddress: api.db.tokens[0].address,
+    });
+    Object.assign(chain, { balance, allowance });
+    const plan = api.db.managers[0].plans[0];
+    const daisy = new DaisySubscriptions({
+      manager: { identifier: "sub" },
+      withGlobals: { ...api.globals, web3: chain.web3 },
+    }).with(plan);
+    return { api, daisy, plan, currency: chain.currency };
+  }
+
+  test("Ready to subscribe", async () => {
+    const { api, daisy, plan, currency } = setup({
+      balance: "150",
+      allowance: "1200",
+    });
+
+    await expect(
+      daisy.checkReadiness({ account: ACCOUNT, plan, maxExecutions: 12 })
+    ).resolves.toEqual({
+      ready: true,
+      issues: [],
+      networkId: 4,
+      expectedNetworkId: 4,
+      balance: "150",
+      allowance: "1200",
+      requiredBalance: "100",
+      requiredAllowance: "1200",
+      approveAmount: null,
+      requiresAuthorization: false,
+    });
+    expect(currency.methods.allowance).toHaveBeenCalledWith(
+      ACCOUNT,
+      api.db.managers[0].address
+    );
+
+    // Synced once.
+    const count = api.requests.length;
+    await daisy.checkReadiness({ account: ACCOUNT, plan });
+    expect(api.requests).toHaveLength(count);
+
+    expect(() => daisy.checkReadiness({ account: ACCOUNT })).toThrow(
+      DaisyValidationError
+    );
+  });
+
+  test("Report every missing step", async () => {
+    const { daisy, plan } = setup({
+      manager: { state: "PENDING" },
+      balance: "40",
+      allowance: "100",
+      networkId: 1,
+    });
+
+    const readiness = await daisy.checkReadiness({
+      account: ACCOUNT,
+      plan: { ...plan, active: false, private: true },
+      maxExecutions: "3",
+    });
+    expect(readiness).toMatchObject({
+      ready: false,
+      networkId: 1,
+      expectedNetworkId: 4,
+      requiredAllowance: "300",
+      approveAmount: "300",
+      requiresAuthorization: true,
+    });
+    expect(readiness.issues).toEqual([
+      expect.objectContaining({ code: "MANAGER_NOT_DEPLOYED", blocking: true }),
+      expect.objectContaining({ code: "WRONG_NETWORK", blocking: true }),
+      expect.objectContaining({ code: "PLAN_INACTIVE", blocking: true }),
+      expect.objectContaining({
+        code: "AUTHORIZATION_REQUIRED",
+        blocking: false,
+      }),
+      {
+        code: "INSUFFICIENT_BALANCE",
+        message: "Balance is 60 short of the price.",
+        blocking: true,
+      },
+      {
+        code: "INSUFFICIENT_ALLOWANCE",
+        message: "Allowance is 200 short, approve 300.",
+        blocking: true,
+      },
+    ]);
+  });
+
+  test("Private plans and free trials are not blocking", async () => {
+    const { daisy, plan } = setup({ balance: "0", allowance: "100" });
+
+    const readiness = await daisy.checkReadiness({
+      account: ACCOUNT,
+      plan: { ...plan, private: true, freeTrialPeriods: "1" },
+    });
+    expect(readiness.ready).toBe(true);
+    expect(readiness.issues.map(i => i.code)).toEqual([
+      "AUTHORIZATION_REQUIRED",
+      "INSUFFICIENT_BALANCE",
+    ]);
+  });
+});
@@ -0,0 +1,148 @@
+const sigUtil = require("eth-sig-util");
+const ethUtil = require("ethereumjs-util");
+
+const Signer = require("../private/Signer");
+const { managerDomain, buildTypedData } = require("../common/eip712");
+const { DaisyValidationError } = require("../common/errors");
+const { setupMockAPI } = require("./utils");
+const { genNonce } = require("../common/helpers");
+
+const { PrivateKeySigner, CallbackSigner } = Signer;
+
+describe("Signers", () => {
+  const KEY = "44".repeat(32);
+  const AUTHORIZER = ethUtil.bufferToHex(
+    ethUtil.privateToAddress(Buffer.from(KEY, "hex"))
+  );
+  const WALLET = "0x2222222222222222222222222222222222222222";
+  const AGREEMENT = {
+    subscriber: "0x3a3B1b31C5f8F29511b93B7C2a6A5C5D732AaA0e",
+    token: WALLET,
+    price: "100",
+    periodUnit: "MONTH",
+    periods: 1,
+    maxExecutions: "0",
+    plan: "0x1",
+  };
+
+  function setup(withGlobals = {}) {
+    const { api, daisy } = setupMockAPI(
+      { managers: [{ identifier: "sub", authorizer: AUTHORIZER }] },
+      { withGlobals }
+    );
+    const recover = (primaryType, message, sig) =>
+      sigUtil.recoverTypedSignature({
+        data: buildTypedData(
+          managerDomain(api.db.managers[0]),
+          primaryType,
+          message
+        ),
+        sig,
+      });
+    return { api, daisy, recover };
+  }
+
+  test("Build signers", async () => {
+    const signer = new PrivateKeySigner(`0x${KEY}`);
+    const address = await signer.getAddress();
+    expect(address).toMatch(/^0x[0-9a-f]{40}$/);
+
+    expect(Signer.from(signer)).toBe(signer);
+    expect(Signer.from(Buffer.from(KEY, "hex"))).toBeInstanceOf(
+      PrivateKeySigner
+    );
+    await expect(Signer.from({ privateKey: KEY }).getAddress()).resolves.toBe(
+      address
+    );
+
+    const sign = jest.fn(() => "0xsigned");
+    const remote = Signer.from({ address, signTypedData: sign });
+    expect(remote).toBeInstanceOf(CallbackSigner);
+    await expect(remote.signTypedData({ message: {} })).resolves.toBe(
+      "0xsigned"
+    );
+    expect(sign).toHaveBeenCalledWith({ message: {} });
+
+    expect(() => Signer.from()).toThrow(DaisyValidationError);
+    expect(() => Signer.from({})).toThrow(DaisyValidationError);
+    expect(() => new PrivateKeySigner("0x1234")).toThrow(DaisyValidationError);
+    await expect(new Signer().getAddress()).rejects.toThrow("not implemented");
+  });
+
+  test("Authorize with any signer", async () => {
+    const { daisy, recover } = setup();
+    const signer = new PrivateKeySigner(KEY);
+    const address = await signer.getAddress();
+
+    // Legacy `{ privateKey }` argument.
+    const legacy = await daisy.authorize(
+      { privateKey: Buffer.from(KEY, "hex") },
+      AGREEMENT
+    );
+    expect(recover("Subscription", AGREEMENT, legacy)).toBe(address);
+
+    // External signer: only sees the typed data.
+    const sign = jest.fn(typedData => signer.signTypedData(typedData));
+    const authSignature = await daisy.authorize(
+      { address, signTypedData: sign },
+      AGREEMENT,
+      { allowAnyAddress: true }
+    );
+    expect(sign).toHaveBeenCalledWith(
+      expect.objectContaining({ primaryType: "Subscription" })
+    );
+    expect(
+      recover(
+        "Subscription",
+        {
+          ...AGREEMENT,
+          subscriber: "0x0000000000000000000000000000000000000000",
+        },
+        authSignature
+      )
+    ).toBe(address);
+
+    expect(() => daisy.authorize(null, AGREEMENT)).toThrow(
+      DaisyValidationError
+    );
+  });
+
+  test("Sign without web3 using withGlobals.signer", async () => {
+    const signer = new PrivateKeySigner(KEY);
+    const address = await signer.getAddress();
+    const { daisy, recover } = setup({ signer: { privateKey: KEY } });
+    await daisy.sync();
+
+    await expect(daisy.authorize(null, AGREEMENT)).resolves.toBe(
+      await daisy.authorize(signer, AGREEMENT)
+    );
+
+    const { agreement, signature } = await daisy.signSetWallet({
+      account: address,
+      wallet: WALLET,
+    });
+    expect(agreement.nonce).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(recover("SetWallet", agreement, signature)).toBe(address);
+
+    await expect(
+      daisy.signSetWallet({ account: WALLET, wallet: WALLET })
+    ).rejects.toThrow(DaisyValidationError);
+  });
+
+  test("Generate nonces without Web Crypto", () => {
+    const webCrypto = Object.getOwnPropertyDescriptor(global, "crypto");
+    delete global.crypto;
+    const random = jest.spyOn(Math, "random");
+    try {
+      const nonce = genNonce(null);
+      expect(nonce).toMatch(/^0x[0-9a-f]{64}$/);
+      expect(genNonce(null)).not.toBe(nonce);
+      expect(random).not.toHaveBeenCalled();
+    } finally {
+      if (webCrypto) {
+        Object.defineProperty(global, "crypto", webCrypto);
+      }
+      random.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,82 @@
+const { signTypedData } = require("../common/helpers");
+const { DaisySignatureRejectedError } = require("../common/errors");
+
+describe("Signing", () => {
+  const SIGNER = "0x3a3B1b31C5f8F29511b93B7C2a6A5C5D732AaA0e";
+  const DATA = { primaryType: "SetWallet", message: {} };
+
+  test("Use eth_signTypedData_v4 with EIP-1193 providers", async () => {
+    const request = jest.fn(() => Promise.resolve("0xsigned"));
+    const web3 = { currentProvider: { request, sendAsync: jest.fn() } };
+
+    await expect(signTypedData(web3, SIGNER, DATA)).resolves.toBe("0xsigned");
+    expect(request).toHaveBeenCalledWith({
+      method: "eth_signTypedData_v4",
+      params: [SIGNER, JSON.stringify(DATA)],
+    });
+    expect(web3.currentProvider.sendAsync).not.toHaveBeenCalled();
+
+    // Wallets without v4.
+    request.mockRejectedValueOnce({ code: -32601, message: "Not found" });
+    await expect(signTypedData(web3, SIGNER, DATA)).resolves.toBe("0xsigned");
+    expect(request).toHaveBeenLastCalledWith({
+      method: "eth_signTypedData_v3",
+      params: [SIGNER, JSON.stringify(DATA)],
+    });
+
+    // Rejections are not retried with v3.
+    request.mockClear();
+    request.mockRejectedValueOnce({ code: 4001, message: "User denied" });
+    const rejected = signTypedData(web3, SIGNER, DATA);
+    await expect(rejected).rejects.toThrow(DaisySignatureRejectedError);
+    await expect(rejected).rejects.toMatchObject({
+      code: 4001,
+      cause: { message: "User denied" },
+    });
+    expect(request).toHaveBeenCalledTimes(1);
+
+    request.mockRejectedValueOnce(new Error("Internal error"));
+    await expect(signTypedData(web3, SIGNER, DATA)).rejects.toThrow(
+      "Internal error"
+    );
+  });
+
+  test("Support legacy providers", async () => {
+    const methods = [];
+    const callback = (payload, done) => {
+      methods.push(payload.method);
+      if (payload.method === "eth_signTypedData_v4") {
+        done(null, { error: { message: "Method not supported" } });
+      } else {
+        done(null, { result: "0xlegacy" });
+      }
+    };
+
+    const injected = { currentProvider: { sendAsync: jest.fn(callback) } };
+    await expect(signTypedData(injected, SIGNER, DATA)).resolves.toBe(
+      "0xlegacy"
+    );
+    expect(methods).toEqual(["eth_signTypedData_v4", "eth_signTypedData_v3"]);
+    expect(injected.currentProvider.sendAsync).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        params: [SIGNER, JSON.stringify(DATA)],
+        from: SIGNER,
+      }),
+      expect.any(Function)
+    );
+
+    // web3 1.x providers only have `send`.
+    const web3 = { currentProvider: { send: jest.fn(callback) } };
+    await expect(signTypedData(web3, SIGNER, DATA)).resolves.toBe("0xlegacy");
+
+    const rejecting = {
+      currentProvider: {
+        sendAsync: (payload, done) =>
+          done({ code: 4001, message: "User denied" }),
+      },
+    };
+    await expect(signTypedData(rejecting, SIGNER, DATA)).rejects.toThrow(
+      DaisySignatureRejectedError
+    );
+  });
+});
@@ -0,0 +1,154 @@
+const {
+  SubscriptionState,
+  CancelState,
+  TRANSITIONS,
+  isEntitled,
+  canCancel,
+  isTerminal,
+  canTransition,
+  assertTransition,
+  getTransition,
+} = require("../common/states");
+const { DaisyError, DaisyValidationError } = require("../common/errors");
+const fixtures = require("../private/fixtures");
+
+describe("Subscription states", () => {
+  const HOUR = 60 * 60 * 1000;
+
+  test("Every state has transitions", () => {
+    expect(Object.keys(TRANSITIONS).sort()).toEqual(
+      Object.values(SubscriptionState).sort()
+    );
+    for (const targets of Object.values(TRANSITIONS)) {
+      for (const target of targets) {
+        expect(SubscriptionState).toHaveProperty(target);
+      }
+    }
+  });
+
+  test("isEntitled", () => {
+    const future = new Date(Date.now() + HOUR).toISOString();
+    const past = new Date(Date.now() - HOUR).toISOString();
+
+    expect(isEntitled(fixtures.subscription({ state: "ACTIVE" }))).toBe(true);
+    expect(
+      isEntitled(
+        fixtures.subscription({
+          state: "ACTIVE_CANCELLED",
+          nextPaymentDate: future,
+        })
+      )
+    ).toBe(true);
+    expect(
+      isEntitled(
+        fixtures.subscription({
+          state: "ACTIVE_CANCELLED",
+          nextPaymentDate: past,
+        })
+      )
+    ).toBe(false);
+    expect(
+      isEntitled(
+        fixtures.subscription({
+          state: "ACTIVE_CANCELLED",
+          nextPaymentDate: future,
+        }),
+        { now: Date.now() + 2 * HOUR }
+      )
+    ).toBe(false);
+    expect(
+      isEntitled(
+        fixtures.subscription({
+          state: "ACTIVE_CANCELLED",
+          nextPaymentDate: null,
+        })
+      )
+    ).toBe(false);
+
+    for (const state of ["PENDING", "NOT_ENOUGH_FUNDS", "CANCELLED"]) {
+      expect(isEntitled(fixtures.subscription({ state }))).toBe(false);
+    }
+    expect(isEntitled(null)).toBe(false);
+    expect(() => isEntitled({ state: "UNKNOWN" })).toThrow(
+      DaisyValidationError
+    );
+  });
+
+  test("canCancel and isTerminal", () => {
+    expect(canCancel(fixtures.subscription({ state: "ACTIVE" }))).toBe(true);
+    expect(
+      canCancel(
+        fixtures.subscription({
+          state: "ACTIVE",
+          cancelState: CancelState.PENDING,
+        })
+      )
+    ).toBe(false);
+    expect(
+      canCancel(
+        fixtures.subscription({ state: "ACTIVE", cancelState: "FAILED" })
+      )
+    ).toBe(true);
+    expect(canCancel(fixtures.subscription({ state: "PENDING" }))).toBe(false);
+
+    expect(isTerminal("CANCELLED")).toBe(true);
+    expect(isTerminal(fixtures.subscription({ state: "FAILED" }))).toBe(true);
+    expect(isTerminal("ACTIVE_CANCELLED")).toBe(false);
+  });
+
+  test("Validate transitions", () => {
+    expect(canTransition("PENDING", "ACTIVE")).toBe(true);
+    expect(canTransition("ACTIVE", "ACTIVE_CANCELLED")).toBe(true);
+    expect(canTransition("CANCELLED", "ACTIVE")).toBe(false);
+    expect(canTransition("ACTIVE", "ACTIVE")).toBe(false);
+
+    expect(() => assertTransition("ACTIVE", "CANCELLED")).not.toThrow();
+    const error = (() => {
+      try {
+        return assertTransition("EXPIRED", "ACTIVE");
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(error).toBeInstanceOf(DaisyError);
+    expect(error).toMatchObject({
+      code: "INVALID_TRANSITION",
+      from: "EXPIRED",
+      to: "ACTIVE",
+    });
+  });
+
+  test("Compute the transition between snapshots", () => {
+    const active = fixtures.subscription({ state: "ACTIVE" });
+
+    expect(getTransition(active, { ...active })).toBeNull();
+    expect(getTransition(null, active)).toMatchObject({
+      from: "NOT_STARTED",
+      to: "ACTIVE",
+      legal: true,
+      gainedAccess: true,
+      lostAccess: false,
+    });
+
+    const cancelling = { ...active, cancelState: "PENDING" };
+    expect(getTransition(active, cancelling)).toMatchObject({
+      from: "ACTIVE",
+      to: "ACTIVE",
+      legal: true,
+      cancelState: { from: "OK", to: "PENDING" },
+      gainedAccess: false,
+      lostAccess: false,
+    });
+
+    const cancelled = { ...active, state: "CANCELLED" };
+    expect(getTransition(active, cancelled)).toMatchObject({
+      legal: true,
+      cancelState: null,
+      lostAccess: true,
+    });
+
+    // Missed webhooks.
+    const started = { ...active, state: "PENDING" };
+    expect(getTransition(started, cancelled)).toHaveProperty("legal", false);
+  });
+});
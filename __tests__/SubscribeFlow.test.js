@@ -0,0 +1,245 @@
+const EventEmitter = require("eventemitter3");
+
+const MockDaisyAPI = require("../private/mock");
+const DaisySubscriptions = require("../common/DaisySubscriptions");
+const SubscribeFlow = require("../common/SubscribeFlow");
+const { fakeWeb3 } = require("./utils");
+
+describe("SubscribeFlow", () => {
+  const ACCOUNT = "0x3a3B1b31C5f8F29511b93B7C2a6A5C5D732AaA0e";
+  const HASH = `0x${"ab".repeat(32)}`;
+  const SIGNATURE = `0x${"cd".repeat(65)}`;
+
+  function memoryStorage() {
+    const items = {};
+    return {
+      items,
+      getItem: key => (key in items ? items[key] : null),
+      setItem: (key, value) => {
+        items[key] = value;
+      },
+      removeItem: key => {
+        delete items[key];
+      },
+    };
+  }
+
+  function setup({ allowance = "0", status = true } = {}) {
+    const api = new MockDaisyAPI({
+      managers: [
+        { identifier: "sub", plans: [{ name: "Monthly", price: "100" }] },
+      ],
+    });
+    const chain = fakeWeb3({
+      signature: SIGNATURE,
+      tokenAddress: api.db.tokens[0].address,
+    });
+    chain.balance = "1000";
+    chain.allowance = allowance;
+    // Mined with enough confirmations unless `chain.mining` is false.
+    chain.mining = true;
+    const approve = jest.fn(() => ({
+      send: jest.fn(() => {
+        const sent = new EventEmitter();
+        setTimeout(() => {
+          chain.pending(HASH);
+          sent.emit("transactionHash", HASH);
+          if (chain.mining) {
+            chain.mine(HASH, status);
+            chain.block += 10;
+          }
+        });
+        return sent;
+      }),
+    }));
+    chain.currency.methods.approve = approve;
+    const plan = api.db.managers[0].plans[0];
+    const daisy = new DaisySubscriptions({
+      manager: { identifier: "sub" },
+      withGlobals: { ...api.globals, web3: chain.web3 },
+    }).with(plan);
+    return { api, chain, daisy, plan, approve };
+  }
+
+  test("Approve, sign, submit and wait for the subscription", async () => {
+    const { api, daisy, plan, approve, chain } = setup();
+    const storage = memoryStorage();
+
+    const flow = daisy.subscribeFlow({
+      account: ACCOUNT,
+      plan,
+      maxExecutions: 3,
+      storage,
+      confirmations: 2,
+      interval: 5,
+    });
+    expect(flow).toBeInstanceOf(SubscribeFlow);
+    expect(flow.key).toBe(
+      `daisy:subscribe:sub:${plan.id}:${ACCOUNT.toLowerCase()}`
+    );
+
+    const steps = [];
+    flow.on("step", step => steps.push(step));
+    flow.on("submitted", ({ daisyId }) =>
+      setTimeout(() => api.transition(daisyId, "ACTIVE"), 20)
+    );
+    const approved = jest.fn();
+    flow.on("approved", approved);
+
+    const subscription = await flow.start();
+    expect(subscription).toMatchObject({
+      state: "ACTIVE",
+      account: ACCOUNT,
+      maxExecutions: "3",
+    });
+    expect(steps).toEqual([
+      "CHECK",
+      "APPROVE",
+      "CONFIRM",
+      "SIGN",
+      "SUBMIT",
+      "ACTIVATE",
+      "DONE",
+    ]);
+    expect(approve).toHaveBeenCalledWith(api.db.managers[0].address, "300");
+    expect(approved).toHaveBeenCalledWith(
+      expect.objectContaining({ transactionHash: HASH })
+    );
+    expect(chain.signatures()).toHaveLength(1);
+    expect(JSON.parse(storage.items[flow.key])).toMatchObject({
+      step: "DONE",
+      transactionHash: HASH,
+      signature: SIGNATURE,
+      subscription: { daisyId: subscription.daisyId },
+    });
+
+    // Finished flows resolve from the storage.
+    const again = daisy.subscribeFlow({ account: ACCOUNT, plan, storage });
+    await expect(again.start()).resolves.toEqual(subscription);
+    expect(approve).toHaveBeenCalledTimes(1);
+
+    await again.reset();
+    expect(storage.items).toEqual({});
+  });
+
+  test("Resume after a reload", async () => {
+    const { api, daisy, plan, approve, chain } = setup({
+      allowance: "100",
+    });
+    const storage = memoryStorage();
+
+    const authorize = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("Server is down"))
+      .mockImplementation(({ agreement, signature }) =>
+        daisy.submit({ agreement, signature })
+      );
+    const options = {
+      account: ACCOUNT,
+      plan: { ...plan, private: true },
+      storage,
+      authorize,
+      waitForActivation: false,
+    };
+
+    const flow = daisy.subscribeFlow(options);
+    const onError = jest.fn();
+    flow.on("error", onError);
+    await expect(flow.start()).rejects.toThrow("Server is down");
+    expect(onError).toHaveBeenCalledWith(expect.any(Error), "SUBMIT");
+    expect(approve).not.toHaveBeenCalled();
+
+    // New page: continues from the submission, without signing again.
+    const reloaded = daisy.subscribeFlow(options);
+    const subscription = await reloaded.start();
+    expect(subscription.state).toBe("PENDING");
+    expect(reloaded.step).toBe("DONE");
+    expect(chain.signatures()).toHaveLength(1);
+    expect(authorize).toHaveBeenCalledTimes(2);
+    expect(authorize).toHaveBeenLastCalledWith({
+      agreement: expect.objectContaining({ nonce: expect.any(String) }),
+      signature: SIGNATURE,
+    });
+    expect(api.db.subscriptions).toHaveLength(1);
+  });
+
+  test("Stop at blocking issues and failed steps", async () => {
+    const { daisy, plan, chain } = setup({ status: false });
+
+    // Private plans need the server.
+    const flow = daisy.subscribeFlow({
+      account: ACCOUNT,
+      plan: { ...plan, private: true },
+    });
+    await expect(flow.start()).rejects.toMatchObject({
+      code: "NOT_READY",
+      issues: [expect.objectContaining({ code: "AUTHORIZATION_REQUIRED" })],
+    });
+    expect(flow.step).toBe("CHECK");
+
+    // Reverted approve goes back to the first step.
+    const reverted = daisy.subscribeFlow({
+      account: ACCOUNT,
+      plan,
+      interval: 5,
+    });
+    await expect(reverted.start()).rejects.toMatchObject({
+      code: "APPROVE_FAILED",
+      transactionHash: HASH,
+    });
+    expect(reverted.step).toBe("CHECK");
+
+    // Stopped while waiting for confirmations.
+    chain.drop(HASH);
+    chain.mining = false;
+    const stopped = daisy.subscribeFlow({
+      account: ACCOUNT,
+      plan,
+      interval: 5,
+    });
+    const onError = jest.fn();
+    stopped.on("error", onError);
+    stopped.on("transactionHash", () => setTimeout(() => stopped.stop(), 20));
+    await expect(stopped.start()).rejects.toMatchObject({ code: "STOPPED" });
+    expect(stopped.step).toBe("CONFIRM");
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  test("Give up waiting for the subscription", async () => {
+    const { api, daisy, plan } = setup({ allowance: "100" });
+    const flow = daisy.subscribeFlow({
+      account: ACCOUNT,
+      plan,
+      interval: 5,
+      activationTimeout: 30,
+    });
+    const onError = jest.fn();
+    flow.on("error", onError);
+    await expect(flow.start()).rejects.toMatchObject({
+      code: "ACTIVATION_TIMEOUT",
+    });
+    expect(onError).toHaveBeenCalledWith(expect.any(Error), "ACTIVATE");
+    const { daisyId } = flow.state.subscription;
+
+    // `stop()` does not wait for the next poll.
+    flow.interval = 60000;
+    flow.activationTimeout = 60000;
+    const started = Date.now();
+    setTimeout(() => flow.stop(), 10);
+    await expect(flow.start()).rejects.toMatchObject({ code: "STOPPED" });
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(flow.step).toBe("ACTIVATE");
+
+    // Terminal states fail the flow.
+    flow.interval = 5;
+    api.transition(daisyId, "FAILED");
+    await expect(flow.start()).rejects.toMatchObject({
+      code: "SUBSCRIPTION_FAILED",
+    });
+    expect(flow.step).toBe("FAILED");
+    await expect(flow.start()).rejects.toMatchObject({
+      code: "SUBSCRIPTION_FAILED",
+      subscription: expect.objectContaining({ state: "FAILED" }),
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const EventEmitter = require("eventemitter3");
+
+const TransactionTracker = require("../common/TransactionTracker");
+const DaisySubscriptions = require("../common/DaisySubscriptions");
+const DaisyPayments = require("../common/DaisyPayments");
+const { ZERO_ADDRESS } = require("../common/helpers");
+const { fakeWeb3 } = require("./utils");
+
+describe("TransactionTracker", () => {
+  const FROM = "0x1111111111111111111111111111111111111111";
+  const TO = "0x2222222222222222222222222222222222222222";
+
+  function once(emitter, event) {
+    return new Promise(resolve =>
+      emitter.once(event, (...args) => resolve(args))
+    );
+  }
+
+  test("Follow a transaction until it is confirmed", async () => {
+    const chain = fakeWeb3({ from: FROM, to: TO });
+    chain.pending("0xa");
+    const tracker = new TransactionTracker(chain.web3, "0xa", {
+      confirmations: 2,
+      interval: 1,
+    });
+    const confirmations = [];
+    tracker.on("confirmation", n => confirmations.push(n));
+
+    const seen = once(tracker, "pending");
+    tracker.start();
+    await expect(seen).resolves.toEqual([
+      expect.objectContaining({ hash: "0xa" }),
+    ]);
+
+    const mined = once(tracker, "mined");
+    chain.mine("0xa");
+    await expect(mined).resolves.toEqual([
+      expect.objectContaining({ transactionHash: "0xa" }),
+    ]);
+
+    const confirmed = once(tracker, "confirmed");
+    chain.block += 2;
+    await confirmed;
+    expect(confirmations[0]).toBe(0);
+    expect(confirmations[confirmations.length - 1]).toBe(2);
+    expect(tracker.started).toBe(false);
+
+    const calls = chain.web3.eth.getTransactionReceipt.mock.calls.length;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(chain.web3.eth.getTransactionReceipt).toHaveBeenCalledTimes(calls);
+  });
+
+  test("Detect reverted and dropped transactions", async () => {
+    const chain = fakeWeb3({ from: FROM, to: TO });
+    chain.pending("0xa");
+    chain.mine("0xa", false);
+    const reverted = new TransactionTracker(chain.web3, "0xa", {
+      interval: 1,
+    });
+    const mined = jest.fn();
+    reverted.on("mined", mined);
+    await once(reverted.start(), "reverted");
+    expect(mined).not.toHaveBeenCalled();
+
+    const dropped = new TransactionTracker(chain.web3, "0xb", {
+      interval: 1,
+      dropTimeout: 10,
+    });
+    await once(dropped.start(), "dropped");
+    expect(dropped.started).toBe(false);
+  });
+
+  test("Follow sped up transactions", async () => {
+    const chain = fakeWeb3({ from: FROM, to: TO });
+    chain.pending("0xa", { gasPrice: "1" });
+    const tracker = new TransactionTracker(chain.web3, "0xa", {
+      confirmations: 0,
+      interval: 1,
+    }).start();
+    await once(tracker, "pending");
+
+    const replaced = once(tracker, "replaced");
+    chain.drop("0xa");
+    chain.pending("0xb", { gasPrice: "2" });
+    chain.mine("0xb");
+    const [transaction, reason] = await replaced;
+    expect(transaction).toHaveProperty("hash", "0xb");
+    expect(reason).toBe("repriced");
+
+    const [receipt] = await once(tracker, "confirmed");
+    expect(receipt).toHaveProperty("transactionHash", "0xb");
+  });
+
+  test("Stop on cancelled transactions", async () => {
+    const chain = fakeWeb3({ from: FROM, to: TO });
+    chain.pending("0xa");
+    const tracker = new TransactionTracker(chain.web3, "0xa", {
+      interval: 1,
+    }).start();
+    await once(tracker, "pending");
+
+    chain.drop("0xa");
+    chain.pending("0xc", { to: FROM, input: "0x" });
+    chain.mine("0xc");
+    const [, reason] = await once(tracker, "replaced");
+    expect(reason).toBe("cancelled");
+    expect(tracker.started).toBe(false);
+  });
+
+  test("Use newBlockHeaders subscriptions", async () => {
+    const chain = fakeWeb3({ from: FROM, to: TO });
+    const headers = new EventEmitter();
+    headers.unsubscribe = jest.fn().mockResolvedValue(true);
+    chain.web3.eth.subscribe = jest.fn(() => headers);
+    chain.web3.currentProvider = { supportsSubscriptions: () => true };
+    chain.pending("0xa");
+    chain.mine("0xa");
+
+    const tracker = new TransactionTracker(chain.web3, "0xa", {
+      confirmations: 1,
+    }).start();
+    expect(chain.web3.eth.subscribe).toHaveBeenCalledWith("newBlockHeaders");
+    await once(tracker, "confirmation");
+
+    const confirmed = once(tracker, "confirmed");
+    chain.block += 1;
+    headers.emit("data", { number: chain.block });
+    await confirmed;
+    await Promise.resolve();
+    expect(headers.unsubscribe).toHaveBeenCalled();
+  });
+
+  test("Unsubscribe before polling when subscriptions fail", async () => {
+    const chain = fakeWeb3({ from: FROM, to: TO });
+    const headers = new EventEmitter();
+    headers.unsubscribe = jest.fn().mockResolvedValue(true);
+    chain.web3.eth.subscribe = jest.fn(() => headers);
+    chain.pending("0xa");
+
+    const tracker = new TransactionTracker(chain.web3, "0xa", {
+      confirmations: 0,
+      interval: 1,
+      subscribe: true,
+    }).start();
+    const error = once(tracker, "error");
+    headers.emit("error", new Error("connection closed"));
+    await error;
+    await Promise.resolve();
+    expect(headers.unsubscribe).toHaveBeenCalled();
+    expect(tracker.subscription).toBe(null);
+
+    // Polling takes over.
+    chain.mine("0xa");
+    await once(tracker, "confirmed");
+  });
+
+  test("resume() and pay() return trackers", async () => {
+    const chain = fakeWeb3({ from: FROM, to: TO });
+    chain.pending("0xa");
+    chain.mine("0xa");
+    const withGlobals = { web3: chain.web3 };
+
+    const subscriptions = new DaisySubscriptions({
+      manager: { identifier: "id" },
+      withGlobals,
+    });
+    const tracker = subscriptions.resume(
+      { transactionHash: "0xa" },
+      { confirmations: 0, interval: 1 }
+    );
+    expect(tracker).toBeInstanceOf(TransactionTracker);
+    await once(tracker, "confirmed");
+
+    // Sent after checking the network.
+    const sending = emitter =>
+      new Promise(resolve => {
+        chain.web3.eth.sendTransaction = jest.fn(() => {
+          resolve();
+          return emitter;
+        });
+      });
+    const promiEvent = new EventEmitter();
+    const sent = sending(promiEvent);
+    const payments = new DaisyPayments({
+      manager: { identifier: "id", networkId: 4 },
+      withGlobals,
+    });
+    const result = payments
+      .with({ tokenAddress: ZERO_ADDRESS })
+      .pay(
+        { invoicedPrice: "10", address: TO },
+        { from: FROM },
+        { confirmations: 0, interval: 1 }
+      );
+    expect(result.tracker.started).toBe(false);
+    await sent;
+
+    chain.pending("0xd");
+    const mined = once(result.tracker, "mined");
+    promiEvent.emit("transactionHash", "0xd");
+    chain.mine("0xd");
+    await mined;
+    expect(chain.web3.eth.sendTransaction).toHaveBeenCalledWith({
+      from: FROM,
+      to: TO,
+      value: "10",
+    });
+
+    // Not tracked until `tracker` is used.
+    const untracked = new EventEmitter();
+    const sentLater = sending(untracked);
+    const lazy = payments
+      .with({ tokenAddress: ZERO_ADDRESS })
+      .pay(
+        { invoicedPrice: "10", address: TO },
+        { from: FROM },
+        { confirmations: 0, interval: 1 }
+      );
+    await sentLater;
+    chain.pending("0xe");
+    chain.mine("0xe");
+    const receipts = chain.web3.eth.getTransactionReceipt.mock.calls.length;
+    untracked.emit("transactionHash", "0xe");
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(chain.web3.eth.getTransactionReceipt).toHaveBeenCalledTimes(
+      receipts
+    );
+    await once(lazy.tracker, "confirmed");
+  });
+});
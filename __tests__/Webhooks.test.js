@@ -0,0 +1,398 @@
+const WebhookHandler = require("../private/WebhookHandler");
+const fixtures = require("../private/fixtures");
+const {
+  sign,
+  verify,
+  verifyEvent,
+  generateKeyPair,
+  MemoryStore,
+} = require("../private/webhooks");
+const { DaisyWebhookError, DaisyValidationError } = require("../common/errors");
+
+describe("Webhooks", () => {
+  const { publicKey, privateKey } = generateKeyPair();
+
+  function signed(message) {
+    return fixtures.signedEvent(message, privateKey);
+  }
+
+  function subscriptionEvent(overrides = {}) {
+    return {
+      id: "evt_1",
+      type: "subscription.cancelled",
+      timestamp: Date.now(),
+      data: {
+        daisyId: "daisy-1",
+        account: "0x0",
+        state: "CANCELLED",
+        endedAt: null,
+      },
+      ...overrides,
+    };
+  }
+
+  describe("sign", () => {
+    test("Produce the canonical form `verify` expects", () => {
+      const message = { b: 1, a: { d: [{ f: 1, e: 2 }], c: null } };
+      const digest = sign({ message, privateKey });
+
+      expect(verify({ message, digest, publicKey })).toBe(true);
+      // Key order does not matter.
+      const reordered = { a: { c: null, d: [{ e: 2, f: 1 }] }, b: 1 };
+      expect(verify({ message: reordered, digest, publicKey })).toBe(true);
+      expect(verify({ message: { ...message, b: 2 }, digest, publicKey })).toBe(
+        false
+      );
+
+      const other = generateKeyPair();
+      expect(verify({ message, digest, publicKey: other.publicKey })).toBe(
+        false
+      );
+    });
+
+    test("Fixtures for every subscription and invoice state", async () => {
+      const handler = new WebhookHandler({ publicKey });
+      const events = {
+        ...fixtures.subscriptionEvents(),
+        ...fixtures.invoiceEvents(),
+      };
+
+      for (const event of Object.values(events)) {
+        const parsed = await handler.handle(signed(event));
+        expect(parsed).toHaveProperty("type", event.type);
+      }
+
+      const subscriptions = fixtures.subscriptionEvents({ account: "0xabc" });
+      expect(Object.keys(subscriptions)).toEqual(fixtures.SUBSCRIPTION_STATES);
+      expect(subscriptions["CANCELLED"]).toMatchObject({
+        type: "subscription.cancelled",
+        data: { state: "CANCELLED", account: "0xabc" },
+      });
+      expect(fixtures.invoiceEvents()["PAID"]).toMatchObject({
+        type: "invoice.paid",
+        data: { state: "PAID" },
+      });
+      expect(fixtures.receiptEvent()).toHaveProperty("type", "receipt.created");
+    });
+  });
+
+  describe("verifyEvent", () => {
+    /**
+     * Stand-in for a Redis adapter: `SET key 1 NX PX ttl`.
+     */
+    class FakeRedisStore {
+      constructor() {
+        this.keys = {};
+      }
+
+      remember(id, ttl) {
+        const key = `daisy:webhook:${id}`;
+        if (this.keys[key]) {
+          return Promise.resolve(false);
+        }
+        this.keys[key] = ttl;
+        return Promise.resolve(true);
+      }
+
+      forget(id) {
+        delete this.keys[`daisy:webhook:${id}`];
+        return Promise.resolve();
+      }
+    }
+
+    test("Enforce timestamp tolerance", async () => {
+      const { body, signature } = signed(
+        subscriptionEvent({ timestamp: Math.floor(Date.now() / 1000) - 120 })
+      );
+      const input = { message: body, digest: signature, publicKey };
+
+      await expect(
+        verifyEvent({ ...input, tolerance: 60000 })
+      ).rejects.toHaveProperty("reason", "STALE_TIMESTAMP");
+      await expect(
+        verifyEvent({ ...input, tolerance: 180000 })
+      ).resolves.toHaveProperty("id", "evt_1");
+      // Without timestamp check, ids must be kept forever.
+      await expect(verifyEvent({ ...input, tolerance: 0 })).rejects.toThrow(
+        DaisyValidationError
+      );
+      await expect(
+        verifyEvent({ ...input, tolerance: 0, store: new MemoryStore() })
+      ).rejects.toThrow(DaisyValidationError);
+      const store = new FakeRedisStore();
+      await expect(
+        verifyEvent({ ...input, tolerance: 0, store })
+      ).resolves.toBeTruthy();
+      expect(store.keys["daisy:webhook:evt_1"]).toBe(Infinity);
+      expect(() => new WebhookHandler({ publicKey, tolerance: 0 })).toThrow(
+        DaisyValidationError
+      );
+      expect(() => new WebhookHandler({ publicKey: "" })).toThrow(
+        DaisyValidationError
+      );
+
+      const untimed = signed({ id: "evt_2" });
+      await expect(
+        verifyEvent({
+          message: untimed.body,
+          digest: untimed.signature,
+          publicKey,
+          requireTimestamp: true,
+        })
+      ).rejects.toHaveProperty("reason", "STALE_TIMESTAMP");
+    });
+
+    test.each([["MemoryStore", MemoryStore], ["Custom store", FakeRedisStore]])(
+      "Remember processed ids with %s",
+      async (name, Store) => {
+        const store = new Store();
+        const { body, signature } = signed(subscriptionEvent());
+        const input = { message: body, digest: signature, publicKey, store };
+
+        await expect(verifyEvent(input)).resolves.toHaveProperty("id");
+        await expect(verifyEvent(input)).rejects.toHaveProperty(
+          "reason",
+          "REPLAYED"
+        );
+
+        await store.forget("evt_1");
+        await expect(verifyEvent(input)).resolves.toHaveProperty("id");
+      }
+    );
+
+    test("Keep ids of messages without timestamp forever", async () => {
+      const store = new FakeRedisStore();
+      const { body, signature } = signed({ id: "evt_3" });
+      const input = { message: body, digest: signature, publicKey, store };
+
+      await expect(verifyEvent(input)).resolves.toHaveProperty("id", "evt_3");
+      expect(store.keys["daisy:webhook:evt_3"]).toBe(Infinity);
+
+      // Still a replay after twice the tolerance.
+      const memory = { ...input, store: new MemoryStore() };
+      await expect(verifyEvent(memory)).resolves.toBeTruthy();
+      const now = Date.now();
+      const spy = jest.spyOn(Date, "now").mockReturnValue(now + 11 * 60000);
+      await expect(verifyEvent(memory)).rejects.toHaveProperty(
+        "reason",
+        "REPLAYED"
+      );
+      spy.mockRestore();
+    });
+
+    test("Verify raw Buffer bodies", async () => {
+      const { body, signature } = signed(subscriptionEvent());
+      await expect(
+        verifyEvent({
+          message: Buffer.from(body),
+          digest: signature,
+          publicKey,
+          store: new MemoryStore(),
+        })
+      ).resolves.toHaveProperty("id", "evt_1");
+    });
+
+    test("Protect messages without id", async () => {
+      const store = new MemoryStore();
+      const { body, signature } = signed({ timestamp: Date.now() });
+      const input = { message: body, digest: signature, publicKey, store };
+
+      await expect(verifyEvent(input)).resolves.toBeTruthy();
+      await expect(verifyEvent(input)).rejects.toHaveProperty(
+        "reason",
+        "REPLAYED"
+      );
+
+      const anonymous = signed({ type: "subscription.cancelled" });
+      await expect(
+        verifyEvent({
+          message: anonymous.body,
+          digest: anonymous.signature,
+          publicKey,
+        })
+      ).rejects.toHaveProperty("reason", "INVALID_PAYLOAD");
+    });
+
+    test("Share a store between handlers", async () => {
+      const store = new FakeRedisStore();
+      const a = new WebhookHandler({ publicKey, store });
+      const b = new WebhookHandler({ publicKey, store });
+      const payload = signed(subscriptionEvent());
+
+      await a.handle(payload);
+      await expect(b.handle(payload)).rejects.toHaveProperty(
+        "reason",
+        "REPLAYED"
+      );
+    });
+  });
+
+  describe("WebhookHandler", () => {
+    test("Verify, parse and dispatch events", async () => {
+      const handler = new WebhookHandler({ publicKey });
+      const cancelled = jest.fn();
+      const any = jest.fn();
+      const other = jest.fn();
+      handler
+        .on("subscription.cancelled", cancelled)
+        .on("*", any)
+        .on("invoice.paid", other);
+
+      const event = await handler.handle(signed(subscriptionEvent()));
+      expect(event).toMatchObject({
+        id: "evt_1",
+        type: "subscription.cancelled",
+        subscription: { daisyId: "daisy-1", state: "CANCELLED" },
+      });
+      expect(event.createdAt).toBeInstanceOf(Date);
+      expect(cancelled).toHaveBeenCalledWith(event);
+      expect(any).toHaveBeenCalledWith(event);
+      expect(other).not.toHaveBeenCalled();
+    });
+
+    test("Infer the type of untyped payloads", async () => {
+      const handler = new WebhookHandler({ publicKey });
+
+      const invoice = await handler.handle(
+        signed({
+          identifier: "inv",
+          invoicedPrice: "100",
+          state: "PAID",
+          createdAt: new Date().toISOString(),
+        })
+      );
+      expect(invoice).toHaveProperty("type", "invoice.paid");
+      expect(invoice).toHaveProperty("invoice.identifier", "inv");
+
+      const subscription = await handler.handle(
+        signed({
+          daisyId: "daisy-1",
+          state: "ACTIVE_CANCELLED",
+          createdAt: new Date().toISOString(),
+        })
+      );
+      expect(subscription).toHaveProperty(
+        "type",
+        "subscription.active_cancelled"
+      );
+    });
+
+    test("Reject invalid signatures", async () => {
+      const handler = new WebhookHandler({ publicKey });
+      const { body } = signed(subscriptionEvent());
+      const { signature } = signed(subscriptionEvent({ id: "evt_2" }));
+
+      const error = await handler.handle({ body, signature }).catch(e => e);
+      expect(error).toBeInstanceOf(DaisyWebhookError);
+      expect(error).toHaveProperty("reason", "INVALID_SIGNATURE");
+
+      await expect(handler.handle({ body })).rejects.toHaveProperty(
+        "reason",
+        "INVALID_SIGNATURE"
+      );
+      await expect(
+        handler.handle({ body: "{", signature })
+      ).rejects.toHaveProperty("reason", "INVALID_PAYLOAD");
+    });
+
+    test("Reject stale events and replays", async () => {
+      const handler = new WebhookHandler({ publicKey, tolerance: 60000 });
+
+      const stale = signed(
+        subscriptionEvent({ timestamp: Date.now() - 61000 })
+      );
+      await expect(handler.handle(stale)).rejects.toHaveProperty(
+        "reason",
+        "STALE_TIMESTAMP"
+      );
+
+      const fresh = signed(subscriptionEvent());
+      await handler.handle(fresh);
+      await expect(handler.handle(fresh)).rejects.toHaveProperty(
+        "reason",
+        "REPLAYED"
+      );
+    });
+
+    test("Do not mark failed events as processed", async () => {
+      const handler = new WebhookHandler({ publicKey });
+      const listener = jest
+        .fn()
+        .mockRejectedValueOnce(new Error("Database down"))
+        .mockResolvedValueOnce();
+      handler.on("subscription.cancelled", listener);
+
+      const payload = signed(subscriptionEvent());
+      await expect(handler.handle(payload)).rejects.toThrow("Database down");
+      await expect(handler.handle(payload)).resolves.toHaveProperty("id");
+    });
+
+    test("Release events when a listener throws synchronously", async () => {
+      const handler = new WebhookHandler({ publicKey });
+      const listener = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new Error("sync boom");
+        })
+        .mockImplementationOnce(() => undefined);
+      handler.on("subscription.cancelled", listener);
+
+      const payload = signed(subscriptionEvent());
+      await expect(handler.handle(payload)).rejects.toThrow("sync boom");
+      await expect(handler.handle(payload)).resolves.toHaveProperty("id");
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    test("Express middleware", async () => {
+      const handler = new WebhookHandler({ publicKey });
+      const middleware = handler.express();
+      const { body, signature } = signed(subscriptionEvent());
+
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis(),
+      };
+      const next = jest.fn();
+      const req = {
+        body: Buffer.from(body),
+        headers: { "x-daisy-signature": signature },
+      };
+
+      await middleware(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(200);
+
+      await middleware(req, res, next);
+      expect(res.status).toHaveBeenLastCalledWith(400);
+      expect(res.json).toHaveBeenLastCalledWith(
+        expect.objectContaining({ error: "REPLAYED" })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("Koa and Fastify adapters", async () => {
+      const handler = new WebhookHandler({ publicKey });
+      const first = signed(subscriptionEvent({ id: "evt_koa" }));
+      const second = signed(subscriptionEvent({ id: "evt_fastify" }));
+
+      const ctx = {
+        request: { rawBody: first.body },
+        get: name => (name === "x-daisy-signature" ? first.signature : ""),
+      };
+      await handler.koa()(ctx);
+      expect(ctx).toMatchObject({ status: 200, body: { received: true } });
+
+      const reply = {
+        code: jest.fn().mockReturnThis(),
+        send: jest.fn().mockReturnThis(),
+      };
+      await handler.fastify()(
+        {
+          body: JSON.parse(second.body),
+          headers: { "x-daisy-signature": second.signature },
+        },
+        reply
+      );
+      expect(reply.code).toHaveBeenCalledWith(200);
+    });
+  });
+});
@@ -1,5 +1,10 @@
 const sortBy = require("lodash/sortBy");
 const pick = require("lodash/pick");
+const { Response } = require("node-fetch"); // eslint-disable-line no-shadow
+const EventEmitter = require("eventemitter3");
+
+const MockDaisyAPI = require("../private/mock");
+const ServerSubscriptions = require("../private/ServerSubscriptions");
 
 require("dotenv").config();
 
@@ -64,6 +69,219 @@ function describeEach(array, accessor) {
   }
 }
 
+/**
+ * Create a `fetch` JSON response.
+ */
+function json(body, init = {}) {
+  return new Response(JSON.stringify(body), {
+    status: 200,
+    ...init,
+    headers: { "Content-Type": "application/json", ...init.headers },
+  });
+}
+
+/**
+ * Create a web3 `PromiEvent`: an event emitter that resolves like `promise`.
+ */
+function promiEvent(promise = Promise.resolve({ transactionHash: "0xa" })) {
+  const emitter = new EventEmitter();
+  emitter.then = (a, b) => promise.then(a, b);
+  return emitter;
+}
+
+/**
+ * Create a fake web3 instance backed by an in-memory chain. Use the returned
+ * `chain` to add transactions, mine them and move the latest block.
+ */
+function fakeWeb3({
+  chainId = 4,
+  signature = `0x${"cd".repeat(65)}`,
+  gasPrice = String(20e9),
+  baseFeePerGas = null,
+  tokenAddress = `0x${"3".repeat(40)}`,
+  from = "0x1111111111111111111111111111111111111111",
+  to = "0x2222222222222222222222222222222222222222",
+} = {}) {
+  const chain = {
+    chainId,
+    block: 100,
+    transactions: {},
+    receipts: {},
+    blocks: {},
+    counts: {},
+    events: [],
+    sent: [],
+    balance: "0",
+    allowance: "0",
+  };
+
+  const rpc = payload => {
+    if (payload.method === "eth_chainId") {
+      return `0x${chain.chainId.toString(16)}`;
+    }
+    return payload.method.startsWith("eth_signTypedData") ? signature : null;
+  };
+  const provider = {
+    request: jest.fn(payload => Promise.resolve(rpc(payload))),
+    sendAsync: jest.fn((payload, callback) =>
+      callback(null, { result: rpc(payload) })
+    ),
+  };
+
+  const send = jest.fn(() => {
+    const sent = promiEvent();
+    chain.sent.push(sent);
+    return sent;
+  });
+  const method = {
+    estimateGas: jest.fn(() => Promise.resolve(50000)),
+    send,
+  };
+  const currency = {
+    options: { address: tokenAddress },
+    methods: {
+      balanceOf: jest.fn(() => ({
+        call: () => Promise.resolve(chain.balance),
+      })),
+      allowance: jest.fn(() => ({
+        call: () => Promise.resolve(chain.allowance),
+      })),
+      approve: jest.fn(() => method),
+      transfer: jest.fn(() => method),
+    },
+    getPastEvents: jest.fn((name, { fromBlock, toBlock }) =>
+      Promise.resolve(
+        chain.events.filter(
+          e => e.blockNumber >= fromBlock && e.blockNumber <= toBlock
+        )
+      )
+    ),
+  };
+
+  const getBlock = number => {
+    const block = number === "latest" ? chain.block : number;
+    return {
+      number: block,
+      transactions: [],
+      ...chain.blocks[block],
+      ...(baseFeePerGas ? { baseFeePerGas } : {}),
+    };
+  };
+  const getBalance = (address, block = chain.block) =>
+    Object.values(chain.transactions)
+      .filter(
+        tx =>
+          tx.to.toLowerCase() === address.toLowerCase() &&
+          tx.blockNumber !== null &&
+          tx.blockNumber <= block &&
+          chain.receipts[tx.hash].status
+      )
+      .reduce((acc, tx) => acc + Number(tx.value), 0);
+
+  chain.web3 = {
+    currentProvider: provider,
+    utils: { randomHex: len => `0x${"1".repeat(len * 2)}` },
+    eth: {
+      Contract: jest.fn(() => currency),
+      sendTransaction: send,
+      estimateGas: jest.fn(() => Promise.resolve(21000)),
+      getGasPrice: jest.fn(() => Promise.resolve(gasPrice)),
+      getBlockNumber: jest.fn(() => Promise.resolve(chain.block)),
+      getBlock: jest.fn(number => Promise.resolve(getBlock(number))),
+      getBalance: jest.fn((address, block) =>
+        Promise.resolve(String(getBalance(address, block)))
+      ),
+      getTransaction: jest.fn(hash =>
+        Promise.resolve(chain.transactions[hash] || null)
+      ),
+      getTransactionReceipt: jest.fn(hash =>
+        Promise.resolve(chain.receipts[hash] || null)
+      ),
+      getTransactionCount: jest.fn(address =>
+        Promise.resolve(chain.counts[address] || 0)
+      ),
+    },
+  };
+  chain.provider = provider;
+  chain.currency = currency;
+  chain.method = method;
+  chain.send = send;
+
+  // Add a pending transaction.
+  chain.pending = (hash, tx = {}) => {
+    chain.transactions[hash] = {
+      hash,
+      from,
+      to,
+      nonce: 7,
+      value: "0",
+      input: "0xa9059cbb",
+      blockNumber: null,
+      ...tx,
+    };
+    return chain.transactions[hash];
+  };
+  // Mine a pending transaction in a new block.
+  chain.mine = (hash, status = true) => {
+    chain.block += 1;
+    const tx = chain.transactions[hash];
+    tx.blockNumber = chain.block;
+    tx.transactionIndex = 0;
+    chain.blocks[chain.block] = {
+      number: chain.block,
+      hash: `0xb${chain.block}`,
+      transactions: [tx],
+    };
+    chain.counts[tx.from] = tx.nonce + 1;
+    chain.receipts[hash] = {
+      transactionHash: hash,
+      blockNumber: chain.block,
+      status,
+    };
+    return tx;
+  };
+  chain.drop = hash => {
+    delete chain.transactions[hash];
+    delete chain.receipts[hash];
+  };
+  // Emit an ERC20 `Transfer` event in a new block.
+  chain.transfer = value => {
+    chain.block += 1;
+    chain.events.push({
+      transactionHash: `0x${chain.events.length}`,
+      logIndex: 0,
+      blockNumber: chain.block,
+      returnValues: { value },
+    });
+  };
+  // Typed data signature requests, through either provider method.
+  chain.signatures = () =>
+    [...provider.request.mock.calls, ...provider.sendAsync.mock.calls].filter(
+      ([payload]) => payload.method.startsWith("eth_signTypedData")
+    );
+
+  return chain;
+}
+
+/**
+ * Create a `MockDaisyAPI` with `fixtures` and an SDK instance for one of its
+ * managers, the first one by default. `create()` takes the same options to
+ * make more instances backed by the same API.
+ */
+function setupMockAPI(fixtures, options = {}) {
+  const api = new MockDaisyAPI(fixtures);
+  const [first] = api.db.managers;
+  const create = ({ SDK = ServerSubscriptions, manager, withGlobals } = {}) =>
+    new SDK({
+      manager: { identifier: first.identifier, ...manager },
+      withGlobals: { ...api.globals, ...withGlobals },
+    });
+  const daisy = create(options);
+  const { identifier = first.identifier } = options.manager || {};
+  const found = api.db.managers.find(m => m.identifier === identifier);
+  return { api, daisy, create, manager: found, plans: found.plans };
+}
+
 exports.INVALID = INVALID;
 exports.DSY = DSY;
 exports.SAI = SAI;
@@ -71,3 +289,7 @@ exports.SAI = SAI;
 exports.sort = sort;
 exports.CASE = CASE;
 exports.describeEach = describeEach;
+exports.json = json;
+exports.promiEvent = promiEvent;
+exports.fakeWeb3 = fakeWeb3;
+exports.setupMockAPI = setupMockAPI;
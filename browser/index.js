@@ -2,6 +2,10 @@
 
 import DaisySubscriptions from "../common/DaisySubscriptions";
 import DaisyPayments from "../common/DaisyPayments";
+import * as errors from "../common/errors";
+import * as states from "../common/states";
+import * as eip712 from "../common/eip712";
+import * as payloads from "../common/payloads";
 
 class DaisySDK extends DaisySubscriptions {
   constructor(manager, web3, override) {
@@ -21,4 +25,38 @@ DaisySDK.initPayments = function initPayments(...args) {
   return instance.sync();
 };
 
+/**
+ * Error classes, use them to branch with `instanceof`.
+ * @example
+ *
+ * try {
+ *   await daisy.getSubscription({ daisyId });
+ * } catch (error) {
+ *   if (error instanceof DaisySDK.errors.DaisyNotFoundError) {
+ *     // ...
+ *   }
+ * }
+ */
+DaisySDK.errors = errors;
+
+/**
+ * Subscription and invoice states, and helpers like `isEntitled` and `canCancel`.
+ * @example
+ *
+ * if (DaisySDK.states.canCancel(subscription)) {
+ *   // show cancel button
+ * }
+ */
+DaisySDK.states = states;
+
+/**
+ * EIP-712 domain helpers, like `managerDomain(manager)`.
+ */
+DaisySDK.eip712 = eip712;
+
+/**
+ * Pure builders of the payloads to sign, like `payloads.setWallet(domain, input)`.
+ */
+DaisySDK.payloads = payloads;
+
 export default DaisySDK;
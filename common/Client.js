@@ -2,8 +2,16 @@
 
 /* eslint promise/no-nesting: 0 */
 
+const {
+  DaisyNetworkError,
+  DaisyValidationError,
+  fromResponse,
+  parseRetryAfter,
+} = require("./errors");
+
 const CONTENT_TYPE = "Content-Type";
 const ACCEPT = "Accept";
+const IDEMPOTENCY_KEY = "Idempotency-Key";
 
 function base64(string) {
   if (typeof window !== "undefined" && window.btoa) {
@@ -28,6 +36,20 @@ function isObject(value) {
   return value && typeof value === "object" && value.constructor === Object;
 }
 
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Exponential backoff with "full jitter".
+ * @private
+ * @see {@link https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/}
+ */
+function backoff(attempt, { minDelay, maxDelay, factor, jitter }) {
+  const delay = Math.min(maxDelay, minDelay * factor ** (attempt - 1));
+  return jitter ? Math.round(Math.random() * delay) : delay;
+}
+
 /**
  * Base HTTP client
  */
@@ -39,6 +61,30 @@ class Client {
         [ACCEPT]: "application/json",
         [CONTENT_TYPE]: "application/json",
       },
+      timeout: 30000, // 30 seconds per attempt, `0` to disable.
+      retry: Client.DEFAULT_RETRY,
+    };
+  }
+
+  /**
+   * Default retry policy. Can be changed with `override.retry` or per call with `args.retry`.
+   * @property {number} attempts - Max attempts, including the first one. Set to `1` to disable retries.
+   * @property {number} minDelay - Base delay in milliseconds for the exponential backoff.
+   * @property {number} maxDelay - Upper bound of the delay between attempts. A `Retry-After` longer than this is not retried.
+   * @property {number} factor - Exponential factor.
+   * @property {boolean} jitter - Randomize delays to avoid synchronized retries.
+   * @property {number[]} statusCodes - HTTP status codes that can be retried.
+   * @property {string[]} methods - HTTP methods that can be retried. Methods other than `GET` and `HEAD` are only retried if the request has an `Idempotency-Key` header.
+   */
+  static get DEFAULT_RETRY() {
+    return {
+      attempts: 3,
+      minDelay: 300,
+      maxDelay: 10000,
+      factor: 2,
+      jitter: true,
+      statusCodes: [408, 429, 500, 502, 503, 504],
+      methods: ["get", "head"],
     };
   }
 
@@ -55,7 +101,12 @@ class Client {
     }
   }
 
-  static axiosify(response) {
+  /**
+   * @param {Response} response - `fetch` response.
+   * @param {Object} [request] - Request `url` and `method`, used to describe errors.
+   * @throws {module:common~DaisyAPIError} If the response status is not 2xx.
+   */
+  static axiosify(response, request = {}) {
     return Client.materialize(response).then(materialized => {
       if (response.ok) {
         return {
@@ -66,21 +117,14 @@ class Client {
           // config,
         };
       } else {
-        const error = new Error(materialized["message"]);
-        error.response = {
-          data: materialized,
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers,
-        };
-        throw error;
+        throw fromResponse(response, materialized, request);
       }
     });
   }
 
   static querystring(query = {}) {
     if (!isObject(query)) {
-      throw new TypeError("Query params should be an object.");
+      throw new DaisyValidationError("Query params should be an object.");
     }
 
     const params = new URLSearchParams();
@@ -106,8 +150,18 @@ class Client {
     return this.withGlobals.Headers || this.fetch.Headers || window.Headers;
   }
 
+  get AbortController() {
+    if (this.withGlobals.AbortController) {
+      return this.withGlobals.AbortController;
+    } else if (typeof AbortController !== "undefined") {
+      return AbortController;
+    }
+    return null;
+  }
+
   constructor(config, withGlobals = {}) {
     this.config = { ...Client.DEFAULT_CONFIG, ...config };
+    this.config.retry = { ...Client.DEFAULT_RETRY, ...this.config.retry };
     this.config.baseURL = this.config.baseURL.replace(/\/$/, ""); // Remove trailing slash.
     this.withGlobals = withGlobals;
   }
@@ -126,6 +180,22 @@ class Client {
    *   url: '/users/',
    *   query: { firstName: 'Fred' }
    *  }
+   *
+   * @example
+   * {
+   *   method: 'get',
+   *   url: '/users/',
+   *   timeout: 5000,
+   *   retry: { attempts: 5 }, // or `false` to disable retries.
+   *  }
+   *
+   * @example
+   * {
+   *   method: 'post',
+   *   url: '/users/',
+   *   data: { firstName: 'Fred' },
+   *   idempotencyKey: 'f0b1...', // sent as `Idempotency-Key`, same value on every retry.
+   *  }
    */
   request(
     args = {
@@ -135,10 +205,13 @@ class Client {
       query: {},
       data: undefined,
       auth: {},
+      timeout: undefined,
+      retry: undefined,
+      idempotencyKey: undefined,
     }
   ) {
     // eslint-disable-next-line no-shadow
-    const { fetch, Headers } = this;
+    const { Headers } = this;
 
     const method = args.method.toLowerCase();
 
@@ -155,6 +228,9 @@ class Client {
     if (auth.username || auth.password) {
       headers.set("Authorization", basic(auth));
     }
+    if (args.idempotencyKey) {
+      headers.set(IDEMPOTENCY_KEY, args.idempotencyKey);
+    }
 
     const body = args.data ? JSON.stringify(args.data) : undefined;
 
@@ -164,11 +240,105 @@ class Client {
       body,
     };
 
-    return fetch(url, config).then(Client.axiosify, requestError => {
-      // eslint-disable-next-line no-param-reassign
-      requestError.request = {};
-      throw requestError;
+    const timeout =
+      args.timeout !== undefined ? args.timeout : this.config.timeout;
+    const retry =
+      args.retry === false
+        ? { ...this.config.retry, attempts: 1 }
+        : { ...this.config.retry, ...args.retry };
+    const idempotent =
+      ["get", "head"].includes(method) || headers.has(IDEMPOTENCY_KEY);
+    const retryable =
+      idempotent && retry.methods.map(m => m.toLowerCase()).includes(method);
+
+    const attempt = n => {
+      const canRetry = retryable && n < retry.attempts;
+
+      return this.send(url, config, timeout).then(
+        response => {
+          if (
+            canRetry &&
+            !response.ok &&
+            retry.statusCodes.includes(response.status)
+          ) {
+            const retryAfter = parseRetryAfter(response.headers);
+            if (retryAfter === null || retryAfter <= retry.maxDelay) {
+              const delay = Math.max(retryAfter || 0, backoff(n, retry));
+              return wait(delay).then(() => attempt(n + 1));
+            }
+          }
+          return Client.axiosify(response, { url, method });
+        },
+        requestError => {
+          if (canRetry) {
+            return wait(backoff(n, retry)).then(() => attempt(n + 1));
+          }
+          throw requestError;
+        }
+      );
+    };
+
+    return attempt(1);
+  }
+
+  /**
+   * Single `fetch` call with a timeout.
+   * @private
+   * @param {string} url - Full URL.
+   * @param {Object} config - `fetch` options.
+   * @param {number} [timeout] - Milliseconds before aborting the request. Falsy to wait forever.
+   * @returns {Promise<Response>}
+   */
+  send(url, config, timeout) {
+    // eslint-disable-next-line no-shadow
+    const { fetch, AbortController } = this;
+    const method = config.method.toUpperCase();
+
+    const onError = requestError => {
+      throw new DaisyNetworkError(requestError.message, {
+        code: requestError.code,
+        url,
+        method,
+        timeout: requestError.code === "ETIMEDOUT",
+        cause: requestError,
+        request: { url, method },
+      });
+    };
+
+    if (!timeout) {
+      return fetch(url, config).catch(onError);
+    }
+
+    const controller = AbortController ? new AbortController() : null;
+    let timer = null;
+    const expiration = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(
+          `Request to ${url} timed out after ${timeout}ms.`
+        );
+        error.code = "ETIMEDOUT";
+        reject(error);
+        // Abort after rejecting so the timeout wins the race.
+        if (controller) {
+          controller.abort();
+        }
+      }, timeout);
+    });
+    const request = fetch(url, {
+      ...config,
+      signal: controller ? controller.signal : undefined,
     });
+
+    return Promise.race([request, expiration]).then(
+      response => {
+        clearTimeout(timer);
+        return response;
+      },
+      error => {
+        clearTimeout(timer);
+        return onError(error);
+      }
+    );
   }
 
   HEAD(url, query) {
@@ -1,8 +1,23 @@
 /** @module common */
 
 const Client = require("./Client");
-const { isObject, isBrowser, isEther } = require("./helpers");
+const {
+  isObject,
+  isBrowser,
+  isEther,
+  getChainId,
+  switchChain,
+  signTypedData,
+  genNonce,
+} = require("./helpers");
 const ERC20 = require("../contracts/lite/ERC20.json");
+const {
+  DaisyError,
+  DaisyValidationError,
+  DaisyWrongNetworkError,
+} = require("./errors");
+const { deferPromiEvent } = require("./fees");
+const { toQuery, toPage } = require("./pagination");
 
 /**
  * @extends module:common~Client
@@ -14,13 +29,13 @@ class ClientSDK extends Client {
     } else if (isBrowser()) {
       return window.web3;
     } else {
-      throw new Error("Web3 not present.");
+      throw new DaisyError("Web3 not present.");
     }
   }
 
   constructor({ manager, override, withGlobals }) {
     if (!manager) {
-      throw new TypeError(
+      throw new DaisyValidationError(
         "daisy-sdk: Missing `manager` first argument when constructing."
       );
     } else if (!manager.identifier) {
@@ -51,9 +66,9 @@ class ClientSDK extends Client {
    */
   loadToken(payable) {
     if (!payable) {
-      throw new TypeError("Payable resource argument missing.");
+      throw new DaisyValidationError("Payable resource argument missing.");
     } else if (!payable["tokenAddress"]) {
-      throw new TypeError(
+      throw new DaisyValidationError(
         "Payable resource argument has missing `tokenAddress` property."
       );
     }
@@ -64,6 +79,120 @@ class ClientSDK extends Client {
     return new this.web3.eth.Contract(ERC20["abi"], payable["tokenAddress"]);
   }
 
+  /**
+   * Network of the manager (or payment group), known after `sync()`.
+   * @private
+   * @returns {?number}
+   */
+  get expectedNetworkId() {
+    const networkId = this.manager["networkId"];
+    return networkId ? Number(networkId) : null;
+  }
+
+  /**
+   * Check that the wallet is connected to the network of the manager (or payment group).
+   * Every signature and transaction does it before asking the wallet. The manager is
+   * synced first if its network is not known yet, see `sync()`.
+   * @async
+   * @returns {Promise<number>} - Chain id of the wallet.
+   * @throws {module:common~DaisyWrongNetworkError} If the networks do not match.
+   * @throws {module:common~DaisyValidationError} If the network of the manager is still unknown after `sync()`.
+   *
+   * @example
+   *
+   * try {
+   *   await daisy.checkNetwork();
+   * } catch (error) {
+   *   if (error instanceof DaisySDK.errors.DaisyWrongNetworkError) {
+   *     await daisy.switchNetwork();
+   *   }
+   * }
+   */
+  checkNetwork() {
+    const syncing =
+      this.expectedNetworkId === null
+        ? Promise.resolve().then(() => this.sync())
+        : Promise.resolve();
+    return syncing
+      .then(() => {
+        if (this.expectedNetworkId === null) {
+          throw new DaisyValidationError(
+            "Unknown network: the manager has no `networkId`."
+          );
+        }
+        return getChainId(this.web3);
+      })
+      .then(networkId => {
+        const expectedNetworkId = this.expectedNetworkId;
+        if (networkId !== expectedNetworkId) {
+          throw new DaisyWrongNetworkError(
+            `Wallet is connected to network ${networkId}, expected ${expectedNetworkId}.`,
+            { code: "WRONG_NETWORK", networkId, expectedNetworkId }
+          );
+        }
+        return networkId;
+      });
+  }
+
+  /**
+   * Ask the wallet to switch to the network of the manager (or payment group) with
+   * `wallet_switchEthereumChain`. Needs a synced manager, see `sync()`.
+   * @async
+   * @returns {Promise<null>}
+   * @throws {module:common~DaisySignatureRejectedError} If the user rejects the request.
+   */
+  switchNetwork() {
+    const expectedNetworkId = this.expectedNetworkId;
+    if (expectedNetworkId === null) {
+      return Promise.reject(
+        new DaisyValidationError("Unknown network, call `sync()` first.")
+      );
+    }
+    return switchChain(this.web3, expectedNetworkId);
+  }
+
+  /**
+   * Sign typed data with `withGlobals.signer` if set, otherwise with the web3 wallet
+   * after {@link module:common~ClientSDK#checkNetwork}.
+   * @async
+   * @private
+   */
+  signTypedData(account, typedData) {
+    const signer = this.withGlobals.signer;
+    if (signer) {
+      return Promise.resolve(signer.getAddress()).then(address => {
+        if (account && account.toLowerCase() !== address.toLowerCase()) {
+          throw new DaisyValidationError(
+            `Signer address ${address} does not match account ${account}.`
+          );
+        }
+        return signer.signTypedData(typedData);
+      });
+    }
+    return this.checkNetwork().then(() =>
+      signTypedData(this.web3, account, typedData)
+    );
+  }
+
+  /**
+   * Random nonce for agreements. Does not need web3 with `withGlobals.signer`.
+   * @private
+   * @returns {string}
+   */
+  genNonce() {
+    return genNonce(this.withGlobals.signer ? null : this.web3);
+  }
+
+  /**
+   * Send a transaction after {@link module:common~ClientSDK#checkNetwork}.
+   * @private
+   * @param {Function} send - Returns the PromiEvent.
+   * @returns {external:PromiEvent}
+   */
+  sendOnNetwork(send) {
+    return deferPromiEvent(this.checkNetwork(), send);
+  }
+
   /**
    * Check balance of spender. We recommend parsing the return value to a BigNumber.
    * @async
@@ -81,7 +210,7 @@ class ClientSDK extends Client {
    */
   balanceOf(account, currency = null) {
     if (!account) {
-      throw new TypeError(
+      throw new DaisyValidationError(
         `balanceOf() was called without a "owner" specified. Be sure to call balanceOf() like: daisy.with(payable).balanceOf(account)`
       );
     } else if (isObject(account)) {
@@ -99,6 +228,24 @@ class ClientSDK extends Client {
     return this.web3.eth.getBalance(account);
   }
 
+  /**
+   * Get a single page of a list endpoint, keeping the pagination metadata.
+   * @async
+   * @private
+   * @param {string} url - List endpoint.
+   * @param {Object} [filter={}] - Filtering criteria.
+   * @param {Object} [page={}] - Page options: `limit` and `offset`, or `cursor`.
+   * @returns {Promise<module:common~Page>}
+   */
+  requestPage(url, filter = {}, page = {}) {
+    const query = toQuery(page || {});
+    return this.request({
+      method: "get",
+      url,
+      query: { ...filter, ...query },
+    }).then(({ data: body }) => toPage(body, query));
+  }
+
   /**
    * Search tokens.
    * @async
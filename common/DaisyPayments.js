@@ -1,7 +1,163 @@
 /** @module common */
 
+/* eslint promise/no-nesting: 0 */
+
 const ClientSDK = require("./ClientSDK");
-const { isEther } = require("./helpers");
+const { isEther, ZERO_ADDRESS } = require("./helpers");
+const { DaisyValidationError } = require("./errors");
+const { PageIterator } = require("./pagination");
+const TransactionTracker = require("./TransactionTracker");
+const InvoiceWatcher = require("./InvoiceWatcher");
+const { estimateFees, sendWithFees } = require("./fees");
+
+/**
+ * Max blocks scanned by {@link module:common.DaisyPaymentsOnToken#getTransfers} for ETH invoices.
+ * @private
+ */
+const MAX_BLOCK_RANGE = 100;
+
+/**
+ * Blocks requested at once when scanning for ETH transfers.
+ * @private
+ */
+const BLOCK_BATCH_SIZE = 25;
+
+function toBlockNumber(web3, block) {
+  if (block === undefined || block === "latest") {
+    return Promise.resolve(web3.eth.getBlockNumber()).then(Number);
+  } else if (block === "earliest") {
+    return Promise.resolve(0);
+  }
+  return Promise.resolve(Number(block));
+}
+
+/**
+ * ETH transfers are not events: look for successful transactions to `address`
+ * and report them as ERC20 `Transfer` events.
+ * Only top-level transactions are seen, not ETH sent by contracts (internal transactions).
+ * Without `fromBlock`, the last `maxBlockRange` blocks up to `toBlock` are scanned.
+ * @private
+ */
+function getEtherTransfers(
+  web3,
+  address,
+  { fromBlock, toBlock = "latest", maxBlockRange = MAX_BLOCK_RANGE } = {}
+) {
+  if (!address) {
+    return Promise.reject(
+      new DaisyValidationError("Missing `invoice.address` field.")
+    );
+  }
+  const to = address.toLowerCase();
+
+  return toBlockNumber(web3, toBlock)
+    .then(last => {
+      const first =
+        fromBlock === undefined
+          ? Promise.resolve(Math.max(last - maxBlockRange + 1, 0))
+          : toBlockNumber(web3, fromBlock);
+      return Promise.all([first, last]);
+    })
+    .then(([first, last]) => {
+      if (last - first + 1 > maxBlockRange) {
+        throw new DaisyValidationError(
+          `Can not scan ${last -
+            first +
+            1} blocks for ETH transfers, the limit is ${maxBlockRange}. Use a closer \`fromBlock\` or a bigger \`maxBlockRange\`.`
+        );
+      }
+
+      const candidates = [];
+      const scan = blockNumber => {
+        if (blockNumber > last) {
+          return Promise.resolve(candidates);
+        }
+        const count = Math.min(BLOCK_BATCH_SIZE, last - blockNumber + 1);
+        const numbers = Array.from(
+          { length: count },
+          (_, i) => blockNumber + i
+        );
+        return getBlocks(web3, numbers).then(blocks => {
+          for (const block of blocks) {
+            for (const tx of (block && block.transactions) || []) {
+              if (
+                tx.to &&
+                tx.to.toLowerCase() === to &&
+                String(tx.value) !== "0"
+              ) {
+                candidates.push({ block, tx });
+              }
+            }
+          }
+          return scan(blockNumber + count);
+        });
+      };
+
+      return scan(first)
+        .then(() =>
+          Promise.all(
+            candidates.map(({ tx }) => web3.eth.getTransactionReceipt(tx.hash))
+          )
+        )
+        .then(receipts =>
+          candidates
+            .filter((_, i) => receipts[i] && isSuccessful(receipts[i]))
+            .map(({ block, tx }) => {
+              const value = String(tx.value);
+              return {
+                event: "Transfer",
+                address: ZERO_ADDRESS,
+                blockNumber: tx.blockNumber,
+                blockHash: tx.blockHash || block.hash,
+                transactionHash: tx.hash,
+                transactionIndex: tx.transactionIndex,
+                logIndex: null,
+                returnValues: {
+                  0: tx.from,
+                  1: tx.to,
+                  2: value,
+                  from: tx.from,
+                  to: tx.to,
+                  value,
+                },
+              };
+            })
+        );
+    });
+}
+
+/**
+ * Blocks with their transactions, in a single JSON-RPC batch when web3 supports it
+ * (`web3.BatchRequest`, web3 1.x), otherwise with concurrent requests.
+ * @private
+ */
+function getBlocks(web3, numbers) {
+  const getBlock = web3.eth.getBlock;
+  if (!web3.BatchRequest || !getBlock.request) {
+    return Promise.all(numbers.map(n => web3.eth.getBlock(n, true)));
+  }
+  const batch = new web3.BatchRequest();
+  const blocks = numbers.map(
+    n =>
+      new Promise((resolve, reject) =>
+        batch.add(
+          getBlock.request(n, true, (error, block) =>
+            error ? reject(error) : resolve(block)
+          )
+        )
+      )
+  );
+  batch.execute();
+  return Promise.all(blocks);
+}
+
+function isSuccessful(receipt) {
+  return !(
+    receipt["status"] === false ||
+    receipt["status"] === 0 ||
+    receipt["status"] === "0x0"
+  );
+}
 
 /**
  * @typedef {Object} PaymentGroup - Payment's manager object.
@@ -167,6 +323,40 @@ class DaisyPayments extends ClientSDK {
     }).then(({ data: body }) => body.data);
   }
 
+  /**
+   * Get a page of invoices with its pagination metadata.
+   * @async
+   * @param {Object} [filter={}] - Filtering criteria, same as {@link module:common~DaisyPayments#getInvoices}.
+   * @param {Object} [page={}] - Page options. Use the `next` field of the previous page to get the following one.
+   * @param {number} [page.limit=50] - Page size.
+   * @param {number} [page.offset=0] - Offset (offset-based pagination).
+   * @param {string} [page.cursor] - Cursor (cursor-based pagination).
+   * @returns {Promise<module:common~Page>} - Page of {@link module:common~PaymentInvoice} with `total` and `next`.
+   *
+   * @example
+   *
+   * const { data, total, next } = await payments.getInvoicesPage({ state: "PAID" });
+   */
+  getInvoicesPage(filter = {}, page = {}) {
+    return this.requestPage("/otp/invoices/", filter, page);
+  }
+
+  /**
+   * Iterate over every invoice matching the filter, fetching pages on demand.
+   * @param {Object} [filter={}] - Filtering criteria, same as {@link module:common~DaisyPayments#getInvoices}.
+   * @param {Object} [page={}] - First page options, see {@link module:common~DaisyPayments#getInvoicesPage}.
+   * @returns {AsyncIterator<PaymentInvoice>} - Async iterator, also has a `toArray()` method.
+   *
+   * @example
+   *
+   * for await (const invoice of payments.iterateInvoices({ state: "PAID" })) {
+   *   console.log(invoice["identifier"]);
+   * }
+   */
+  iterateInvoices(filter = {}, page = {}) {
+    return new PageIterator(p => this.getInvoicesPage(filter, p), page);
+  }
+
   /**
    * Get single invoice.
    * @async
@@ -194,7 +384,7 @@ class DaisyPayments extends ClientSDK {
         url: `/otp/invoices/address/${address}/`,
       }).then(({ data: body }) => body.data);
     } else {
-      throw new TypeError("Missing arguments");
+      throw new DaisyValidationError("Missing arguments");
     }
   }
 
@@ -225,7 +415,7 @@ class DaisyPayments extends ClientSDK {
         url: `/otp/invoices/address/${address}/receipts/`,
       }).then(({ data: body }) => body.data);
     } else {
-      throw new TypeError("Missing arguments");
+      throw new DaisyValidationError("Missing arguments");
     }
   }
 }
@@ -269,7 +459,12 @@ class DaisyPaymentsOnToken extends DaisyPayments {
    * @param {string} invoice.address - Beneficiary of the transfer. See: {@link module:common~PaymentInvoice#address}.
    * @param {Object} sendArgs - Web3 arguments for transactions. Must have `from` field. @see {@link https://web3js.readthedocs.io/en/1.0/web3-eth-contract.html#methods-mymethod-send|web3js.readthedocs}
    * @param {string} sendArgs.from - User account Ethereum address (payer).
-   * @returns {external:PromiEvent} It's a transaction result object.
+   * @param {string|number} [sendArgs.maxFeePerGas] - EIP-1559 fees. On legacy networks it is sent as `gasPrice`.
+   * @param {string|number} [sendArgs.maxPriorityFeePerGas] - EIP-1559 fees. Ignored on legacy networks.
+   * @param {Object} [opts] - Options of {@link module:common~TransactionTracker}, like `confirmations`.
+   * @param {boolean|Object} [opts.estimate=false] - Fill `gas` if missing in `sendArgs` with {@link module:common.DaisyPaymentsOnToken#estimatePay}. Can be `{ multiplier }`.
+   * @param {boolean|string|module:common~FeeStrategy} [opts.fees] - Fill the fee fields missing in `sendArgs`: `slow`, `standard`, `fast` or a function. Defaults to `standard` if `estimate` is set, otherwise the wallet picks them.
+   * @returns {external:PromiEvent} It's a transaction result object. Its `tracker` property is a {@link module:common~TransactionTracker}, created on first access and started once the transaction hash is known.
    *
    * @example
    *
@@ -279,43 +474,171 @@ class DaisyPaymentsOnToken extends DaisyPayments {
    * const { transactionHash } = await daisy
    *   .with({ tokenAddress: invoice["tokenAddress"] })
    *   .pay(invoice, { from: account });
+   *
+   * @example
+   *
+   * const { tracker } = daisy.with(invoice).pay(invoice, { from: account }, { confirmations: 6 });
+   * tracker
+   *   .on("confirmed", receipt => {})
+   *   .on("replaced", (transaction, reason) => {})
+   *   .on("dropped", () => {});
+   *
+   * @example
+   *
+   * // Let the SDK set `gas` (estimation + 50%) and the gas price.
+   * daisy.with(invoice).pay(invoice, { from: account }, { estimate: { multiplier: 1.5 } });
+   *
+   * @example
+   *
+   * // EIP-1559 fees, only the fees: the wallet estimates the gas.
+   * daisy.with(invoice).pay(invoice, { from: account }, { fees: "fast" });
    */
-  pay(invoice, sendArgs) {
+  pay(invoice, sendArgs, { estimate, fees, ...opts } = {}) {
     if (!invoice) {
-      throw new TypeError("Missing `invoice` argument.");
+      throw new DaisyValidationError("Missing `invoice` argument.");
     } else if (!sendArgs || !sendArgs.from) {
-      throw new TypeError("Missing `sendArgs.from` argument");
+      throw new DaisyValidationError("Missing `sendArgs.from` argument");
     }
 
+    const promiEvent = this.sendOnNetwork(() =>
+      sendWithFees(this.web3, this.transferMethod(invoice), sendArgs, {
+        estimate,
+        fees,
+      })
+    );
+
+    // Nothing is polled unless the tracker is used.
+    let transactionHash = null;
+    let failed = false;
+    let tracker = null;
+    promiEvent.on("transactionHash", hash => {
+      transactionHash = hash;
+      if (tracker && !failed) {
+        tracker.track(hash);
+      }
+    });
+    promiEvent.on("error", () => {
+      failed = true;
+      if (tracker) {
+        tracker.stop();
+      }
+    });
+    Object.defineProperty(promiEvent, "tracker", {
+      configurable: true,
+      enumerable: true,
+      get: () => {
+        if (!tracker) {
+          tracker = new TransactionTracker(this.web3, null, opts);
+          if (transactionHash && !failed) {
+            tracker.track(transactionHash);
+          }
+        }
+        return tracker;
+      },
+    });
+    return promiEvent;
+  }
+
+  /**
+   * Estimate gas and fees of {@link module:common.DaisyPaymentsOnToken#pay}.
+   * @async
+   * @param {module:common~PaymentInvoice|Object} invoice - Same as {@link module:common.DaisyPaymentsOnToken#pay}.
+   * @param {Object} sendArgs - Web3 arguments for transactions. Must have `from` field.
+   * @param {Object} [opts={}]
+   * @param {number} [opts.multiplier=1.2] - Safety multiplier for the gas limit.
+   * @param {string|module:common~FeeStrategy} [opts.strategy="standard"] - Fee strategy: `slow`, `standard`, `fast` or a function.
+   * @returns {Promise<module:common~FeeEstimate>} - Gas, fees and total cost in ETH (including the price of ETH invoices).
+   *
+   * @example
+   *
+   * const { costInEther } = await daisy.with(invoice).estimatePay(invoice, { from: account });
+   */
+  estimatePay(invoice, sendArgs, { multiplier, strategy } = {}) {
+    if (!invoice) {
+      throw new DaisyValidationError("Missing `invoice` argument.");
+    }
+    return estimateFees(this.web3, this.transferMethod(invoice), sendArgs, {
+      value: isEther(this.currency) ? invoice["invoicedPrice"] : "0",
+      multiplier,
+      strategy,
+    });
+  }
+
+  /**
+   * Transaction paying the invoice, as a web3 contract method.
+   * @private
+   */
+  transferMethod(invoice) {
     const value = invoice["invoicedPrice"];
     const to = invoice["address"];
 
     if (isEther(this.currency)) {
-      return this.web3.eth.sendTransaction({ ...sendArgs, to, value });
+      return {
+        estimateGas: args => this.web3.eth.estimateGas({ ...args, to, value }),
+        send: args => this.web3.eth.sendTransaction({ ...args, to, value }),
+      };
     }
-    return this.currency.methods["transfer"](to, value).send(sendArgs);
+    return this.currency.methods["transfer"](to, value);
   }
 
   /**
    * Get blockchain's transfers. Useful to check the state of a processing transaction.
+   * For ETH invoices the blocks in the range are scanned for successful transactions
+   * sending value to the invoice address, reported with the same shape as ERC20 `Transfer` events.
+   * Only top-level transactions are scanned: ETH sent by a contract (internal transactions,
+   * like a multisig wallet paying the invoice) is not reported, check the balance or the Daisy API instead.
    * @async
    * @param {module:common~PaymentInvoice|Object} invoice - Input object
    * @param {string} invoice.address - Beneficiary of the transfer. See: {@link module:common~PaymentInvoice#address}.
    * @param {Object} [opts={}]
-   * @param {number|string} [opts.fromBlock=0]
-   * @param {string} [opts.toBlock="latest"]
+   * @param {number|string} [opts.fromBlock] - Defaults to `0` for tokens, and to the last `maxBlockRange` blocks for ETH.
+   * @param {number|string} [opts.toBlock="latest"]
+   * @param {number} [opts.maxBlockRange=100] - ETH only. Max blocks to scan, larger ranges are rejected. Blocks are requested 25 at a time, in a JSON-RPC batch with web3 1.x.
    * @returns {external:PromiEvent} Web3 events as an array.
+   *
+   * @example
+   *
+   * const blockNumber = await web3.eth.getBlockNumber();
+   * const transfers = await daisy
+   *   .with(invoice)
+   *   .getTransfers(invoice, { fromBlock: blockNumber - 100 });
+   * const [{ transactionHash, returnValues: { from, value } }] = transfers;
    */
-  getTransfers(invoice, opts = { fromBlock: 0, toBlock: "latest" }) {
+  getTransfers(invoice, opts = {}) {
     if (!invoice) {
-      throw new TypeError("Missing `invoice` argument.");
+      throw new DaisyValidationError("Missing `invoice` argument.");
     }
     const address = invoice["address"];
+    if (isEther(this.currency)) {
+      return getEtherTransfers(this.web3, address, opts);
+    }
+    const { maxBlockRange, ...rest } = opts;
     return this.currency.getPastEvents("Transfer", {
       filter: { to: [address] },
-      ...opts,
+      fromBlock: 0,
+      toBlock: "latest",
+      ...rest,
     });
   }
+
+  /**
+   * Follow the payments to an invoice, on-chain and through the Daisy API.
+   * @param {module:common~PaymentInvoice} invoice - Invoice to watch.
+   * @param {Object} [opts] - Options of {@link module:common~InvoiceWatcher}, like `confirmations` and `interval`.
+   * @returns {module:common~InvoiceWatcher} Started watcher.
+   *
+   * @example
+   *
+   * const watcher = daisy.with(invoice).watchInvoice(invoice, { confirmations: 6 });
+   * watcher
+   *   .on("partial", ({ amountPaid, remaining }) => {})
+   *   .on("paid", status => {})
+   *   .on("overpaid", status => {})
+   *   .on("confirmed", status => {});
+   */
+  watchInvoice(invoice, opts) {
+    return new InvoiceWatcher(this, invoice, opts).start();
+  }
 }
 
 module.exports = DaisyPayments;
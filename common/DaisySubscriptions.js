@@ -1,14 +1,22 @@
 /** @module common */
 
-const EventEmitter = require("eventemitter3");
-const { EIP712Types } = require("@daisypayments/smart-contracts/eip712");
 const ClientSDK = require("./ClientSDK");
 const {
   isObject,
-  genNonce,
-  getExpirationInSeconds,
-  signTypedData,
+  isBrowser,
+  getChainId,
+  genIdempotencyKey,
+  compareAmounts,
+  multiplyAmounts,
+  subtractAmounts,
 } = require("./helpers");
+const { DaisyError, DaisyValidationError } = require("./errors");
+const { PageIterator } = require("./pagination");
+const TransactionTracker = require("./TransactionTracker");
+const SubscribeFlow = require("./SubscribeFlow");
+const { estimateFees, sendWithFees } = require("./fees");
+const { managerDomain } = require("./eip712");
+const payloads = require("./payloads");
 
 /**
  * @typedef {Object} Plan - Daisy's Plan object. Can be retrieved using {@link module:common~DaisySubscriptions#getData}.
@@ -50,8 +58,8 @@ const {
  * @property {string} [txHash] - Transaction hash after deploying the subscription.
  * @property {Error|string} [error] - Error message (if any).
  * @property {Date|string} [errorAt] - When the error ocurred (if any).
- * @property {string} state - Current subscription state. Enum: `NOT_STARTED`, `PENDING`, `ACTIVE`, `ACTIVE_CANCELLED`, `CANCELLED`, `EXPIRED`, `INVALID`, `NOT_ENOUGH_FUNDS`, `FAILED`.
- * @property {string} cancelState - Enum: `OK`, `PENDING`, `FAILED`.
+ * @property {string} state - Current subscription state. Enum: `NOT_STARTED`, `PENDING`, `ACTIVE`, `ACTIVE_CANCELLED`, `CANCELLED`, `EXPIRED`, `INVALID`, `NOT_ENOUGH_FUNDS`, `FAILED`. See {@link module:common~SubscriptionState}.
+ * @property {string} cancelState - Enum: `OK`, `PENDING`, `FAILED`. See {@link module:common~CancelState}.
  * @property {Date|string} [startedAt] - When the subscription started (off-chain value).
  * @property {string} [endedAt] - When the subscription ended (off-chain value).
  * @property {Date|string} updatedAt - Timestamp.
@@ -89,6 +97,7 @@ const {
  * @property {string} state - Enum: `DRAFT`, `PENDING`, `DEPLOYED`, `FAILED`.
  * @property {string} identifier - DAISY_ID.
  * @property {string} [secretKey] - DAISY_SECRET_KEY.
+ * @property {Object} [domain] - Not sent by the API: pass it in the constructor for contracts deployed with the full EIP-712 domain, with its `version`, and optionally `name` and `chainId`. Without it signatures use the legacy domain (only `verifyingContract`).
  * @property {Date|string} createdAt - Timestamp.
  * @property {Date|string} updatedAt - Timestamp.
  * @property {module:common~Plan[]} [plans] - Plans related to this manager.
@@ -117,6 +126,27 @@ const {
  * @property {string} signature The `agreement` after being signed by the user using Metamask.
  */
 
+/**
+ * @typedef {Object} ReadinessIssue
+ * @property {string} code - Enum: `MANAGER_NOT_DEPLOYED`, `WRONG_NETWORK`, `PLAN_NOT_DEPLOYED`, `PLAN_INACTIVE`, `AUTHORIZATION_REQUIRED`, `INSUFFICIENT_BALANCE`, `INSUFFICIENT_ALLOWANCE`.
+ * @property {string} message - Description for developers.
+ * @property {boolean} blocking - The subscription would fail. `AUTHORIZATION_REQUIRED` is not blocking (the server has to call {@link module:private~ServiceSubscriptions#authorize}), neither is `INSUFFICIENT_BALANCE` during a free trial.
+ */
+
+/**
+ * @typedef {Object} Readiness
+ * @property {boolean} ready - No blocking issues: the user can sign the agreement.
+ * @property {module:common~ReadinessIssue[]} issues - What is missing, in the order the user should fix it.
+ * @property {number} networkId - Network of the wallet.
+ * @property {number} expectedNetworkId - See {@link module:common~SubscriptionManager#networkId}.
+ * @property {string} balance - Token balance of `account`.
+ * @property {string} allowance - Tokens `account` approved to the subscription manager.
+ * @property {string} requiredBalance - Price of the first billing.
+ * @property {string} requiredAllowance - `price * maxExecutions`, or `price` for subscriptions that renew indefinitely.
+ * @property {?string} approveAmount - Amount to pass to {@link module:common.DaisySubscriptionsOnToken#approve}, `null` if the allowance is enough. `approve` replaces the allowance, it does not add to it.
+ * @property {boolean} requiresAuthorization - Private plan.
+ */
+
 /**
  * Create a instance of a Subscription manager based on the contract deployed at the Daisy Dashboard.
  * @extends module:common~Client
@@ -147,14 +177,38 @@ class DaisySubscriptions extends ClientSDK {
     return this.request({
       method: "get",
       url: "/",
-    }).then(({ data: body }) => {
-      this.manager = {
-        ...this.manager,
-        ...body["data"],
-        identifier: this.manager["identifier"],
-        secretKey: this.manager["secretKey"],
-      };
-      return this;
+    })
+      .then(({ data: body }) => {
+        this.manager = {
+          ...this.manager,
+          ...body["data"],
+          identifier: this.manager["identifier"],
+          secretKey: this.manager["secretKey"],
+        };
+        return this.loadDomain();
+      })
+      .then(() => this);
+  }
+
+  /**
+   * Read the chain id of the full EIP-712 domain with `eth_chainId`, unless it is in
+   * `manager.domain`. Nothing to do for the legacy domain or without web3.
+   * @private
+   * @returns {Promise<?Object>} - `manager.domain`.
+   */
+  loadDomain() {
+    const domain = this.manager["domain"];
+    if (
+      !domain ||
+      !domain["version"] ||
+      domain["chainId"] ||
+      (!this.withGlobals.web3 && !isBrowser())
+    ) {
+      return Promise.resolve(domain || null);
+    }
+    return getChainId(this.web3).then(chainId => {
+      this.manager = { ...this.manager, domain: { ...domain, chainId } };
+      return this.manager["domain"];
     });
   }
 
@@ -163,18 +217,55 @@ class DaisySubscriptions extends ClientSDK {
    * You need to store the `receipt` from the `.on("confirmation", (confirmationNumber, receipt) => {})` handler and pass it here as the first argument.
    * Also you can use the `transactionHash` from `.on("transactionHash", transactionHash => {})`.
    * See example.
-   * @param {Object} receipt - `receipt` or `transactionHash` from {@link module:browser.DaisySubscriptionsOnToken#approve} transaction.
-   * @returns {EventEmitter} - Event emitter similar to {@link external:PromiEvent} but please only use event listeners (`.on(...)`).
+   * @param {Object|string} receipt - `receipt` or `transactionHash` from {@link module:browser.DaisySubscriptionsOnToken#approve} transaction.
+   * @param {Object} [opts] - Options of {@link module:common~TransactionTracker}, like `confirmations`.
+   * @returns {module:common~TransactionTracker} - Started tracker. It stops by itself after `confirmations` (12 by default), pass `confirmations: Infinity` to follow the transaction until `stop()`.
+   *
+   * @example
+   *
+   * const tracker = daisy
+   *   .resume(transactionHash, { confirmations: 6 })
+   *   .on("confirmation", (confirmationNumber, receipt) => {})
+   *   .on("confirmed", receipt => {})
+   *   .on("reverted", receipt => {})
+   *   .on("dropped", () => {});
    */
-  resume(receipt) {
+  resume(receipt, opts) {
     if (!receipt) {
-      throw new TypeError("Missing argument.");
+      throw new DaisyValidationError("Missing argument.");
     }
     const transactionHash = receipt["transactionHash"] || receipt;
 
-    const emitter = new ResumeEventEmitter(this.web3, transactionHash);
-    emitter.start();
-    return emitter;
+    return new TransactionTracker(this.web3, transactionHash, opts).start();
+  }
+
+  /**
+   * EIP-712 domain of the signatures for this manager, see {@link module:common~managerDomain}.
+   * Requires `sync()`. Uses the full domain if the constructor got `manager.domain`.
+   * @param {module:common~SubscriptionManager} [manager=this.manager] - Manager data, like the result of `getData()`.
+   * @returns {module:common~EIP712Domain}
+   *
+   * @example
+   *
+   * const daisy = await DaisySDK.initSubscriptions({
+   *   manager: { identifier, domain: { version: "2" } }, // `chainId` is read with `eth_chainId`
+   *   withGlobals: { web3 },
+   * });
+   * daisy.getDomain();
+   * // { name: "Daisy Subscriptions", version: "2", chainId: 1, verifyingContract: "0x..." }
+   */
+  getDomain(manager = this.manager) {
+    return managerDomain(manager, this.manager["domain"]);
+  }
+
+  /**
+   * @private
+   */
+  signPayload(account, { agreement, typedData }) {
+    return this.signTypedData(account, typedData).then(signature => ({
+      signature,
+      agreement,
+    }));
   }
 
   /**
@@ -277,6 +368,43 @@ class DaisySubscriptions extends ClientSDK {
     }).then(({ data: body }) => body.data);
   }
 
+  /**
+   * Get a page of subscriptions with its pagination metadata.
+   * @async
+   * @param {Object} [filter={}] - Filtering criteria, same as {@link module:common~DaisySubscriptions#getSubscriptions}.
+   * @param {Object} [page={}] - Page options. Use the `next` field of the previous page to get the following one.
+   * @param {number} [page.limit=50] - Page size.
+   * @param {number} [page.offset=0] - Offset (offset-based pagination).
+   * @param {string} [page.cursor] - Cursor (cursor-based pagination).
+   * @returns {Promise<module:common~Page>} - Page of {@link module:common~Subscription} with `total` and `next`.
+   *
+   * @example
+   *
+   * let page = await instance.getSubscriptionsPage({ state: "ACTIVE" }, { limit: 100 });
+   * while (page.next) {
+   *   page = await instance.getSubscriptionsPage({ state: "ACTIVE" }, page.next);
+   * }
+   */
+  getSubscriptionsPage(filter = {}, page = {}) {
+    return this.requestPage("/subscriptions/", filter, page);
+  }
+
+  /**
+   * Iterate over every subscription matching the filter, fetching pages on demand.
+   * @param {Object} [filter={}] - Filtering criteria, same as {@link module:common~DaisySubscriptions#getSubscriptions}.
+   * @param {Object} [page={}] - First page options, see {@link module:common~DaisySubscriptions#getSubscriptionsPage}.
+   * @returns {AsyncIterator<Subscription>} - Async iterator, also has a `toArray()` method.
+   *
+   * @example
+   *
+   * for await (const subscription of instance.iterateSubscriptions({ account })) {
+   *   console.log(subscription["state"]);
+   * }
+   */
+  iterateSubscriptions(filter = {}, page = {}) {
+    return new PageIterator(p => this.getSubscriptionsPage(filter, p), page);
+  }
+
   /**
    * Get single subscription.
    * @async
@@ -304,7 +432,7 @@ class DaisySubscriptions extends ClientSDK {
         url: `/subscriptions/hash/${onChainId}/`,
       }).then(({ data: body }) => body.data);
     } else {
-      throw new TypeError("Missing arguments");
+      throw new DaisyValidationError("Missing arguments");
     }
   }
 
@@ -335,7 +463,7 @@ class DaisySubscriptions extends ClientSDK {
         url: `/subscriptions/hash/${onChainId}/receipts/`,
       }).then(({ data: body }) => body.data);
     } else {
-      throw new TypeError("Missing arguments");
+      throw new DaisyValidationError("Missing arguments");
     }
   }
 
@@ -343,9 +471,10 @@ class DaisySubscriptions extends ClientSDK {
    * Create single subscription.
    * @async
    * @param {Object} input - Input arguments
-   * @param {Object} input.agreement - The `agreement` is the return of {@link module:browser.DaisySDKToken#sign}.
+   * @param {Object} input.agreement - The `agreement` is the return of {@link module:browser.DaisySDKToken#sign}, or of {@link module:common.DaisySubscriptionsOnToken#build} to sign elsewhere.
    * @param {Object} [input.receipt] - Optional. The receipt is the return of {@link module:browser.DaisySDKToken#approve}.
-   * @param {string} input.signature - The signature is the return of {@link module:browser.DaisySDKToken#sign}.
+   * @param {string} input.signature - The signature is the return of {@link module:browser.DaisySDKToken#sign}, or of any signer for the `typedData` of the payload.
+   * @param {string} [input.idempotencyKey] - Makes the submission safe to repeat. Defaults to a key derived from the `agreement` nonce.
    * @returns {Promise<Subscription>} - Created {@link module:common~Subscription}, its {@link module:common~Subscription#state} will be `PENDING`.
    *
    * @example
@@ -364,7 +493,14 @@ class DaisySubscriptions extends ClientSDK {
    *
    * const subscription = await daisy.submit({ signature, agreement });
    */
-  submit({ agreement, receipt, signature }) {
+  submit({ agreement, receipt, signature, idempotencyKey }) {
+    // The nonce is unique per signed agreement, submitting it twice is the same operation.
+    const key =
+      idempotencyKey ||
+      (agreement && agreement["nonce"]
+        ? `subscription-${agreement["nonce"]}`
+        : genIdempotencyKey());
+
     return this.request({
       method: "post",
       url: "/subscriptions/",
@@ -373,6 +509,9 @@ class DaisySubscriptions extends ClientSDK {
         receipt,
         signature,
       },
+      idempotencyKey: key,
+      // Safe to retry, the key is the same on every attempt.
+      retry: { methods: ["post"] },
     }).then(({ data: body }) => {
       return body;
     });
@@ -382,8 +521,8 @@ class DaisySubscriptions extends ClientSDK {
    * Submit signature and agreement from the beneficiary user to cancel a subscription.
    * @async
    * @param {Object} input - Input arguments
-   * @param {Object} input.agreement - The `agreement` is the return of {@link module:browser.DaisySDKToken#signCancel}.
-   * @param {string} input.signature - The signature is the return of {@link module:browser.DaisySDKToken#signCancel}.
+   * @param {Object} input.agreement - The `agreement` is the return of {@link module:browser.DaisySDKToken#signCancel}, or of {@link module:common~DaisySubscriptions#buildCancel} to sign elsewhere.
+   * @param {string} input.signature - The signature is the return of {@link module:browser.DaisySDKToken#signCancel}, or of any signer for the `typedData` of the payload.
    * @returns {Promise<Subscription>} - Pending for cancellation {@link module:common~Subscription} object.
    *
    * @example
@@ -412,6 +551,16 @@ class DaisySubscriptions extends ClientSDK {
     });
   }
 
+  /**
+   * Payload of {@link module:common~DaisySubscriptions#signCancel}, to sign elsewhere
+   * and send with {@link module:common~DaisySubscriptions#submitCancel}. Requires `sync()`.
+   * @param {Object} input - Same as {@link module:common~DaisySubscriptions#signCancel}, without `account`.
+   * @returns {module:common~SignPayload}
+   */
+  buildCancel(input) {
+    return payloads.cancelSubscription(this.getDomain(), input);
+  }
+
   /**
    * Sign cancel agreement wit Metamask
    * @async
@@ -421,23 +570,17 @@ class DaisySubscriptions extends ClientSDK {
    * @param {string|number} [input.signatureExpiresAt=Date.now() + 600000] - Expiration date for the signature in milliseconds (internally it's converted to seconds for the blockchain). By default its 10 minutes from now.
    * @returns {Promise<Object>} Object with `signature` and `agreement` property.
    */
-  signCancel({ account, onChainId, signatureExpiresAt }) {
-    const agreement = {
-      subscriptionId: onChainId,
-      nonce: "0x0",
-      signatureExpiresAt: getExpirationInSeconds(signatureExpiresAt),
-    };
-    const typedData = {
-      types: EIP712Types,
-      domain: { verifyingContract: this.manager["address"] },
-      primaryType: "CancelSubscription",
-      message: agreement,
-    };
-
-    return signTypedData(this.web3, account, typedData).then(signature => ({
-      agreement,
-      signature,
-    }));
+  signCancel({ account, ...input }) {
+    return this.signPayload(account, this.buildCancel(input));
+  }
+
+  /**
+   * Payload of {@link module:common~DaisySubscriptions#signRemovePlan}. Requires `sync()`.
+   * @param {Object} input - Same as {@link module:common~DaisySubscriptions#signRemovePlan}, without `account`.
+   * @returns {module:common~SignPayload}
+   */
+  buildRemovePlan(input) {
+    return payloads.removePlan(this.getDomain(), input);
   }
 
   /**
@@ -449,28 +592,19 @@ class DaisySubscriptions extends ClientSDK {
    * @param {string|number|Date} [input.signatureExpiresAt=Date.now() + 600000] - Expiration date for the signature in milliseconds (internally it's converted to seconds for the blockchain). By default its 10 minutes from now.
    * @returns {Promise<Object>} Object with `signature` and the raw `agreement` that was signed.
    */
-  signRemovePlan({ account, plan, signatureExpiresAt }) {
+  signRemovePlan({ account, ...input }) {
     // TODO: check if `account` is the same as `publisher`.
+    return this.signPayload(account, this.buildRemovePlan(input));
+  }
 
-    const expiration = getExpirationInSeconds(signatureExpiresAt);
-
-    const agreement = {
-      plan: plan["onChainId"],
-      nonce: "0x0",
-      signatureExpiresAt: expiration,
-    };
-
-    const typedData = {
-      types: EIP712Types,
-      domain: { verifyingContract: this.manager["address"] },
-      primaryType: "RemovePlan",
-      message: agreement,
-    };
-
-    return signTypedData(this.web3, account, typedData).then(signature => ({
-      signature,
-      agreement,
-    }));
+  /**
+   * Payload of {@link module:common~DaisySubscriptions#signAuthorization}. Requires `sync()`.
+   * @param {Object} input
+   * @param {Object} input.agreement - The `agreement` object from the `sign` step.
+   * @returns {module:common~SignPayload}
+   */
+  buildAuthorization(input) {
+    return payloads.authorization(this.getDomain(), input);
   }
 
   /**
@@ -481,18 +615,20 @@ class DaisySubscriptions extends ClientSDK {
    * @param {Object} input.agreement - The `agreement` object from the `sign` step.
    * @returns {Promise<module:browser~SignResult>} This result is going to be used in {@link module:common~DaisySubscriptions#submit}.
    */
-  signAuthorization({ account, agreement }) {
-    const typedData = {
-      types: EIP712Types,
-      domain: { verifyingContract: this.manager["address"] },
-      primaryType: "CreateSubscription",
-      message: agreement,
-    };
+  signAuthorization({ account, ...input }) {
+    return this.signPayload(account, this.buildAuthorization(input));
+  }
 
-    return signTypedData(this.web3, account, typedData).then(signature => ({
-      signature,
-      agreement,
-    }));
+  /**
+   * Payload of {@link module:common~DaisySubscriptions#signSetWallet}. Requires `sync()`.
+   * @param {Object} input - Same as {@link module:common~DaisySubscriptions#signSetWallet}, without `account`.
+   * @returns {module:common~SignPayload}
+   */
+  buildSetWallet({ nonce = undefined, ...input }) {
+    return payloads.setWallet(this.getDomain(), {
+      ...input,
+      nonce: nonce || this.genNonce(),
+    });
   }
 
   /**
@@ -505,26 +641,20 @@ class DaisySubscriptions extends ClientSDK {
    * @param {string} [input.nonce=web3.utils.randomHex(32)] - Computed. Open for development purposes only.
    * @returns {Promise<module:browser~SignResult>} This result is going to be used in {@link module:common~DaisySubscriptions#submit}.
    */
-  signSetWallet({ account, wallet, signatureExpiresAt, nonce = undefined }) {
-    const expiration = getExpirationInSeconds(signatureExpiresAt);
-
-    const agreement = {
-      wallet,
-      nonce: nonce || genNonce(this.web3),
-      signatureExpiresAt: expiration,
-    };
-
-    const typedData = {
-      types: EIP712Types,
-      domain: { verifyingContract: this.manager["address"] },
-      primaryType: "SetWallet",
-      message: agreement,
-    };
+  signSetWallet({ account, ...input }) {
+    return this.signPayload(account, this.buildSetWallet(input));
+  }
 
-    return signTypedData(this.web3, account, typedData).then(signature => ({
-      signature,
-      agreement,
-    }));
+  /**
+   * Payload of {@link module:common~DaisySubscriptions#signSetAuthorizer}. Requires `sync()`.
+   * @param {Object} input - Same as {@link module:common~DaisySubscriptions#signSetAuthorizer}, without `account`.
+   * @returns {module:common~SignPayload}
+   */
+  buildSetAuthorizer({ nonce = undefined, ...input }) {
+    return payloads.setAuthorizer(this.getDomain(), {
+      ...input,
+      nonce: nonce || this.genNonce(),
+    });
   }
 
   /**
@@ -537,31 +667,8 @@ class DaisySubscriptions extends ClientSDK {
    * @param {string} [input.nonce=web3.utils.randomHex(32)] - Computed. Open for development purposes only.
    * @returns {Promise<module:browser~SignResult>} This result is going to be used in {@link module:common~DaisySubscriptions#submit}.
    */
-  signSetAuthorizer({
-    account,
-    authorizer,
-    signatureExpiresAt,
-    nonce = undefined,
-  }) {
-    const expiration = getExpirationInSeconds(signatureExpiresAt);
-
-    const agreement = {
-      authorizer,
-      nonce: nonce || genNonce(this.web3),
-      signatureExpiresAt: expiration,
-    };
-
-    const typedData = {
-      types: EIP712Types,
-      domain: { verifyingContract: this.manager["address"] },
-      primaryType: "SetAuthorizer",
-      message: agreement,
-    };
-
-    return signTypedData(this.web3, account, typedData).then(signature => ({
-      signature,
-      agreement,
-    }));
+  signSetAuthorizer({ account, ...input }) {
+    return this.signPayload(account, this.buildSetAuthorizer(input));
   }
 }
 
@@ -595,6 +702,11 @@ class DaisySubscriptionsOnToken extends DaisySubscriptions {
    * @param {string|number} amount - Amounts of tokens to approve. It can be more tokens than the current amount the user has.
    * @param {Object} sendArgs - Web3 arguments for transactions. @see {@link https://web3js.readthedocs.io/en/1.0/web3-eth-contract.html#methods-mymethod-send|web3js.readthedocs}
    * @param {string} sendArgs.from - User account Ethereum address.
+   * @param {string|number} [sendArgs.maxFeePerGas] - EIP-1559 fees. On legacy networks it is sent as `gasPrice`.
+   * @param {string|number} [sendArgs.maxPriorityFeePerGas] - EIP-1559 fees. Ignored on legacy networks.
+   * @param {Object} [opts={}]
+   * @param {boolean|Object} [opts.estimate=false] - Fill `gas` if missing in `sendArgs` with {@link module:common.DaisySubscriptionsOnToken#estimateApprove}. Can be `{ multiplier }`.
+   * @param {boolean|string|module:common~FeeStrategy} [opts.fees] - Fill the fee fields missing in `sendArgs`: `slow`, `standard`, `fast` or a function. Defaults to `standard` if `estimate` is set, otherwise the wallet picks them.
    * @returns {external:PromiEvent} - `web3`'s return value for actions on the Blockchain. See the example for the returned values.
    *
    * @example
@@ -610,14 +722,41 @@ class DaisySubscriptionsOnToken extends DaisySubscriptions {
    *   .on("receipt", receipt => {})
    *   .on("error", error => {});
    */
-  approve(amount, sendArgs) {
+  approve(amount, sendArgs, { estimate, fees } = {}) {
     if (!sendArgs || !sendArgs.from) {
-      throw new TypeError("Missing `sendArgs.from` argument");
+      throw new DaisyValidationError("Missing `sendArgs.from` argument");
     }
-    return this.currency.methods["approve"](
-      this.manager["address"],
-      amount
-    ).send(sendArgs);
+    return this.sendOnNetwork(() =>
+      sendWithFees(
+        this.web3,
+        this.currency.methods["approve"](this.manager["address"], amount),
+        sendArgs,
+        { estimate, fees }
+      )
+    );
+  }
+
+  /**
+   * Estimate gas and fees of {@link module:common.DaisySubscriptionsOnToken#approve}.
+   * @async
+   * @param {string|number} amount - Amounts of tokens to approve.
+   * @param {Object} sendArgs - Web3 arguments for transactions. Must have `from` field.
+   * @param {Object} [opts={}]
+   * @param {number} [opts.multiplier=1.2] - Safety multiplier for the gas limit.
+   * @param {string|module:common~FeeStrategy} [opts.strategy="standard"] - Fee strategy: `slow`, `standard`, `fast` or a function.
+   * @returns {Promise<module:common~FeeEstimate>} - Gas, fees and total cost in ETH.
+   *
+   * @example
+   *
+   * const { costInEther } = await daisy.with(plan).estimateApprove(amount, { from: account });
+   */
+  estimateApprove(amount, sendArgs, { multiplier, strategy } = {}) {
+    return estimateFees(
+      this.web3,
+      this.currency.methods["approve"](this.manager["address"], amount),
+      sendArgs,
+      { multiplier, strategy }
+    );
   }
 
   /**
@@ -635,12 +774,12 @@ class DaisySubscriptionsOnToken extends DaisySubscriptions {
    */
   allowance(account) {
     if (!account) {
-      throw new TypeError(
+      throw new DaisyValidationError(
         `allowance() was called without a "owner" specified. Be sure to call allowance() like: daisy.with(payable).allowance(account)`
       );
     }
     if (!this.manager["address"]) {
-      throw new Error(
+      throw new DaisyError(
         `You are attempting to check how many tokens the subscription product "${
           this.manager["name"]
         }" is allowed to spend on behalf of ${account}, but the address of "${
@@ -682,6 +821,163 @@ class DaisySubscriptionsOnToken extends DaisySubscriptions {
     return super.balanceOf(account, this.currency);
   }
 
+  /**
+   * Check everything needed before {@link module:common.DaisySubscriptionsOnToken#sign},
+   * so the UI can show the missing steps. Fetches the manager data if it was not synced.
+   * @async
+   * @param {Object} input - Input object
+   * @param {string} input.account - User account Ethereum address.
+   * @param {module:common~Plan} input.plan - Plan to subscribe to.
+   * @param {string|number} [input.maxExecutions=0] - Same as {@link module:common.DaisySubscriptionsOnToken#sign}.
+   * @returns {Promise<module:common~Readiness>}
+   *
+   * @example
+   *
+   * const { ready, issues, approveAmount } = await daisy
+   *   .with(plan)
+   *   .checkReadiness({ account, plan, maxExecutions: 12 });
+   *
+   * if (issues.some(issue => issue.code === "INSUFFICIENT_ALLOWANCE")) {
+   *   await daisy.with(plan).approve(approveAmount, { from: account });
+   * }
+   */
+  checkReadiness({ account, plan, maxExecutions = "0" } = {}) {
+    if (!account || !plan) {
+      throw new DaisyValidationError(`Missing required arguments.`);
+    }
+
+    const syncing =
+      this.manager["state"] === undefined ? this.sync() : Promise.resolve(this);
+
+    return syncing
+      .then(() =>
+        Promise.all([
+          getChainId(this.web3),
+          this.balanceOf(account),
+          this.manager["address"] ? this.allowance(account) : "0",
+        ])
+      )
+      .then(([networkId, balance, allowance]) => {
+        const manager = this.manager;
+        const price = String(plan["price"]);
+        const executions = String(maxExecutions || "0");
+        const requiredAllowance =
+          compareAmounts(executions, "0") > 0
+            ? multiplyAmounts(price, executions)
+            : price;
+        const trial = Number(plan["freeTrialPeriods"]) > 0;
+
+        const issues = [];
+        const issue = (code, message, blocking = true) =>
+          issues.push({ code, message, blocking });
+
+        if (manager["state"] !== "DEPLOYED" || !manager["address"]) {
+          issue(
+            "MANAGER_NOT_DEPLOYED",
+            `Subscription manager "${manager["name"]}" is not deployed.`
+          );
+        }
+        if (Number(networkId) !== Number(manager["networkId"])) {
+          issue(
+            "WRONG_NETWORK",
+            `Wallet is connected to network ${networkId}, expected ${
+              manager["networkId"]
+            }.`
+          );
+        }
+        if (plan["state"] && plan["state"] !== "DEPLOYED") {
+          issue("PLAN_NOT_DEPLOYED", `Plan "${plan["name"]}" is not deployed.`);
+        }
+        if (plan["active"] === false) {
+          issue(
+            "PLAN_INACTIVE",
+            `Plan "${plan["name"]}" is not accepting subscriptions.`
+          );
+        }
+        if (plan["private"]) {
+          issue(
+            "AUTHORIZATION_REQUIRED",
+            `Plan "${
+              plan["name"]
+            }" is private, the agreement must be authorized by the server.`,
+            false
+          );
+        }
+        if (compareAmounts(balance, price) < 0) {
+          issue(
+            "INSUFFICIENT_BALANCE",
+            `Balance is ${subtractAmounts(price, balance)} short of the price.`,
+            !trial
+          );
+        }
+        const insufficientAllowance =
+          compareAmounts(allowance, requiredAllowance) < 0;
+        if (insufficientAllowance) {
+          issue(
+            "INSUFFICIENT_ALLOWANCE",
+            `Allowance is ${subtractAmounts(
+              requiredAllowance,
+              allowance
+            )} short, approve ${requiredAllowance}.`
+          );
+        }
+
+        return {
+          ready: !issues.some(i => i.blocking),
+          issues,
+          networkId: Number(networkId),
+          expectedNetworkId: Number(manager["networkId"]),
+          balance: String(balance),
+          allowance: String(allowance),
+          requiredBalance: price,
+          requiredAllowance,
+          approveAmount: insufficientAllowance ? requiredAllowance : null,
+          requiresAuthorization: Boolean(plan["private"]),
+        };
+      });
+  }
+
+  /**
+   * Create a {@link module:common~SubscribeFlow} to run every step of a subscription:
+   * readiness, approve, confirmations, signature, submission and activation.
+   * @param {Object} input - See {@link module:common~SubscribeFlow}.
+   * @returns {module:common~SubscribeFlow} - Call `start()` to run it.
+   *
+   * @example
+   *
+   * const flow = daisy.with(plan).subscribeFlow({
+   *   account,
+   *   plan,
+   *   storage: window.localStorage,
+   * });
+   * flow.on("step", step => setStep(step));
+   * const subscription = await flow.start();
+   */
+  subscribeFlow(input) {
+    return new SubscribeFlow(this, input);
+  }
+
+  /**
+   * Payload of {@link module:common.DaisySubscriptionsOnToken#sign}, to sign elsewhere (hardware
+   * wallet, multisig, {@link module:private~Signer}...) and send with {@link module:common~DaisySubscriptions#submit}.
+   * Requires `sync()`.
+   * @param {Object} input - Same as {@link module:common.DaisySubscriptionsOnToken#sign}.
+   * @returns {module:common~SignPayload}
+   *
+   * @example
+   *
+   * const { agreement, typedData } = daisy.with(plan).build({ account, plan });
+   * const signature = await hardwareWallet.signTypedData(typedData);
+   * const subscription = await daisy.submit({ agreement, signature });
+   */
+  build({ nonce = undefined, ...input }) {
+    return payloads.createSubscription(this.getDomain(), {
+      ...input,
+      token: this.currency.options.address,
+      nonce: nonce || this.genNonce(),
+    });
+  }
+
   /**
    * Sign agreement wit Metamask
    * @async
@@ -704,130 +1000,8 @@ class DaisySubscriptionsOnToken extends DaisySubscriptions {
    *   plan,
    * });
    */
-  sign({
-    account,
-    plan,
-    signatureExpiresAt,
-    maxExecutions = "0",
-    credits = "0",
-    nonce = undefined,
-  }) {
-    if (!account || !plan) {
-      throw new TypeError(`Missing required arguments.`);
-    }
-
-    const expiration = getExpirationInSeconds(signatureExpiresAt);
-
-    // Subscription object
-    const agreement = {
-      subscription: {
-        subscriber: account,
-        token: this.currency.options.address,
-        price: plan["price"],
-        periodUnit: plan["periodUnit"],
-        periods: plan["periods"],
-        maxExecutions,
-        plan: plan["onChainId"],
-      },
-      previousSubscriptionId: "0x0", // TODO: pass as parameter once it is implemented in the backend
-      credits,
-      nonce: nonce || genNonce(this.web3),
-      signatureExpiresAt: expiration,
-    };
-
-    const typedData = {
-      types: EIP712Types,
-      domain: { verifyingContract: this.manager["address"] },
-      primaryType: "CreateSubscription",
-      message: agreement,
-    };
-
-    return signTypedData(this.web3, account, typedData).then(signature => ({
-      signature,
-      agreement,
-    }));
-  }
-}
-
-/**
- * {@link external:PromiEvent|PromiEvent} wannabe.
- * @private
- */
-class ResumeEventEmitter extends EventEmitter {
-  constructor(web3, transactionHash, ...args) {
-    super(...args);
-    this.web3 = web3;
-    this.transactionHash = transactionHash;
-    this.started = false;
-    // this.on("newListener", this._newListener.bind(this));
-    // this.on("removeListener", this._removeListener.bind(this));
-  }
-
-  // _newListener() {
-  //   console.log("_newListener");
-
-  //   if (!this.started) {
-  //     this.started = true;
-  //     this.execute();
-  //   }
-  // }
-
-  // _removeListener() {
-  //   console.log("_removeListener");
-  //   let count = 0;
-  //   const names = this.eventNames() || [];
-  //   for (const name of names) {
-  //     count += this.listenerCount(name);
-  //   }
-  //   if (count === 0) {
-  //     this.started = false;
-  //   }
-  // }
-
-  start() {
-    this.started = true;
-    this.execute();
-    return this;
-  }
-
-  /**
-   * @async
-   */
-  execute() {
-    if (!this.started) {
-      return;
-    }
-
-    let receipt = null;
-
-    /* eslint-disable consistent-return */
-    return this.web3.eth
-      .getTransaction(this.transactionHash)
-      .then(transaction => {
-        if (transaction === null || transaction.blockNumber === null) {
-          // not mined yet.
-          throw new Error("Not mined yet. Retry.");
-        }
-        receipt = transaction;
-
-        return this.web3.eth.getBlockNumber();
-      })
-      .then(currentBlock => {
-        const confirmationNumber = currentBlock - receipt["blockNumber"];
-
-        this.emit("confirmation", confirmationNumber, receipt);
-        return receipt;
-      })
-      .catch(error => {
-        this.emit("error", error);
-        return null;
-      })
-      .then(value => {
-        if (this.started) {
-          setTimeout(this.execute.bind(this), 3000);
-        }
-        return value;
-      });
+  sign({ account, ...input }) {
+    return this.signPayload(account, this.build({ account, ...input }));
   }
 }
 
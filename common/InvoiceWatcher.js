@@ -0,0 +1,400 @@
+/** @module common */
+
+/* eslint promise/no-nesting: 0 */
+
+const EventEmitter = require("eventemitter3");
+const {
+  isBrowser,
+  isEther,
+  addAmounts,
+  compareAmounts,
+  subtractAmounts,
+} = require("./helpers");
+const { InvoiceState } = require("./states");
+const { DaisyValidationError } = require("./errors");
+
+/**
+ * Blocks scanned back when the watcher starts, older payments are reported by the API.
+ * @private
+ */
+const MAX_SCANNED_BLOCKS = 100;
+
+function maxAmount(a, b) {
+  return compareAmounts(a, b) >= 0 ? a : b;
+}
+
+function sameTransfer(a, b) {
+  return (
+    a["transactionHash"] === b["transactionHash"] &&
+    a["logIndex"] === b["logIndex"]
+  );
+}
+
+/**
+ * @typedef {Object} InvoiceStatus
+ * @property {string} amountPaid - Highest of the amount on-chain (transfers still in the chain) and the amount reported by the API.
+ * @property {string} invoicedPrice - See {@link module:common~PaymentInvoice#invoicedPrice}.
+ * @property {string} remaining - `invoicedPrice - amountPaid`, `"0"` when paid or overpaid.
+ * @property {string} state - `PENDING`, `UNDER_PAID`, `PAID` or `OVER_PAID`, computed from `amountPaid`.
+ * @property {boolean} confirmed - The API reported the invoice as paid, or the on-chain transfers have enough confirmations.
+ * @property {module:common~PaymentInvoice} invoice - Latest invoice.
+ * @property {Object[]} transfers - Web3 `Transfer` events to the invoice address found since the watcher started (up to 100 blocks back, or from `fromBlock`). Blocks without enough confirmations are scanned again on each poll, dropping the transfers a reorg removed.
+ * @property {module:common~PaymentReceipt[]} receipts - Receipts from the API.
+ */
+
+/**
+ * Follow the payments to an invoice, combining the blockchain (`Transfer` events,
+ * or the address balance for ETH invoices) with the Daisy API (invoice and receipts).
+ * The API is slower but authoritative, the blockchain gives early feedback.
+ * Use {@link module:common.DaisyPaymentsOnToken#watchInvoice} to create one.
+ *
+ * Events:
+ * - `transfer` `(event)`: new `Transfer` event to the invoice address, see {@link module:common.DaisyPaymentsOnToken#getTransfers}.
+ * - `receipt` `(receipt)`: new {@link module:common~PaymentReceipt}.
+ * - `update` `(status)`: `amountPaid` changed. It can decrease when a reorg removes an unconfirmed transfer.
+ * - `partial` `(status)`: paid less than `invoicedPrice`.
+ * - `paid` `(status)`: paid exactly `invoicedPrice`.
+ * - `overpaid` `(status)`: paid more than `invoicedPrice`.
+ * - `confirmed` `(status)`: the payment is final. The watcher stops.
+ * - `error` `(error)`: the API or the provider failed, the watcher keeps trying.
+ *
+ * @extends EventEmitter
+ *
+ * @example
+ *
+ * const watcher = daisy.with(invoice).watchInvoice(invoice);
+ * watcher
+ *   .on("partial", ({ remaining }) => setMessage(`Missing ${remaining}`))
+ *   .on("paid", () => setMessage("Paid, waiting for confirmations"))
+ *   .on("overpaid", ({ amountPaid }) => setMessage(`Paid ${amountPaid}`))
+ *   .on("confirmed", () => setDone());
+ *
+ * // Later, for example when the component unmounts:
+ * watcher.stop();
+ */
+class InvoiceWatcher extends EventEmitter {
+  /**
+   * @param {module:common.DaisyPaymentsOnToken} payments - Instance from {@link module:common~DaisyPayments#with}.
+   * @param {module:common~PaymentInvoice} invoice - Must have `invoicedPrice` and `identifier` or `address`.
+   * @param {Object} [opts={}]
+   * @param {number} [opts.interval=3000] - Polling interval in milliseconds.
+   * @param {number} [opts.confirmations=12] - Confirmations of on-chain payments to emit `confirmed` without waiting for the API.
+   * @param {number} [opts.fromBlock] - First block to look for transfers. Defaults to 100 blocks before the watcher starts. Then only new blocks are scanned.
+   * @param {boolean} [opts.chain] - Watch the blockchain. Defaults to `true` if `web3` is available.
+   * @param {boolean} [opts.api=true] - Poll the Daisy API.
+   */
+  constructor(
+    payments,
+    invoice,
+    {
+      interval = 3000,
+      confirmations = InvoiceWatcher.CONFIRMATIONS,
+      fromBlock = null,
+      chain,
+      api = true,
+    } = {}
+  ) {
+    super();
+    if (!invoice) {
+      throw new DaisyValidationError("Missing `invoice` argument.");
+    } else if (!invoice["identifier"] && !invoice["address"]) {
+      throw new DaisyValidationError(
+        "Invoice must have `identifier` or `address`."
+      );
+    }
+    this.payments = payments;
+    this.invoice = invoice;
+    this.interval = interval;
+    this.confirmations = confirmations;
+    this.fromBlock = fromBlock;
+    this.chain =
+      chain !== undefined
+        ? chain
+        : Boolean(payments.withGlobals.web3) || isBrowser();
+    this.api = api;
+    if (!this.chain && !this.api) {
+      throw new DaisyValidationError("Nothing to watch: enable chain or api.");
+    }
+
+    this.started = false;
+    this.timer = null;
+    this.run = 0; // Polling loop in progress, see `start()`.
+
+    this.transfers = [];
+    this.receipts = [];
+    this.chainPaid = "0";
+    this.chainConfirmed = "0";
+    this.apiPaid = "0";
+    this.apiState = null;
+    this.firstBlock = null;
+    this.scannedBlock = null;
+    this.amountPaid = "0";
+    this.confirmed = false;
+  }
+
+  /**
+   * @returns {module:common~InvoiceStatus}
+   */
+  get status() {
+    const invoicedPrice = String(this.invoice["invoicedPrice"]);
+    const comparison = compareAmounts(this.amountPaid, invoicedPrice);
+    let state = InvoiceState.PAID;
+    if (compareAmounts(this.amountPaid, "0") === 0) {
+      state = InvoiceState.PENDING;
+    } else if (comparison < 0) {
+      state = InvoiceState.UNDER_PAID;
+    } else if (comparison > 0) {
+      state = InvoiceState.OVER_PAID;
+    }
+    return {
+      amountPaid: this.amountPaid,
+      invoicedPrice,
+      remaining: subtractAmounts(invoicedPrice, this.amountPaid),
+      state,
+      confirmed: this.confirmed,
+      invoice: this.invoice,
+      transfers: this.transfers,
+      receipts: this.receipts,
+    };
+  }
+
+  /**
+   * Start watching.
+   * @returns {this}
+   */
+  start() {
+    if (!this.started) {
+      this.started = true;
+      // A check still running from before `stop()` must not start a second loop.
+      this.run += 1;
+      this.check(this.run);
+    }
+    return this;
+  }
+
+  /**
+   * Stop watching. Listeners are kept, use `removeAllListeners()` to remove them.
+   * @returns {this}
+   */
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    return this;
+  }
+
+  /**
+   * Poll every source once.
+   * @private
+   * @param {number} run - Polling loop, see `start()`.
+   * @returns {Promise}
+   */
+  check(run) {
+    const sources = [];
+    if (this.chain) {
+      sources.push(Promise.resolve().then(() => this.checkChain()));
+    }
+    if (this.api) {
+      sources.push(this.checkApi());
+    }
+    return Promise.all(
+      sources.map(source => source.catch(error => this.emit("error", error)))
+    ).then(() => {
+      if (!this.started || run !== this.run) {
+        return null;
+      }
+      this.reconcile();
+      if (this.started) {
+        this.timer = setTimeout(() => this.check(run), this.interval);
+      }
+      return null;
+    });
+  }
+
+  /**
+   * @private
+   */
+  checkChain() {
+    const web3 = this.payments.web3;
+    return Promise.resolve(web3.eth.getBlockNumber()).then(latest => {
+      const confirmedBlock = Math.max(latest - this.confirmations, 0);
+
+      if (isEther(this.payments.currency)) {
+        return this.checkBalance(latest, confirmedBlock);
+      }
+
+      // The blocks after the previous scan, and again the blocks without enough
+      // confirmations: a reorg can remove their transfers.
+      const next = this.nextBlock(latest);
+      if (this.firstBlock === null) {
+        this.firstBlock = next;
+      }
+      const fromBlock = Math.max(
+        Math.min(next, confirmedBlock + 1),
+        this.firstBlock
+      );
+      const scanning =
+        fromBlock > latest
+          ? Promise.resolve([])
+          : Promise.resolve(
+              this.payments.getTransfers(this.invoice, {
+                fromBlock,
+                toBlock: latest,
+              })
+            );
+      return scanning.then(events => {
+        this.scannedBlock = Math.max(latest, next - 1);
+        this.transfers = this.transfers.filter(
+          t =>
+            t["blockNumber"] < fromBlock || events.some(e => sameTransfer(e, t))
+        );
+        events.forEach(event => this.addTransfer(event));
+
+        let paid = "0";
+        let confirmed = "0";
+        for (const event of this.transfers) {
+          const value = event["returnValues"]["value"];
+          paid = addAmounts(paid, value);
+          if (
+            event["blockNumber"] !== null &&
+            event["blockNumber"] <= confirmedBlock
+          ) {
+            confirmed = addAmounts(confirmed, value);
+          }
+        }
+        this.chainPaid = paid;
+        this.chainConfirmed = confirmed;
+        return null;
+      });
+    });
+  }
+
+  /**
+   * First block of the next scan.
+   * @private
+   */
+  nextBlock(latest) {
+    if (this.scannedBlock !== null) {
+      return this.scannedBlock + 1;
+    } else if (this.fromBlock !== null) {
+      return Number(this.fromBlock);
+    }
+    return Math.max(latest - MAX_SCANNED_BLOCKS + 1, 0);
+  }
+
+  /**
+   * Invoice addresses only receive payments: the balance is the amount paid.
+   * When it grows, the new blocks are scanned to report the transfers.
+   * @private
+   */
+  checkBalance(latest, confirmedBlock) {
+    const web3 = this.payments.web3;
+    const address = this.invoice["address"];
+    return Promise.all([
+      web3.eth.getBalance(address),
+      web3.eth.getBalance(address, confirmedBlock),
+    ]).then(([balance, confirmedBalance]) => {
+      const grew = compareAmounts(balance, this.chainPaid) > 0;
+      // The unconfirmed part of the balance can disappear with a reorg.
+      this.chainConfirmed = maxAmount(this.chainConfirmed, confirmedBalance);
+      this.chainPaid = maxAmount(this.chainConfirmed, balance);
+
+      const fromBlock = Math.max(
+        this.nextBlock(latest),
+        latest - MAX_SCANNED_BLOCKS + 1
+      );
+      if (!grew || fromBlock > latest) {
+        return null;
+      }
+      return Promise.resolve(
+        this.payments.getTransfers(this.invoice, {
+          fromBlock,
+          toBlock: latest,
+          maxBlockRange: Infinity,
+        })
+      ).then(events => {
+        this.scannedBlock = latest;
+        events.forEach(event => this.addTransfer(event));
+        return null;
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  addTransfer(event) {
+    const known = this.transfers.some(t => sameTransfer(t, event));
+    if (!known) {
+      this.transfers.push(event);
+      this.emit("transfer", event);
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkApi() {
+    const findBy = this.invoice["identifier"]
+      ? { identifier: this.invoice["identifier"] }
+      : { address: this.invoice["address"] };
+
+    return Promise.all([
+      this.payments.getInvoice(findBy),
+      this.payments.getReceipts(findBy),
+    ]).then(([invoice, receipts]) => {
+      if (invoice) {
+        this.invoice = { ...this.invoice, ...invoice };
+        this.apiPaid = String(invoice["amountPaid"] || "0");
+        this.apiState = invoice["state"];
+      }
+      for (const receipt of receipts || []) {
+        if (!this.receipts.some(r => r["id"] === receipt["id"])) {
+          this.receipts.push(receipt);
+          this.emit("receipt", receipt);
+        }
+      }
+      return null;
+    });
+  }
+
+  /**
+   * Compute `amountPaid` from every source and emit the changes.
+   * @private
+   */
+  reconcile() {
+    // Lower after a reorg removed a transfer.
+    const amountPaid = maxAmount(this.chainPaid, this.apiPaid);
+    if (compareAmounts(amountPaid, this.amountPaid) !== 0) {
+      this.amountPaid = amountPaid;
+      const status = this.status;
+      this.emit("update", status);
+      if (status.state === InvoiceState.UNDER_PAID) {
+        this.emit("partial", status);
+      } else if (status.state === InvoiceState.PAID) {
+        this.emit("paid", status);
+      } else if (status.state === InvoiceState.OVER_PAID) {
+        this.emit("overpaid", status);
+      }
+    }
+
+    const price = this.invoice["invoicedPrice"];
+    if (
+      this.apiState === InvoiceState.PAID ||
+      this.apiState === InvoiceState.OVER_PAID ||
+      (compareAmounts(price, "0") > 0 &&
+        compareAmounts(this.chainConfirmed, price) >= 0)
+    ) {
+      this.confirmed = true;
+      this.stop();
+      this.emit("confirmed", this.status);
+    }
+  }
+}
+
+/**
+ * Default number of confirmations.
+ */
+InvoiceWatcher.CONFIRMATIONS = 12;
+
+module.exports = InvoiceWatcher;
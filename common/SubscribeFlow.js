@@ -0,0 +1,517 @@
+/** @module common */
+
+/* eslint promise/no-nesting: 0 */
+
+const EventEmitter = require("eventemitter3");
+const { SubscriptionState } = require("./states");
+const { DaisyError, DaisyValidationError } = require("./errors");
+
+/**
+ * Steps of a {@link module:common~SubscribeFlow}, in order.
+ * @readonly
+ * @enum {string}
+ */
+const SubscribeStep = Object.freeze({
+  /** Run {@link module:common.DaisySubscriptionsOnToken#checkReadiness}. */
+  CHECK: "CHECK",
+  /** Send the `approve` transaction (skipped if the allowance is enough). */
+  APPROVE: "APPROVE",
+  /** Wait for the `approve` transaction confirmations. */
+  CONFIRM: "CONFIRM",
+  /** Sign the agreement in the wallet. */
+  SIGN: "SIGN",
+  /** Send the signed agreement to the server (`authorize` callback) or to Daisy. */
+  SUBMIT: "SUBMIT",
+  /** Wait for the subscription to leave the `NOT_STARTED` and `PENDING` states. */
+  ACTIVATE: "ACTIVATE",
+  /** Subscription is active. */
+  DONE: "DONE",
+  /** Subscription ended in another state, like `NOT_ENOUGH_FUNDS`. Call `reset()` to start over. */
+  FAILED: "FAILED",
+});
+
+const S = SubscribeStep;
+
+function unwrap(result) {
+  // `submit` resolves to the response body: `{ data: subscription }`.
+  return result && result["data"] && !result["daisyId"]
+    ? result["data"]
+    : result;
+}
+
+function isWaiting(subscription) {
+  return (
+    !subscription ||
+    subscription["state"] === SubscriptionState.NOT_STARTED ||
+    subscription["state"] === SubscriptionState.PENDING
+  );
+}
+
+function stoppedError() {
+  return new DaisyError("Subscribe flow stopped.", { code: "STOPPED" });
+}
+
+function failedError(subscription) {
+  return new DaisyError(`Subscription is ${subscription["state"]}.`, {
+    code: "SUBSCRIPTION_FAILED",
+    subscription,
+  });
+}
+
+/**
+ * Run the steps to subscribe to a plan in the right order: check readiness,
+ * approve and wait for confirmations, sign, authorize or submit, and wait for
+ * the subscription to be active. The state is saved after every step, so a new
+ * flow with the same `storage` continues where the previous one stopped, like
+ * after a page reload. Use {@link module:common.DaisySubscriptionsOnToken#subscribeFlow} to create one.
+ *
+ * Events:
+ * - `step` `(step, state)`: entering a {@link module:common~SubscribeStep}.
+ * - `readiness` `(readiness)`: result of {@link module:common.DaisySubscriptionsOnToken#checkReadiness}.
+ * - `transactionHash` `(transactionHash)`: `approve` transaction sent.
+ * - `confirmation` `(confirmationNumber, receipt)`: `approve` transaction confirmations.
+ * - `approved` `(receipt)`: `approve` transaction confirmed.
+ * - `signed` `({ agreement, signature })`
+ * - `submitted` `(subscription)`
+ * - `done` `(subscription)`
+ * - `error` `(error, step)`: the flow failed at `step`, call `start()` to retry it. Not emitted after `stop()`.
+ *
+ * @extends EventEmitter
+ *
+ * @example
+ *
+ * const flow = daisy.with(plan).subscribeFlow({
+ *   account,
+ *   plan,
+ *   maxExecutions: 12,
+ *   storage: window.localStorage,
+ *   // Optional, required for private plans: send the agreement to your server.
+ *   authorize: ({ agreement, signature }) =>
+ *     fetch("/api/subscriptions/", {
+ *       method: "POST",
+ *       body: JSON.stringify({ agreement, signature }),
+ *     }).then(response => response.json()),
+ * });
+ *
+ * flow.on("step", step => setStep(step));
+ * const subscription = await flow.start();
+ */
+class SubscribeFlow extends EventEmitter {
+  /**
+   * @param {module:common.DaisySubscriptionsOnToken} daisy - Instance from {@link module:common~DaisySubscriptions#with}.
+   * @param {Object} input
+   * @param {string} input.account - Subscriber Ethereum address.
+   * @param {module:common~Plan} input.plan - Plan to subscribe to.
+   * @param {string|number} [input.maxExecutions=0] - Same as {@link module:common.DaisySubscriptionsOnToken#sign}.
+   * @param {string|number} [input.approveAmount] - Tokens to approve if the allowance is not enough. Defaults to {@link module:common~Readiness#approveAmount}.
+   * @param {Function} [input.authorize] - `({ agreement, signature }) => Promise<Subscription>`. Server step: authorize (private plans) and submit the agreement. Should be safe to repeat, the flow calls it again if it was interrupted. Without it the agreement is submitted from the browser, only public plans allow it.
+   * @param {Object} [input.storage] - Where to save the state, like `window.localStorage`. Needs `getItem(key)`, `setItem(key, value)` and `removeItem(key)`, they can return promises.
+   * @param {string} [input.key] - Storage key. Defaults to one per manager, plan and account.
+   * @param {Object} [input.sendArgs={}] - Extra web3 arguments for the `approve` transaction.
+   * @param {number} [input.confirmations=12] - Confirmations of the `approve` transaction.
+   * @param {number} [input.interval=3000] - Polling interval in milliseconds while waiting for confirmations and for the subscription.
+   * @param {boolean} [input.waitForActivation=true] - Wait for the subscription to leave `PENDING`.
+   * @param {number} [input.activationTimeout=600000] - Max time in milliseconds waiting for the subscription, then `start()` rejects with the `ACTIVATION_TIMEOUT` code. Call `start()` again to keep waiting.
+   */
+  constructor(
+    daisy,
+    {
+      account,
+      plan,
+      maxExecutions = "0",
+      approveAmount,
+      authorize,
+      storage = null,
+      key,
+      sendArgs = {},
+      confirmations = SubscribeFlow.CONFIRMATIONS,
+      interval = 3000,
+      waitForActivation = true,
+      activationTimeout = 10 * 60 * 1000,
+    } = {}
+  ) {
+    super();
+    if (!account || !plan) {
+      throw new DaisyValidationError(`Missing required arguments.`);
+    }
+    this.daisy = daisy;
+    this.account = account;
+    this.plan = plan;
+    this.maxExecutions = maxExecutions;
+    this.approveAmount = approveAmount;
+    this.authorize = authorize;
+    this.storage = storage;
+    this.key =
+      key ||
+      `daisy:subscribe:${daisy.manager["identifier"]}:${
+        plan["id"]
+      }:${account.toLowerCase()}`;
+    this.sendArgs = sendArgs;
+    this.confirmations = confirmations;
+    this.interval = interval;
+    this.waitForActivation = waitForActivation;
+    this.activationTimeout = activationTimeout;
+
+    this.state = { step: S.CHECK };
+    this.running = null;
+    this.cancel = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Current step.
+   * @type {string}
+   */
+  get step() {
+    return this.state.step;
+  }
+
+  /**
+   * Run the flow from the saved step, or from the start.
+   * Calling it while running returns the same promise.
+   * @returns {Promise<module:common~Subscription>} - Active subscription, or `PENDING` if `waitForActivation` is `false`.
+   */
+  start() {
+    if (!this.running) {
+      this.stopped = false;
+      this.running = this.load()
+        .then(() => this.run())
+        .then(
+          subscription => {
+            this.running = null;
+            return subscription;
+          },
+          error => {
+            this.running = null;
+            if (!this.stopped) {
+              this.emit("error", error, this.state.step);
+            }
+            throw error;
+          }
+        );
+    }
+    return this.running;
+  }
+
+  /**
+   * Stop waiting for confirmations or for the subscription right away, `start()` rejects with the `STOPPED` code. The state is kept, call `start()` again to continue.
+   * @returns {this}
+   */
+  stop() {
+    this.stopped = true;
+    if (this.cancel) {
+      this.cancel();
+    }
+    return this;
+  }
+
+  /**
+   * Forget the saved state, the next `start()` begins from the first step.
+   * @returns {Promise}
+   */
+  reset() {
+    this.stop();
+    this.state = { step: S.CHECK };
+    return Promise.resolve(
+      this.storage ? this.storage.removeItem(this.key) : null
+    );
+  }
+
+  /**
+   * @private
+   */
+  load() {
+    if (!this.storage) {
+      return Promise.resolve(this.state);
+    }
+    return Promise.resolve(this.storage.getItem(this.key)).then(saved => {
+      if (saved) {
+        this.state = JSON.parse(saved);
+      }
+      if (this.state.step === S.APPROVE) {
+        // Closed while the wallet was open: the transaction may not exist.
+        this.state = { ...this.state, step: S.CHECK };
+      }
+      return this.state;
+    });
+  }
+
+  /**
+   * @private
+   */
+  save(changes) {
+    this.state = { ...this.state, ...changes };
+    const saving = this.storage
+      ? this.storage.setItem(this.key, JSON.stringify(this.state))
+      : null;
+    return Promise.resolve(saving).then(() => this.state);
+  }
+
+  /**
+   * @private
+   */
+  run() {
+    if (this.stopped) {
+      return Promise.reject(stoppedError());
+    }
+    this.emit("step", this.state.step, this.state);
+    switch (this.state.step) {
+      case S.CHECK:
+        return this.check().then(() => this.run());
+      case S.APPROVE:
+        return this.approve().then(() => this.run());
+      case S.CONFIRM:
+        return this.confirm().then(() => this.run());
+      case S.SIGN:
+        return this.sign().then(() => this.run());
+      case S.SUBMIT:
+        return this.submit().then(() => this.run());
+      case S.ACTIVATE:
+        return this.activate().then(() => this.run());
+      case S.DONE:
+        return Promise.resolve(this.state.subscription);
+      case S.FAILED:
+        return Promise.reject(failedError(this.state.subscription));
+      default:
+        return Promise.reject(
+          new DaisyValidationError(`Unknown step: ${this.state.step}`)
+        );
+    }
+  }
+
+  /**
+   * @private
+   */
+  check() {
+    return this.daisy
+      .checkReadiness({
+        account: this.account,
+        plan: this.plan,
+        maxExecutions: this.maxExecutions,
+      })
+      .then(readiness => {
+        this.emit("readiness", readiness);
+        const blocking = readiness.issues.filter(
+          issue => issue.blocking && issue.code !== "INSUFFICIENT_ALLOWANCE"
+        );
+        if (readiness.requiresAuthorization && !this.authorize) {
+          blocking.push({
+            code: "AUTHORIZATION_REQUIRED",
+            message: "Private plans need the `authorize` callback.",
+            blocking: true,
+          });
+        }
+        if (blocking.length > 0) {
+          throw new DaisyError(blocking.map(i => i.message).join(" "), {
+            code: "NOT_READY",
+            issues: blocking,
+          });
+        }
+        if (readiness.approveAmount) {
+          return this.save({
+            step: S.APPROVE,
+            approveAmount: String(
+              this.approveAmount || readiness.approveAmount
+            ),
+          });
+        }
+        return this.save({ step: S.SIGN });
+      });
+  }
+
+  /**
+   * @private
+   */
+  approve() {
+    return new Promise((resolve, reject) => {
+      const promiEvent = this.daisy.approve(this.state.approveAmount, {
+        ...this.sendArgs,
+        from: this.account,
+      });
+      promiEvent.on("transactionHash", transactionHash => {
+        this.emit("transactionHash", transactionHash);
+        resolve(this.save({ step: S.CONFIRM, transactionHash }));
+      });
+      promiEvent.on("error", reject);
+      // Some wallets reject without the `error` event.
+      Promise.resolve(promiEvent).catch(reject);
+    });
+  }
+
+  /**
+   * @private
+   */
+  confirm() {
+    const transactionHash = this.state.transactionHash;
+    const tracker = this.daisy.resume(transactionHash, {
+      confirmations: this.confirmations,
+      interval: this.interval,
+    });
+    return new Promise((resolve, reject) => {
+      const fail = reason => () =>
+        reject(
+          new DaisyError(`Approve transaction was ${reason}.`, {
+            code: "APPROVE_FAILED",
+            transactionHash,
+          })
+        );
+      this.cancel = () => reject(stoppedError());
+      tracker
+        .on("confirmation", (confirmationNumber, receipt) =>
+          this.emit("confirmation", confirmationNumber, receipt)
+        )
+        .on("confirmed", resolve)
+        .on("replaced", (transaction, reason) => {
+          if (reason !== "repriced") {
+            fail(reason)();
+          }
+        })
+        .on("reverted", fail("reverted"))
+        .on("dropped", fail("dropped"));
+    }).then(
+      receipt => {
+        this.release(tracker);
+        this.emit("approved", receipt);
+        return this.save({
+          step: S.SIGN,
+          transactionHash: receipt["transactionHash"] || transactionHash,
+        });
+      },
+      error => {
+        this.release(tracker);
+        if (error.code !== "APPROVE_FAILED") {
+          throw error;
+        }
+        // Start again: check the allowance and approve.
+        return this.save({ step: S.CHECK, transactionHash: null }).then(() => {
+          throw error;
+        });
+      }
+    );
+  }
+
+  /**
+   * @private
+   */
+  release(tracker) {
+    this.cancel = null;
+    tracker.stop();
+    tracker.removeAllListeners();
+  }
+
+  /**
+   * @private
+   */
+  sign() {
+    return this.daisy
+      .sign({
+        account: this.account,
+        plan: this.plan,
+        maxExecutions: this.maxExecutions,
+      })
+      .then(({ agreement, signature }) => {
+        this.emit("signed", { agreement, signature });
+        return this.save({ step: S.SUBMIT, agreement, signature });
+      });
+  }
+
+  /**
+   * @private
+   */
+  submit() {
+    const { agreement, signature } = this.state;
+    const submitting = this.authorize
+      ? Promise.resolve(this.authorize({ agreement, signature }))
+      : this.daisy.submit({ agreement, signature });
+
+    return submitting.then(result => {
+      const subscription = unwrap(result);
+      if (!subscription || !subscription["daisyId"]) {
+        throw new DaisyError("Submission did not return a subscription.", {
+          code: "INVALID_SUBMISSION",
+          result,
+        });
+      }
+      this.emit("submitted", subscription);
+      return this.save({
+        step: this.waitForActivation ? S.ACTIVATE : S.DONE,
+        subscription,
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  activate(deadline = Date.now() + this.activationTimeout) {
+    const { subscription } = this.state;
+    if (!isWaiting(subscription)) {
+      return this.activated(subscription);
+    } else if (Date.now() >= deadline) {
+      return Promise.reject(
+        new DaisyError("Subscription is still pending.", {
+          code: "ACTIVATION_TIMEOUT",
+          subscription,
+        })
+      );
+    }
+    return this.wait(Math.min(this.interval, deadline - Date.now()))
+      .then(() =>
+        this.daisy.getSubscription({ daisyId: subscription["daisyId"] })
+      )
+      .then(current => {
+        if (this.stopped) {
+          throw stoppedError();
+        } else if (isWaiting(current)) {
+          return this.activate(deadline);
+        }
+        return this.activated(current);
+      });
+  }
+
+  /**
+   * Wait `ms` milliseconds, `stop()` rejects it right away.
+   * @private
+   */
+  wait(ms) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.cancel = null;
+        resolve();
+      }, ms);
+      this.cancel = () => {
+        clearTimeout(timer);
+        this.cancel = null;
+        reject(stoppedError());
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  activated(subscription) {
+    const state = subscription["state"];
+    if (
+      state !== SubscriptionState.ACTIVE &&
+      state !== SubscriptionState.ACTIVE_CANCELLED
+    ) {
+      return this.save({ step: S.FAILED, subscription }).then(() => {
+        throw failedError(subscription);
+      });
+    }
+    return this.save({ step: S.DONE, subscription }).then(() => {
+      this.emit("done", subscription);
+      return subscription;
+    });
+  }
+}
+
+/**
+ * Default number of confirmations of the `approve` transaction.
+ */
+SubscribeFlow.CONFIRMATIONS = 12;
+
+SubscribeFlow.Step = SubscribeStep;
+
+module.exports = SubscribeFlow;
@@ -0,0 +1,387 @@
+/** @module common */
+
+/* eslint promise/no-nesting: 0, lodash/prefer-lodash-typecheck: 0 */
+
+const EventEmitter = require("eventemitter3");
+const { DaisyValidationError } = require("./errors");
+
+/**
+ * How many blocks are scanned back looking for a replacement transaction.
+ * @private
+ */
+const REPLACEMENT_SCAN_DEPTH = 50;
+
+function isReverted(receipt) {
+  return (
+    receipt["status"] === false ||
+    receipt["status"] === 0 ||
+    receipt["status"] === "0x0"
+  );
+}
+
+function same(a, b) {
+  return Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function supportsSubscriptions(provider) {
+  if (!provider) {
+    return false;
+  } else if (typeof provider.supportsSubscriptions === "function") {
+    return provider.supportsSubscriptions();
+  }
+  return typeof provider.on === "function";
+}
+
+/**
+ * Follow a transaction until it has enough confirmations, or until it is reverted,
+ * dropped or replaced. Uses `newBlockHeaders` subscriptions if the provider
+ * supports them, otherwise polls.
+ *
+ * Events:
+ * - `pending` `(transaction)`: seen in the mempool.
+ * - `mined` `(receipt)`: included in a block.
+ * - `confirmation` `(confirmationNumber, receipt)`: on every new block after `mined`, starting at `0`.
+ * - `confirmed` `(receipt)`: reached `confirmations`. The tracker stops.
+ * - `reverted` `(receipt)`: mined with a failed status. The tracker stops.
+ * - `replaced` `(transaction, reason)`: another transaction with the same nonce was mined. `reason` is `repriced` (same call with other gas price, the tracker follows the new transaction), `cancelled` or `replaced` (the tracker stops).
+ * - `dropped` `()`: not seen for `dropTimeout` milliseconds. The tracker stops.
+ * - `error` `(error)`: the provider failed, the tracker keeps trying.
+ *
+ * @extends EventEmitter
+ *
+ * @example
+ *
+ * const tracker = daisy.resume(transactionHash, { confirmations: 6 });
+ * tracker
+ *   .on("confirmation", confirmationNumber => setProgress(confirmationNumber / 6))
+ *   .on("confirmed", receipt => setDone(receipt))
+ *   .on("reverted", () => setFailed())
+ *   .on("dropped", () => setFailed());
+ *
+ * // Later, for example when the component unmounts:
+ * tracker.stop();
+ */
+class TransactionTracker extends EventEmitter {
+  /**
+   * @param {Object} web3 - Web3 instance.
+   * @param {?string} transactionHash - Transaction to follow. Can be set later with {@link module:common~TransactionTracker#track}.
+   * @param {Object} [opts={}]
+   * @param {number} [opts.confirmations=12] - Confirmations to emit `confirmed` and stop. Set to `Infinity` to keep emitting `confirmation` until `stop()`.
+   * @param {number} [opts.interval=3000] - Polling interval in milliseconds, when subscriptions are not available.
+   * @param {number} [opts.dropTimeout=600000] - Time in milliseconds without seeing the transaction to consider it dropped. Set to `0` to wait forever.
+   * @param {boolean} [opts.subscribe] - Use `newBlockHeaders` subscriptions. Defaults to `true` if the provider supports them.
+   */
+  constructor(
+    web3,
+    transactionHash = null,
+    {
+      confirmations = TransactionTracker.CONFIRMATIONS,
+      interval = 3000,
+      dropTimeout = 10 * 60 * 1000,
+      subscribe,
+    } = {}
+  ) {
+    super();
+    this.web3 = web3;
+    this.transactionHash = transactionHash;
+    this.confirmations = confirmations;
+    this.interval = interval;
+    this.dropTimeout = dropTimeout;
+    this.subscribe =
+      subscribe !== undefined
+        ? subscribe
+        : supportsSubscriptions(web3 && web3.currentProvider);
+
+    this.started = false;
+    this.checking = false;
+    this.recheck = false;
+    this.timer = null;
+    this.subscription = null;
+
+    this.transaction = null;
+    this.receipt = null;
+    this.confirmationNumber = -1;
+    this.lastSeenAt = null;
+    this.startBlock = null;
+  }
+
+  /**
+   * Set the transaction hash and start. Useful when the hash is not known yet,
+   * like with the `transactionHash` event of a {@link external:PromiEvent}.
+   * @param {string} transactionHash - Transaction to follow.
+   * @returns {this}
+   */
+  track(transactionHash) {
+    this.transactionHash = transactionHash;
+    return this.start();
+  }
+
+  /**
+   * Start following the transaction.
+   * @returns {this}
+   */
+  start() {
+    if (!this.transactionHash) {
+      throw new DaisyValidationError("Missing transaction hash.");
+    } else if (this.started) {
+      return this;
+    }
+    this.started = true;
+    this.lastSeenAt = Date.now();
+
+    if (this.subscribe) {
+      try {
+        this.subscription = this.web3.eth
+          .subscribe("newBlockHeaders")
+          .on("data", () => this.check())
+          .on("error", error => this.fallback(error));
+      } catch (error) {
+        this.fallback(error);
+      }
+    }
+    this.check();
+    return this;
+  }
+
+  /**
+   * Stop following the transaction: removes timers and subscriptions.
+   * Listeners are kept, use `removeAllListeners()` to remove them.
+   * @returns {this}
+   */
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.unsubscribe();
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  unsubscribe() {
+    if (this.subscription) {
+      const subscription = this.subscription;
+      this.subscription = null;
+      Promise.resolve()
+        .then(() => subscription.unsubscribe())
+        .catch(() => null);
+    }
+  }
+
+  /**
+   * Subscriptions failed, poll instead.
+   * @private
+   */
+  fallback(error) {
+    this.unsubscribe();
+    this.emit("error", error);
+    this.schedule();
+  }
+
+  /**
+   * @private
+   */
+  schedule() {
+    if (this.started && !this.subscription) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.check(), this.interval);
+    }
+  }
+
+  /**
+   * Look for the transaction state once.
+   * @private
+   * @returns {Promise}
+   */
+  check() {
+    if (!this.started) {
+      return Promise.resolve();
+    } else if (this.checking) {
+      // A block arrived while checking, check again when done.
+      this.recheck = true;
+      return Promise.resolve();
+    }
+    this.checking = true;
+    this.recheck = false;
+
+    const eth = this.web3.eth;
+    return eth
+      .getTransactionReceipt(this.transactionHash)
+      .then(receipt => (receipt ? this.onReceipt(receipt) : this.onMissing()))
+      .catch(error => {
+        this.emit("error", error);
+      })
+      .then(() => {
+        this.checking = false;
+        if (this.recheck) {
+          return this.check();
+        }
+        this.schedule();
+        return null;
+      });
+  }
+
+  /**
+   * @private
+   */
+  onReceipt(receipt) {
+    if (!this.receipt) {
+      this.receipt = receipt;
+      if (isReverted(receipt)) {
+        this.emit("reverted", receipt);
+        this.stop();
+        return null;
+      }
+      this.emit("mined", receipt);
+    }
+    this.receipt = receipt;
+
+    return this.web3.eth.getBlockNumber().then(blockNumber => {
+      if (!this.started) {
+        return null;
+      }
+      const confirmationNumber = blockNumber - receipt["blockNumber"];
+      if (confirmationNumber > this.confirmationNumber) {
+        this.confirmationNumber = confirmationNumber;
+        this.emit("confirmation", confirmationNumber, receipt);
+      }
+      if (confirmationNumber >= this.confirmations) {
+        this.emit("confirmed", receipt);
+        this.stop();
+      }
+      return null;
+    });
+  }
+
+  /**
+   * No receipt: pending, re-organized, replaced or dropped.
+   * @private
+   */
+  onMissing() {
+    const eth = this.web3.eth;
+
+    if (this.receipt) {
+      // The block was re-organized, wait for the transaction to be mined again.
+      this.receipt = null;
+      this.confirmationNumber = -1;
+    }
+
+    return eth.getTransaction(this.transactionHash).then(transaction => {
+      if (!this.started) {
+        return null;
+      } else if (transaction) {
+        if (!this.transaction) {
+          this.emit("pending", transaction);
+        }
+        this.transaction = transaction;
+        this.lastSeenAt = Date.now();
+        if (this.startBlock === null) {
+          return eth.getBlockNumber().then(blockNumber => {
+            this.startBlock = blockNumber;
+            return null;
+          });
+        }
+        return null;
+      } else if (this.transaction) {
+        return this.findReplacement();
+      }
+      return this.checkDropped();
+    });
+  }
+
+  /**
+   * @private
+   */
+  checkDropped() {
+    if (
+      this.dropTimeout > 0 &&
+      Date.now() - this.lastSeenAt > this.dropTimeout
+    ) {
+      this.emit("dropped");
+      this.stop();
+    }
+    return null;
+  }
+
+  /**
+   * The transaction is gone: if its nonce was used by another transaction it was replaced.
+   * @private
+   */
+  findReplacement() {
+    const eth = this.web3.eth;
+    const { from, nonce } = this.transaction;
+
+    return eth.getTransactionCount(from, "latest").then(count => {
+      if (Number(count) <= Number(nonce)) {
+        return this.checkDropped();
+      }
+
+      return eth.getBlockNumber().then(latest => {
+        const first = Math.max(
+          this.startBlock !== null ? this.startBlock : latest,
+          latest - REPLACEMENT_SCAN_DEPTH
+        );
+        const scan = blockNumber => {
+          if (blockNumber < first) {
+            return null;
+          }
+          return eth.getBlock(blockNumber, true).then(block => {
+            const replacement =
+              block &&
+              (block.transactions || []).find(
+                tx => same(tx.from, from) && Number(tx.nonce) === Number(nonce)
+              );
+            return replacement || scan(blockNumber - 1);
+          });
+        };
+        return scan(latest).then(replacement => this.onReplaced(replacement));
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  onReplaced(replacement) {
+    if (!this.started) {
+      return null;
+    }
+
+    const original = this.transaction;
+    let reason = "replaced";
+    if (
+      replacement &&
+      same(replacement.to, original.to) &&
+      replacement.input === original.input &&
+      String(replacement.value) === String(original.value)
+    ) {
+      reason = "repriced";
+    } else if (
+      replacement &&
+      same(replacement.to, original.from) &&
+      Number(replacement.value) === 0
+    ) {
+      reason = "cancelled";
+    }
+
+    this.emit("replaced", replacement || null, reason);
+    if (reason !== "repriced") {
+      this.stop();
+      return null;
+    }
+
+    // Sped up: follow the new transaction.
+    this.transactionHash = replacement.hash;
+    this.transaction = replacement;
+    this.lastSeenAt = Date.now();
+    return null;
+  }
+}
+
+/**
+ * Default number of confirmations.
+ */
+TransactionTracker.CONFIRMATIONS = 12;
+
+module.exports = TransactionTracker;
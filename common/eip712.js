@@ -0,0 +1,121 @@
+/** @module common */
+
+const { EIP712Types } = require("@daisypayments/smart-contracts/eip712");
+const { DaisyValidationError } = require("./errors");
+
+/**
+ * Fields of the `EIP712Domain` type, in the order of the EIP.
+ * @private
+ */
+const DOMAIN_FIELDS = [
+  { name: "name", type: "string" },
+  { name: "version", type: "string" },
+  { name: "chainId", type: "uint256" },
+  { name: "verifyingContract", type: "address" },
+];
+
+/**
+ * Domain name of the subscription manager contracts.
+ */
+const DOMAIN_NAME = "Daisy Subscriptions";
+
+/**
+ * @typedef {Object} EIP712Domain
+ * @property {string} [name] - Missing in the legacy domain.
+ * @property {string} [version] - Missing in the legacy domain.
+ * @property {number} [chainId] - Missing in the legacy domain.
+ * @property {string} verifyingContract - Contract address.
+ */
+
+/**
+ * Build an EIP-712 domain. Without `version` it is the legacy domain (only
+ * `verifyingContract`) used by the contracts deployed before the full domain,
+ * signatures with it can be replayed on other chains.
+ * @param {Object} input
+ * @param {string} input.verifyingContract - Contract address.
+ * @param {string} [input.version] - Contract version, enables the full domain.
+ * @param {number|string} [input.chainId] - Required with `version`.
+ * @param {string} [input.name="Daisy Subscriptions"]
+ * @returns {module:common~EIP712Domain}
+ */
+function buildDomain({
+  verifyingContract,
+  version,
+  chainId,
+  name = DOMAIN_NAME,
+}) {
+  if (!verifyingContract) {
+    throw new DaisyValidationError("Missing `verifyingContract`.");
+  } else if (!version) {
+    return { verifyingContract };
+  } else if (!chainId) {
+    throw new DaisyValidationError("Missing `chainId` of the EIP-712 domain.");
+  }
+  return {
+    name,
+    version: String(version),
+    chainId: Number(chainId),
+    verifyingContract,
+  };
+}
+
+/**
+ * EIP-712 domain of a subscription manager. Contracts deployed with the full domain
+ * need its `version` and `chainId` (the chain id from `eth_chainId`, not the
+ * `networkId`), without `version` it is the legacy domain.
+ * @param {module:common~SubscriptionManager} manager - Only `address` is used.
+ * @param {Object} [domain={}] - See {@link module:common~DaisySubscriptions#getDomain}.
+ * @param {string} [domain.version] - Contract version, enables the full domain.
+ * @param {number|string} [domain.chainId] - Required with `version`.
+ * @param {string} [domain.name="Daisy Subscriptions"]
+ * @returns {module:common~EIP712Domain}
+ */
+function managerDomain(manager, { name, version, chainId } = {}) {
+  if (version && !chainId) {
+    throw new DaisyValidationError(
+      "Missing `chainId` of the EIP-712 domain: pass `manager.domain.chainId` or call `sync()` with web3."
+    );
+  }
+  return buildDomain({
+    verifyingContract: manager["address"],
+    version,
+    chainId,
+    name,
+  });
+}
+
+/**
+ * `true` for domains with only `verifyingContract`.
+ * @param {module:common~EIP712Domain} domain
+ * @returns {boolean}
+ */
+function isLegacyDomain(domain) {
+  return !domain["version"];
+}
+
+/**
+ * Typed data to sign, with the `EIP712Domain` type matching the domain fields.
+ * @param {module:common~EIP712Domain} domain
+ * @param {string} primaryType - Like `CreateSubscription`.
+ * @param {Object} message
+ * @returns {Object} - `{ types, domain, primaryType, message }`.
+ */
+function buildTypedData(domain, primaryType, message) {
+  return {
+    types: {
+      ...EIP712Types,
+      EIP712Domain: DOMAIN_FIELDS.filter(
+        field => domain[field.name] !== undefined
+      ),
+    },
+    domain,
+    primaryType,
+    message,
+  };
+}
+
+exports.DOMAIN_NAME = DOMAIN_NAME;
+exports.buildDomain = buildDomain;
+exports.managerDomain = managerDomain;
+exports.isLegacyDomain = isLegacyDomain;
+exports.buildTypedData = buildTypedData;
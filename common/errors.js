@@ -0,0 +1,173 @@
+/** @module common */
+
+/**
+ * Base class of the errors thrown by the SDK.
+ * @extends Error
+ */
+class DaisyError extends Error {
+  constructor(message, props = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, props);
+  }
+}
+
+/**
+ * The Daisy API responded with an error status code.
+ * @extends module:common~DaisyError
+ * @property {number} status - HTTP status code.
+ * @property {string} statusText - HTTP status text.
+ * @property {?string} code - Error code sent by the server (if any).
+ * @property {?string} requestId - Value of the `X-Request-Id` header (if any). Useful when contacting support.
+ * @property {string} url - Requested URL.
+ * @property {string} method - Requested HTTP method.
+ * @property {Object} response - Axios-like response object: `data`, `status`, `statusText` and `headers`.
+ */
+class DaisyAPIError extends DaisyError {}
+
+/**
+ * Wrong or missing credentials (`401` and `403` status codes).
+ * @extends module:common~DaisyAPIError
+ */
+class DaisyAuthError extends DaisyAPIError {}
+
+/**
+ * Resource not found (`404` status code).
+ * @extends module:common~DaisyAPIError
+ */
+class DaisyNotFoundError extends DaisyAPIError {}
+
+/**
+ * Too many requests (`429` status code).
+ * @extends module:common~DaisyAPIError
+ * @property {?number} retryAfter - Milliseconds to wait before trying again (if sent by the server).
+ */
+class DaisyRateLimitError extends DaisyAPIError {}
+
+/**
+ * The request did not get a response: connection errors, DNS failures or timeouts.
+ * @extends module:common~DaisyError
+ * @property {string} url - Requested URL.
+ * @property {string} method - Requested HTTP method.
+ * @property {boolean} timeout - True if the request was aborted after the configured timeout.
+ * @property {Error} [cause] - Original error thrown by `fetch`.
+ * @property {Object} request - Axios-like request object.
+ */
+class DaisyNetworkError extends DaisyError {}
+
+/**
+ * Missing or wrong arguments. Extends `TypeError` to be compatible with previous versions of the SDK.
+ * @extends TypeError
+ */
+class DaisyValidationError extends TypeError {
+  constructor(message, props = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, props);
+  }
+}
+
+/**
+ * The user rejected the signature or transaction request in the wallet (EIP-1193 code `4001`).
+ * @extends module:common~DaisyError
+ * @property {number} code - Always `4001`.
+ * @property {Error} [cause] - Original error from the provider.
+ */
+class DaisySignatureRejectedError extends DaisyError {}
+
+/**
+ * The wallet is connected to another network than the manager (or payment group).
+ * Ask the user to change it, or use {@link module:common~ClientSDK#switchNetwork}.
+ * @extends module:common~DaisyError
+ * @property {string} code - Always `WRONG_NETWORK`.
+ * @property {number} networkId - Chain id of the wallet.
+ * @property {number} expectedNetworkId - See {@link module:common~SubscriptionManager#networkId} and {@link module:common~PaymentGroup#networkId}.
+ */
+class DaisyWrongNetworkError extends DaisyError {}
+
+/**
+ * A webhook was rejected.
+ * @extends module:common~DaisyError
+ * @property {string} reason - Enum: `INVALID_SIGNATURE`, `INVALID_PAYLOAD`, `STALE_TIMESTAMP`, `REPLAYED`.
+ */
+class DaisyWebhookError extends DaisyError {}
+
+/**
+ * Parse a `Retry-After` header (seconds or HTTP date) into milliseconds.
+ * @private
+ * @returns {?number}
+ */
+function parseRetryAfter(headers) {
+  const value =
+    headers && headers.has("Retry-After") && headers.get("Retry-After");
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return null;
+}
+
+/**
+ * Create the error matching the response status code.
+ * @private
+ * @param {Response} response - `fetch` response.
+ * @param {Object|string} data - Materialized body.
+ * @param {Object} request - Request `url` and `method`.
+ * @returns {module:common~DaisyAPIError}
+ */
+function fromResponse(response, data, { url, method } = {}) {
+  const { status, statusText, headers } = response;
+  // eslint-disable-next-line lodash/prefer-lodash-typecheck
+  const body = data && typeof data === "object" ? data : {};
+
+  let ErrorClass = DaisyAPIError;
+  if (status === 401 || status === 403) {
+    ErrorClass = DaisyAuthError;
+  } else if (status === 404) {
+    ErrorClass = DaisyNotFoundError;
+  } else if (status === 429) {
+    ErrorClass = DaisyRateLimitError;
+  }
+
+  const props = {
+    status,
+    statusText,
+    code: body["code"] || null,
+    requestId:
+      (headers.has("X-Request-Id") && headers.get("X-Request-Id")) || null,
+    url: url || response.url,
+    method: method ? method.toUpperCase() : undefined,
+    response: {
+      data,
+      status,
+      statusText,
+      headers,
+    },
+  };
+  if (ErrorClass === DaisyRateLimitError) {
+    props.retryAfter = parseRetryAfter(headers);
+  }
+
+  return new ErrorClass(body["message"] || statusText, props);
+}
+
+exports.DaisyError = DaisyError;
+exports.DaisyAPIError = DaisyAPIError;
+exports.DaisyAuthError = DaisyAuthError;
+exports.DaisyNotFoundError = DaisyNotFoundError;
+exports.DaisyRateLimitError = DaisyRateLimitError;
+exports.DaisyNetworkError = DaisyNetworkError;
+exports.DaisyValidationError = DaisyValidationError;
+exports.DaisySignatureRejectedError = DaisySignatureRejectedError;
+exports.DaisyWrongNetworkError = DaisyWrongNetworkError;
+exports.DaisyWebhookError = DaisyWebhookError;
+
+exports.fromResponse = fromResponse;
+exports.parseRetryAfter = parseRetryAfter;
@@ -0,0 +1,351 @@
+/** @module common */
+
+const EventEmitter = require("eventemitter3");
+const { toBN, addAmounts, multiplyAmounts, formatUnits } = require("./helpers");
+const { DaisyValidationError } = require("./errors");
+
+/**
+ * Default safety multiplier applied to the estimated gas.
+ */
+const GAS_MULTIPLIER = 1.2;
+
+/**
+ * Minimum tip suggested on EIP-1559 networks: 1 gwei.
+ * @private
+ */
+const MIN_PRIORITY_FEE = toBN("1000000000");
+
+/**
+ * Web3 events forwarded by {@link module:common~deferPromiEvent}.
+ * @private
+ */
+const PROMI_EVENTS = [
+  "sending",
+  "sent",
+  "transactionHash",
+  "receipt",
+  "confirmation",
+  "error",
+];
+
+const PRICE_FIELDS = ["gasPrice", "maxFeePerGas", "maxPriorityFeePerGas"];
+const EIP1559_FIELDS = ["maxFeePerGas", "maxPriorityFeePerGas"];
+
+/**
+ * @typedef {Object} FeeData
+ * @property {boolean} london - The network supports EIP-1559 transactions: the latest block has `baseFeePerGas`.
+ * @property {string} gasPrice - Node's `eth_gasPrice` in wei, as a decimal string.
+ * @property {?string} baseFeePerGas - EIP-1559 networks. Base fee of the latest block in wei.
+ * @property {?string} maxPriorityFeePerGas - EIP-1559 networks. Suggested tip: `gasPrice - baseFeePerGas`, at least 1 gwei.
+ */
+
+/**
+ * A fee strategy turns {@link module:common~FeeData} into `sendArgs` fields:
+ * `{ maxFeePerGas, maxPriorityFeePerGas }` on EIP-1559 networks, `{ gasPrice }` on legacy ones.
+ * @callback FeeStrategy
+ * @param {module:common~FeeData} feeData
+ * @returns {Object}
+ */
+
+function maxBN(a, b) {
+  return a.gte(b) ? a : b;
+}
+
+/**
+ * `amount * percent / 100`, rounded up.
+ * @private
+ */
+function percentOf(amount, percent) {
+  const scaled = toBN(amount).muln(percent);
+  const result = scaled.divn(100);
+  return scaled.modn(100) > 0 ? result.addn(1) : result;
+}
+
+function strategy({ tip, base, price }) {
+  return feeData => {
+    if (feeData.london) {
+      const priority = maxBN(
+        percentOf(feeData.maxPriorityFeePerGas, tip),
+        MIN_PRIORITY_FEE
+      );
+      return {
+        maxFeePerGas: percentOf(feeData.baseFeePerGas, base)
+          .add(priority)
+          .toString(10),
+        maxPriorityFeePerGas: priority.toString(10),
+      };
+    }
+    return { gasPrice: percentOf(feeData.gasPrice, price).toString(10) };
+  };
+}
+
+/**
+ * Built-in fee strategies. The max fee covers the base fee growing for a few full blocks (12.5% each).
+ * @readonly
+ * @enum {module:common~FeeStrategy}
+ */
+const FeeStrategies = Object.freeze({
+  /** Minimum tip, the max fee covers 2 full blocks. Legacy: 90% of the gas price. */
+  slow: strategy({ tip: 0, base: 125, price: 90 }),
+  /** Suggested tip, the max fee covers 6 full blocks. Legacy: gas price. */
+  standard: strategy({ tip: 100, base: 200, price: 100 }),
+  /** Twice the suggested tip. Legacy: 125% of the gas price. */
+  fast: strategy({ tip: 200, base: 200, price: 125 }),
+});
+
+function toStrategy(name = "standard") {
+  // eslint-disable-next-line lodash/prefer-lodash-typecheck
+  if (typeof name === "function") {
+    return name;
+  } else if (!Object.prototype.hasOwnProperty.call(FeeStrategies, name)) {
+    throw new DaisyValidationError(
+      `Unknown fee strategy: ${name}. Use one of ${Object.keys(
+        FeeStrategies
+      ).join(", ")} or a function.`
+    );
+  }
+  return FeeStrategies[name];
+}
+
+function checkMultiplier(multiplier) {
+  if (!(Number(multiplier) >= 1)) {
+    throw new DaisyValidationError(
+      "`multiplier` must be a number of 1 or more."
+    );
+  }
+}
+
+function gasLimit(gasEstimate, multiplier) {
+  return String(Math.ceil(Number(gasEstimate) * multiplier));
+}
+
+/**
+ * Get the network fees. London-enabled networks are detected with the `baseFeePerGas` of the latest block.
+ * @async
+ * @param {Object} web3 - Web3 instance.
+ * @returns {Promise<module:common~FeeData>}
+ */
+function getFeeData(web3) {
+  return Promise.all([
+    web3.eth.getGasPrice(),
+    web3.eth.getBlock("latest"),
+  ]).then(([gasPrice, block]) => {
+    const london =
+      Boolean(block) &&
+      block["baseFeePerGas"] !== undefined &&
+      block["baseFeePerGas"] !== null;
+    const price = toBN(gasPrice);
+    if (!london) {
+      return {
+        london,
+        gasPrice: price.toString(10),
+        baseFeePerGas: null,
+        maxPriorityFeePerGas: null,
+      };
+    }
+    const baseFeePerGas = toBN(block["baseFeePerGas"]);
+    return {
+      london,
+      gasPrice: price.toString(10),
+      baseFeePerGas: baseFeePerGas.toString(10),
+      maxPriorityFeePerGas: maxBN(
+        price.sub(baseFeePerGas),
+        MIN_PRIORITY_FEE
+      ).toString(10),
+    };
+  });
+}
+
+/**
+ * @typedef {Object} FeeEstimate
+ * @property {string} gas - Gas limit: estimated gas times the multiplier.
+ * @property {string} gasEstimate - Gas estimated by the node.
+ * @property {boolean} london - EIP-1559 network.
+ * @property {?string} gasPrice - Legacy networks. Price per gas in wei.
+ * @property {?string} baseFeePerGas - EIP-1559 networks. Base fee of the latest block in wei.
+ * @property {?string} maxFeePerGas - EIP-1559 networks. Max price per gas in wei.
+ * @property {?string} maxPriorityFeePerGas - EIP-1559 networks. Tip for the miner in wei.
+ * @property {string} fee - Max fee in wei: `gas * (maxFeePerGas || gasPrice)`.
+ * @property {string} value - ETH sent with the transaction in wei.
+ * @property {string} cost - `fee + value` in wei.
+ * @property {string} costInEther - `cost` in ETH.
+ */
+
+/**
+ * Estimate gas and fees of a transaction.
+ * @async
+ * @param {Object} web3 - Web3 instance.
+ * @param {Object} method - Object with an `estimateGas(sendArgs)` method, like a web3 contract method.
+ * @param {Object} sendArgs - Web3 arguments for transactions. Must have `from` field.
+ * @param {Object} [opts={}]
+ * @param {string|number} [opts.value="0"] - ETH sent with the transaction in wei.
+ * @param {number} [opts.multiplier=1.2] - Safety multiplier for the gas limit.
+ * @param {string|module:common~FeeStrategy} [opts.strategy="standard"] - `slow`, `standard`, `fast` or a function.
+ * @returns {Promise<module:common~FeeEstimate>}
+ *
+ * @example
+ *
+ * const method = token.methods["transfer"](to, amount);
+ * const estimate = await estimateFees(web3, method, { from: account }, { strategy: "fast" });
+ * console.log(`Up to ${estimate.costInEther} ETH`);
+ */
+function estimateFees(
+  web3,
+  method,
+  sendArgs,
+  { value = "0", multiplier = GAS_MULTIPLIER, strategy: name } = {}
+) {
+  if (!sendArgs || !sendArgs.from) {
+    throw new DaisyValidationError("Missing `sendArgs.from` argument");
+  }
+  const feeStrategy = toStrategy(name);
+  checkMultiplier(multiplier);
+
+  return Promise.all([method.estimateGas(sendArgs), getFeeData(web3)]).then(
+    ([gasEstimate, feeData]) => {
+      const fields = feeStrategy(feeData);
+      const estimate = {
+        gas: gasLimit(gasEstimate, multiplier),
+        gasEstimate: String(Number(gasEstimate)),
+        london: feeData.london,
+        gasPrice: fields.gasPrice || null,
+        baseFeePerGas: feeData.london ? String(feeData.baseFeePerGas) : null,
+        maxFeePerGas: fields.maxFeePerGas || null,
+        maxPriorityFeePerGas: fields.maxPriorityFeePerGas || null,
+      };
+
+      const fee = multiplyAmounts(
+        estimate.gas,
+        estimate.maxFeePerGas || estimate.gasPrice
+      );
+      const cost = addAmounts(fee, value);
+      return {
+        ...estimate,
+        fee,
+        value: String(value),
+        cost,
+        costInEther: formatUnits(cost, 18),
+      };
+    }
+  );
+}
+
+/**
+ * Pick the `sendArgs` fields of an estimate.
+ * @param {module:common~FeeEstimate} estimate
+ * @returns {Object} `{ gas, gasPrice }` or `{ gas, maxFeePerGas, maxPriorityFeePerGas }`.
+ */
+function toSendArgs(estimate) {
+  if (estimate.maxFeePerGas) {
+    return {
+      gas: estimate.gas,
+      maxFeePerGas: estimate.maxFeePerGas,
+      maxPriorityFeePerGas: estimate.maxPriorityFeePerGas,
+    };
+  }
+  return { gas: estimate.gas, gasPrice: estimate.gasPrice };
+}
+
+/**
+ * Return a {@link external:PromiEvent} right away for a transaction that is sent later,
+ * like after estimating its fees. Web3 events are forwarded once it is sent, and
+ * failures before sending are emitted as `error`.
+ * @private
+ * @param {Promise} preparing - Resolves to the argument of `send`.
+ * @param {Function} send - Sends the transaction, returns its PromiEvent.
+ * @returns {external:PromiEvent}
+ */
+function deferPromiEvent(preparing, send) {
+  const promiEvent = new EventEmitter();
+  // `send` is called inside the callback: a PromiEvent is thenable and would be
+  // unwrapped if it was returned by `preparing`.
+  const result = preparing.then(
+    prepared => {
+      let sent;
+      try {
+        sent = send(prepared);
+      } catch (error) {
+        promiEvent.emit("error", error);
+        throw error;
+      }
+      PROMI_EVENTS.forEach(name =>
+        sent.on(name, (...args) => promiEvent.emit(name, ...args))
+      );
+      return sent;
+    },
+    error => {
+      promiEvent.emit("error", error);
+      throw error;
+    }
+  );
+  // Failures are emitted as `error` too, like web3 does.
+  result.catch(() => null);
+
+  promiEvent.then = (onFulfilled, onRejected) =>
+    result.then(onFulfilled, onRejected);
+  promiEvent.catch = onRejected => result.catch(onRejected);
+  promiEvent.finally = onFinally => result.finally(onFinally);
+  return promiEvent;
+}
+
+/**
+ * Send a transaction, filling the gas and fee fields if asked. Fields already in
+ * `sendArgs` are kept, except EIP-1559 fields on legacy networks: they are
+ * replaced by `gasPrice` (`maxFeePerGas`, or the network gas price).
+ * @private
+ * @param {Object} web3 - Web3 instance.
+ * @param {Object} method - Object with `estimateGas(sendArgs)` and `send(sendArgs)` methods.
+ * @param {Object} sendArgs - Web3 arguments for transactions.
+ * @param {Object} [opts={}]
+ * @param {boolean|Object} [opts.estimate=false] - Fill `gas`. `true` or `{ multiplier }`.
+ * @param {boolean|string|module:common~FeeStrategy} [opts.fees] - Fill the fee fields with a strategy. Defaults to `standard` if `estimate` is set.
+ * @returns {external:PromiEvent}
+ */
+function sendWithFees(web3, method, sendArgs, { estimate, fees } = {}) {
+  const custom = PRICE_FIELDS.some(field => sendArgs[field] !== undefined);
+  const eip1559 = EIP1559_FIELDS.some(field => sendArgs[field] !== undefined);
+  if (!estimate && !fees && !eip1559) {
+    return method.send(sendArgs);
+  }
+
+  const { multiplier = GAS_MULTIPLIER } =
+    estimate === true ? {} : estimate || {};
+  checkMultiplier(multiplier);
+  const feeStrategy =
+    fees || estimate ? toStrategy(fees === true ? undefined : fees) : null;
+  const preparing = Promise.resolve()
+    .then(() =>
+      Promise.all([
+        estimate && sendArgs.gas === undefined
+          ? method.estimateGas(sendArgs)
+          : null,
+        getFeeData(web3),
+      ])
+    )
+    .then(([gasEstimate, feeData]) => {
+      const args = { ...sendArgs };
+      if (gasEstimate !== null) {
+        args.gas = gasLimit(gasEstimate, multiplier);
+      }
+      if (custom) {
+        if (eip1559 && !feeData.london) {
+          args.gasPrice =
+            sendArgs.maxFeePerGas !== undefined
+              ? String(sendArgs.maxFeePerGas)
+              : String(feeData.gasPrice);
+          EIP1559_FIELDS.forEach(field => delete args[field]);
+        }
+        return args;
+      }
+      return { ...feeStrategy(feeData), ...args };
+    });
+  return deferPromiEvent(preparing, args => method.send(args));
+}
+
+exports.GAS_MULTIPLIER = GAS_MULTIPLIER;
+exports.FeeStrategies = FeeStrategies;
+exports.getFeeData = getFeeData;
+exports.estimateFees = estimateFees;
+exports.toSendArgs = toSendArgs;
+exports.deferPromiEvent = deferPromiEvent;
+exports.sendWithFees = sendWithFees;
@@ -13,8 +13,21 @@
  * @see {@link https://web3js.readthedocs.io/en/1.0/web3-eth-contract.html#web3-eth-contract|Documentation}
  */
 
+const BN = require("bn.js"); // Same as `web3.utils.BN`.
+
+const {
+  DaisySignatureRejectedError,
+  DaisyValidationError,
+} = require("./errors");
+
 const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
 
+/**
+ * EIP-1193 error code when the user rejects the request.
+ * @private
+ */
+const USER_REJECTED = 4001;
+
 /**
  * Default void address
  */
@@ -34,26 +47,84 @@ exports.isObject = function isObject(something) {
 };
 
 /**
+ * JSON-RPC error codes of providers without a method: `-32601` (JSON-RPC) and `4200` (EIP-1193).
+ * @private
+ */
+const UNSUPPORTED_METHOD = [-32601, 4200];
+
+function toRejectedError(error) {
+  if (error && error.code === USER_REJECTED) {
+    return new DaisySignatureRejectedError(error.message, {
+      code: USER_REJECTED,
+      cause: error,
+    });
+  }
+  return error;
+}
+
+function isUnsupportedMethod(error) {
+  return (
+    Boolean(error) &&
+    (UNSUPPORTED_METHOD.includes(error.code) ||
+      /not (supported|implemented|found)|does not exist|unsupported|unknown method/i.test(
+        error.message
+      ))
+  );
+}
+
+/**
+ * Call a JSON-RPC method with EIP-1193 providers (`request`) or legacy ones
+ * (`sendAsync` or `send` with a callback).
+ * @async
+ * @private
+ * @throws {module:common~DaisySignatureRejectedError} If the user rejects the request.
+ */
+function providerRequest(provider, { method, params, from }) {
+  if (!provider) {
+    return Promise.reject(new DaisyValidationError("Missing web3 provider."));
+  }
+  const requesting = provider.request
+    ? Promise.resolve().then(() => provider.request({ method, params }))
+    : new Promise((resolve, reject) => {
+        const send = (provider.sendAsync || provider.send).bind(provider);
+        send(
+          { jsonrpc: "2.0", id: Date.now(), method, params, from },
+          (err, result) => {
+            if (err || result.error) {
+              return reject(err || result.error);
+            }
+            return resolve(result.result);
+          }
+        );
+      });
+  return requesting.catch(error => {
+    throw toRejectedError(error);
+  });
+}
+
+exports.providerRequest = providerRequest;
+
+/**
+ * Sign with `eth_signTypedData_v4`, or `eth_signTypedData_v3` if the wallet does not
+ * support it. Both produce the same signature for the SDK types (no arrays).
  * @async
  * @private
+ * @throws {module:common~DaisySignatureRejectedError} If the user rejects the signature request.
  */
 exports.signTypedData = function signTypedData(web3, signer, data) {
-  return new Promise((resolve, reject) => {
-    web3.currentProvider.sendAsync(
-      {
-        method: "eth_signTypedData_v3",
-        params: [signer, JSON.stringify(data)],
-        from: signer,
-      },
-      function callback(err, result) {
-        if (err || result.error) {
-          return reject(err || result.error);
-        }
-
-        const signature = result.result;
-        return resolve(signature);
-      }
-    );
+  const provider = web3.currentProvider;
+  const sign = method =>
+    providerRequest(provider, {
+      method,
+      params: [signer, JSON.stringify(data)],
+      from: signer,
+    });
+
+  return sign("eth_signTypedData_v4").catch(error => {
+    if (isUnsupportedMethod(error)) {
+      return sign("eth_signTypedData_v3");
+    }
+    throw error;
   });
 };
 
@@ -61,10 +132,17 @@ exports.signTypedData = function signTypedData(web3, signer, data) {
  * Generate nonce
  * @see {@link https://github.com/ethereum/web3.js/issues/1490}
  * @private
+ * @param {?Object} web3 - Without it, uses `crypto.getRandomValues` or Node's `crypto.randomBytes`.
  * @param {number} [len=32] - nonce expected length.
  * @returns {string} nonce with length.
  */
 exports.genNonce = function genNonce(web3, len = 32) {
+  if (!web3) {
+    const bytes = getRandomValues(new Uint8Array(len));
+    return `0x${Array.from(bytes, byte =>
+      byte.toString(16).padStart(2, "0")
+    ).join("")}`;
+  }
   let value = null;
   do {
     value = web3.utils.randomHex(len);
@@ -72,6 +150,197 @@ exports.genNonce = function genNonce(web3, len = 32) {
   return value;
 };
 
+/**
+ * Chain id of the wallet with `eth_chainId`. Not `net_version`: it is the network id,
+ * which differs from the chain id on some networks.
+ * @async
+ * @private
+ * @returns {Promise<number>}
+ */
+exports.getChainId = function getChainId(web3) {
+  return providerRequest(web3.currentProvider, {
+    method: "eth_chainId",
+    params: [],
+  }).then(Number);
+};
+
+/**
+ * Ask the wallet to change the network (EIP-3326).
+ * @async
+ * @private
+ * @throws {module:common~DaisySignatureRejectedError} If the user rejects the request.
+ */
+exports.switchChain = function switchChain(web3, chainId) {
+  return providerRequest(web3.currentProvider, {
+    method: "wallet_switchEthereumChain",
+    params: [{ chainId: `0x${Number(chainId).toString(16)}` }],
+  }).then(() => null);
+};
+
+function getRandomValues(array) {
+  const crypto =
+    (typeof globalThis !== "undefined" && globalThis.crypto) || // eslint-disable-line no-undef
+    (typeof window !== "undefined" && window.crypto);
+  if (crypto && crypto.getRandomValues) {
+    return crypto.getRandomValues(array);
+  }
+  // Node without Web Crypto. Left out of the browser bundle, see rollup.config.js.
+  // eslint-disable-next-line global-require
+  array.set(require("crypto").randomBytes(array.length));
+  return array;
+}
+
+/**
+ * Generate a random UUID v4.
+ * @private
+ * @returns {string}
+ */
+exports.genUUID = function genUUID() {
+  const bytes = getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // eslint-disable-line no-bitwise
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // eslint-disable-line no-bitwise
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, "0"));
+  return [
+    hex.slice(0, 4),
+    hex.slice(4, 6),
+    hex.slice(6, 8),
+    hex.slice(8, 10),
+    hex.slice(10, 16),
+  ]
+    .map(group => group.join(""))
+    .join("-");
+};
+
+/**
+ * Generate a random key (UUID v4) used to make API requests safe to repeat.
+ * @private
+ * @returns {string} Idempotency key.
+ */
+exports.genIdempotencyKey = function genIdempotencyKey() {
+  return exports.genUUID();
+};
+
+/**
+ * Add plan periods to a date, using calendar months and years.
+ * @private
+ * @param {Date|string|number} date - Start date.
+ * @param {number|string} periods - Number of periods.
+ * @param {string} [unit="MONTH"] - Enum: `DAY`, `WEEK`, `MONTH`, `YEAR`.
+ * @returns {Date}
+ */
+exports.addPeriods = function addPeriods(date, periods, unit = "MONTH") {
+  const result = new Date(date);
+  const count = Number(periods) || 0;
+  switch (String(unit).toUpperCase()) {
+    case "DAY":
+      result.setUTCDate(result.getUTCDate() + count);
+      break;
+    case "WEEK":
+      result.setUTCDate(result.getUTCDate() + count * 7);
+      break;
+    case "MONTH":
+      result.setUTCMonth(result.getUTCMonth() + count);
+      break;
+    case "YEAR":
+      result.setUTCFullYear(result.getUTCFullYear() + count);
+      break;
+    default:
+      throw new DaisyValidationError(`Unknown period unit: ${unit}`);
+  }
+  return result;
+};
+
+/**
+ * Token amounts can be bigger than `Number.MAX_SAFE_INTEGER`: read them as `BN`.
+ * Accepts `BN`, `BigNumber`, numbers, and decimal (`"1e21"` too) or hex strings.
+ * @private
+ * @returns {BN}
+ */
+function toBN(value) {
+  if (BN.isBN(value)) {
+    return value.clone();
+  }
+  const amount =
+    // eslint-disable-next-line lodash/prefer-lodash-typecheck
+    value && typeof value === "object"
+      ? value.toString(10)
+      : String(value).trim();
+  if (/^0x[0-9a-f]+$/i.test(amount)) {
+    return new BN(amount.slice(2), 16);
+  } else if (/^\d+$/.test(amount)) {
+    return new BN(amount, 10);
+  }
+  // Exponential notation, like `String(1e21)`.
+  const match = /^(\d+)(?:\.(\d+))?e\+?(\d+)$/i.exec(amount);
+  const fraction = match ? (match[2] || "").replace(/0+$/, "") : "";
+  if (!match || fraction.length > Number(match[3])) {
+    throw new DaisyValidationError(`Invalid amount: ${value}`);
+  }
+  const zeros = "0".repeat(Number(match[3]) - fraction.length);
+  return new BN(`${match[1]}${fraction}${zeros}`, 10);
+}
+
+exports.toBN = toBN;
+
+/**
+ * @private
+ * @param {string|number|BN|BigNumber} a
+ * @param {string|number|BN|BigNumber} b
+ * @returns {number} Negative if `a < b`, positive if `a > b`, `0` if equal.
+ */
+exports.compareAmounts = function compareAmounts(a, b) {
+  return toBN(a).cmp(toBN(b));
+};
+
+/**
+ * @private
+ * @returns {string} `a + b`
+ */
+exports.addAmounts = function addAmounts(a, b) {
+  return toBN(a)
+    .add(toBN(b))
+    .toString(10);
+};
+
+/**
+ * @private
+ * @returns {string} `a - b`, or `"0"` if `b > a`.
+ */
+exports.subtractAmounts = function subtractAmounts(a, b) {
+  const x = toBN(a);
+  const y = toBN(b);
+  return x.lte(y) ? "0" : x.sub(y).toString(10);
+};
+
+/**
+ * @private
+ * @returns {string} `a * b`
+ */
+exports.multiplyAmounts = function multiplyAmounts(a, b) {
+  return toBN(a)
+    .mul(toBN(b))
+    .toString(10);
+};
+
+/**
+ * Format an amount in its smallest unit (like wei) with `decimals`.
+ * @private
+ * @example
+ *
+ * formatUnits("1500000000000000000", 18); // "1.5"
+ */
+exports.formatUnits = function formatUnits(amount, decimals = 18) {
+  const base = new BN(10).pow(new BN(decimals));
+  const value = toBN(amount);
+  const integer = value.div(base).toString(10);
+  const fraction = value
+    .mod(base)
+    .toString(10)
+    .padStart(decimals, "0")
+    .replace(/0+$/, "");
+  return fraction ? `${integer}.${fraction}` : integer;
+};
+
 const EXPIRATION_TIME_TO_LIVE = 10 * 60 * 1000; // 10 minutes in milliseconds
 
 exports.getExpirationInSeconds = function getExpirationInSeconds(
@@ -0,0 +1,162 @@
+/** @module common */
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * @typedef {Object} Page
+ * @property {Array} data - Results of this page.
+ * @property {?number} total - Total of results matching the filter (if reported by the server).
+ * @property {number} limit - Page size.
+ * @property {number} [offset] - Offset of this page (offset-based pagination).
+ * @property {?Object} next - Page options to request the following page, `null` if this is the last page. Pass it as the `page` argument of the same method.
+ */
+
+/**
+ * Build page query params.
+ * @private
+ * @param {Object} [page={}]
+ * @param {number} [page.limit=50]
+ * @param {number} [page.offset=0]
+ * @param {string} [page.cursor]
+ * @returns {Object}
+ */
+function toQuery({ limit = DEFAULT_LIMIT, offset = 0, cursor } = {}) {
+  if (cursor) {
+    return { limit, cursor };
+  }
+  return { limit, offset };
+}
+
+/**
+ * Read pagination metadata from the response body. Servers can use a
+ * `next` cursor or rely on `total` and `offset`. Responses ignoring the
+ * requested page (more items than `limit`, or another `offset`) are the last page.
+ * @private
+ * @param {Object} body - Response body.
+ * @param {Object} query - Query returned by `toQuery`.
+ * @returns {module:common~Page}
+ */
+function toPage(body, query) {
+  const data = body["data"] || [];
+  const total =
+    body["total"] !== null && Number.isFinite(Number(body["total"]))
+      ? Number(body["total"])
+      : null;
+  const limit = Number(body["limit"]) || query.limit;
+
+  if (body["next"] !== undefined || query.cursor) {
+    return {
+      data,
+      total,
+      limit,
+      next: body["next"] ? { limit, cursor: body["next"] } : null,
+    };
+  }
+
+  const offset = Number(body["offset"]) || query.offset || 0;
+  const seen = offset + data.length;
+  const ignored = data.length > limit || offset !== (query.offset || 0);
+  const hasMore =
+    !ignored && (total !== null ? seen < total : data.length >= limit);
+  return {
+    data,
+    total,
+    limit,
+    offset,
+    next: hasMore && data.length > 0 ? { limit, offset: seen } : null,
+  };
+}
+
+/**
+ * The following page must move forward, otherwise iterating would never end.
+ * @private
+ */
+function advances(page, next) {
+  if (next.cursor !== undefined) {
+    return next.cursor !== page.cursor;
+  }
+  return next.offset > (page.offset || 0);
+}
+
+/**
+ * Async iterator over every item of a paginated resource. Pages are fetched lazily.
+ * Stops on an empty page, or when the server returns the same page again.
+ * @private
+ *
+ * @example
+ *
+ * for await (const subscription of daisy.iterateSubscriptions({ state: "ACTIVE" })) {
+ *   // ...
+ * }
+ */
+class PageIterator {
+  /**
+   * @param {Function} fetchPage - Function receiving page options and returning a {@link module:common~Page} promise.
+   * @param {Object} [page] - First page options.
+   */
+  constructor(fetchPage, page = {}) {
+    this.fetchPage = fetchPage;
+    this.page = page;
+    this.buffer = [];
+    this.done = false;
+    this.total = null;
+    this.first = null;
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  next() {
+    if (this.buffer.length > 0) {
+      return Promise.resolve({ value: this.buffer.shift(), done: false });
+    } else if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    const current = this.page || {};
+    return this.fetchPage(current).then(page => {
+      // A server ignoring the offset sends the first page again.
+      const first = page.data.length > 0 ? JSON.stringify(page.data[0]) : null;
+      if (first === null || first === this.first) {
+        this.done = true;
+        return this.next();
+      }
+      this.first = first;
+      this.buffer = page.data.slice();
+      this.total = page.total;
+      this.page = page.next;
+      this.done = !page.next || !advances(current, page.next);
+      return this.next();
+    });
+  }
+
+  return() {
+    this.buffer = [];
+    this.done = true;
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  /**
+   * Collect every remaining item in an array.
+   * @async
+   * @returns {Promise<Array>}
+   */
+  toArray() {
+    const items = [];
+    const collect = () =>
+      this.next().then(({ value, done }) => {
+        if (done) {
+          return items;
+        }
+        items.push(value);
+        return collect();
+      });
+    return collect();
+  }
+}
+
+exports.DEFAULT_LIMIT = DEFAULT_LIMIT;
+exports.toQuery = toQuery;
+exports.toPage = toPage;
+exports.PageIterator = PageIterator;
@@ -0,0 +1,160 @@
+/** @module common */
+
+const { buildTypedData } = require("./eip712");
+const { getExpirationInSeconds } = require("./helpers");
+const { DaisyValidationError } = require("./errors");
+
+/**
+ * What to sign for an action: the `agreement` sent to Daisy and its EIP-712 `typedData`.
+ * Sign `typedData` anywhere (wallet, hardware wallet, multisig, {@link module:private~Signer})
+ * and send `{ agreement, signature }` to Daisy.
+ * @typedef {Object} SignPayload
+ * @property {Object} agreement - Message of `typedData`.
+ * @property {Object} typedData - `{ types, domain, primaryType, message }`, for `eth_signTypedData_v4`.
+ */
+
+function payload(domain, primaryType, agreement) {
+  if (!domain) {
+    throw new DaisyValidationError("Missing EIP-712 domain.");
+  }
+  return {
+    agreement,
+    typedData: buildTypedData(domain, primaryType, agreement),
+  };
+}
+
+function requireNonce(nonce) {
+  if (!nonce) {
+    throw new DaisyValidationError("Missing `nonce`.");
+  }
+  return nonce;
+}
+
+/**
+ * Payload to create a subscription, signed by the subscriber.
+ * @param {module:common~EIP712Domain} domain - See {@link module:common~managerDomain}.
+ * @param {Object} input
+ * @param {string} input.account - Subscriber address.
+ * @param {module:common~Plan} input.plan
+ * @param {string} [input.token=plan.tokenAddress] - Token address.
+ * @param {string} input.nonce - Random 32 bytes hex string.
+ * @param {string|number|Date} [input.signatureExpiresAt=Date.now() + 600000] - Milliseconds.
+ * @param {string|number} [input.maxExecutions=0]
+ * @param {string|number} [input.credits=0]
+ * @returns {module:common~SignPayload}
+ */
+function createSubscription(
+  domain,
+  {
+    account,
+    plan,
+    token,
+    nonce,
+    signatureExpiresAt,
+    maxExecutions = "0",
+    credits = "0",
+  }
+) {
+  if (!account || !plan) {
+    throw new DaisyValidationError(`Missing required arguments.`);
+  }
+  return payload(domain, "CreateSubscription", {
+    subscription: {
+      subscriber: account,
+      token: token || plan["tokenAddress"],
+      price: plan["price"],
+      periodUnit: plan["periodUnit"],
+      periods: plan["periods"],
+      maxExecutions,
+      plan: plan["onChainId"],
+    },
+    previousSubscriptionId: "0x0", // TODO: pass as parameter once it is implemented in the backend
+    credits,
+    nonce: requireNonce(nonce),
+    signatureExpiresAt: getExpirationInSeconds(signatureExpiresAt),
+  });
+}
+
+/**
+ * Payload to cancel a subscription, signed by the subscriber.
+ * @param {module:common~EIP712Domain} domain
+ * @param {Object} input
+ * @param {string} input.onChainId - {@link module:common~Subscription#onChainId}.
+ * @param {string|number|Date} [input.signatureExpiresAt=Date.now() + 600000] - Milliseconds.
+ * @returns {module:common~SignPayload}
+ */
+function cancelSubscription(domain, { onChainId, signatureExpiresAt }) {
+  return payload(domain, "CancelSubscription", {
+    subscriptionId: onChainId,
+    nonce: "0x0",
+    signatureExpiresAt: getExpirationInSeconds(signatureExpiresAt),
+  });
+}
+
+/**
+ * Payload to remove a plan, signed by the publisher.
+ * @param {module:common~EIP712Domain} domain
+ * @param {Object} input
+ * @param {module:common~Plan} input.plan
+ * @param {string|number|Date} [input.signatureExpiresAt=Date.now() + 600000] - Milliseconds.
+ * @returns {module:common~SignPayload}
+ */
+function removePlan(domain, { plan, signatureExpiresAt }) {
+  return payload(domain, "RemovePlan", {
+    plan: plan["onChainId"],
+    nonce: "0x0",
+    signatureExpiresAt: getExpirationInSeconds(signatureExpiresAt),
+  });
+}
+
+/**
+ * Payload to authorize a subscription to a private plan, signed by the authorizer.
+ * @param {module:common~EIP712Domain} domain
+ * @param {Object} input
+ * @param {Object} input.agreement - From {@link module:common~createSubscription}.
+ * @returns {module:common~SignPayload}
+ */
+function authorization(domain, { agreement }) {
+  return payload(domain, "CreateSubscription", agreement);
+}
+
+/**
+ * Payload to change the wallet receiving the payments, signed by the owner.
+ * @param {module:common~EIP712Domain} domain
+ * @param {Object} input
+ * @param {string} input.wallet
+ * @param {string} input.nonce - Random 32 bytes hex string.
+ * @param {string|number|Date} [input.signatureExpiresAt=Date.now() + 600000] - Milliseconds.
+ * @returns {module:common~SignPayload}
+ */
+function setWallet(domain, { wallet, nonce, signatureExpiresAt }) {
+  return payload(domain, "SetWallet", {
+    wallet,
+    nonce: requireNonce(nonce),
+    signatureExpiresAt: getExpirationInSeconds(signatureExpiresAt),
+  });
+}
+
+/**
+ * Payload to change the authorizer of private plans, signed by the owner.
+ * @param {module:common~EIP712Domain} domain
+ * @param {Object} input
+ * @param {string} input.authorizer
+ * @param {string} input.nonce - Random 32 bytes hex string.
+ * @param {string|number|Date} [input.signatureExpiresAt=Date.now() + 600000] - Milliseconds.
+ * @returns {module:common~SignPayload}
+ */
+function setAuthorizer(domain, { authorizer, nonce, signatureExpiresAt }) {
+  return payload(domain, "SetAuthorizer", {
+    authorizer,
+    nonce: requireNonce(nonce),
+    signatureExpiresAt: getExpirationInSeconds(signatureExpiresAt),
+  });
+}
+
+exports.createSubscription = createSubscription;
+exports.cancelSubscription = cancelSubscription;
+exports.removePlan = removePlan;
+exports.authorization = authorization;
+exports.setWallet = setWallet;
+exports.setAuthorizer = setAuthorizer;
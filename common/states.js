@@ -0,0 +1,220 @@
+/** @module common */
+
+const { DaisyError, DaisyValidationError } = require("./errors");
+
+/**
+ * Values of {@link module:common~Subscription#state}.
+ * @readonly
+ * @enum {string}
+ */
+const SubscriptionState = Object.freeze({
+  /** Signed but not submitted to the blockchain yet. */
+  NOT_STARTED: "NOT_STARTED",
+  /** Transaction sent, waiting to be mined. */
+  PENDING: "PENDING",
+  /** Billing every period. */
+  ACTIVE: "ACTIVE",
+  /** Cancelled by the user, paid until the end of the current period. */
+  ACTIVE_CANCELLED: "ACTIVE_CANCELLED",
+  CANCELLED: "CANCELLED",
+  /** Reached `maxExecutions`. */
+  EXPIRED: "EXPIRED",
+  /** Rejected before reaching the blockchain, like an expired signature. */
+  INVALID: "INVALID",
+  /** Last billing failed because of the subscriber's balance or allowance. */
+  NOT_ENOUGH_FUNDS: "NOT_ENOUGH_FUNDS",
+  /** Transaction failed. */
+  FAILED: "FAILED",
+});
+
+/**
+ * Values of {@link module:common~Subscription#cancelState}.
+ * @readonly
+ * @enum {string}
+ */
+const CancelState = Object.freeze({
+  OK: "OK",
+  PENDING: "PENDING",
+  FAILED: "FAILED",
+});
+
+/**
+ * Values of {@link module:common~PaymentInvoice#state}.
+ * @readonly
+ * @enum {string}
+ */
+const InvoiceState = Object.freeze({
+  PENDING: "PENDING",
+  UNDER_PAID: "UNDER_PAID",
+  PAID: "PAID",
+  OVER_PAID: "OVER_PAID",
+});
+
+const S = SubscriptionState;
+
+/**
+ * Legal subscription transitions: `from -> [to]`.
+ * @readonly
+ */
+const TRANSITIONS = Object.freeze({
+  [S.NOT_STARTED]: [S.PENDING, S.INVALID],
+  [S.PENDING]: [S.ACTIVE, S.FAILED, S.INVALID, S.NOT_ENOUGH_FUNDS],
+  [S.ACTIVE]: [S.ACTIVE_CANCELLED, S.CANCELLED, S.EXPIRED, S.NOT_ENOUGH_FUNDS],
+  [S.ACTIVE_CANCELLED]: [S.CANCELLED],
+  [S.NOT_ENOUGH_FUNDS]: [S.ACTIVE, S.CANCELLED, S.EXPIRED],
+  [S.CANCELLED]: [],
+  [S.EXPIRED]: [],
+  [S.INVALID]: [],
+  [S.FAILED]: [],
+});
+
+const ENTITLED_STATES = [S.ACTIVE, S.ACTIVE_CANCELLED];
+const TERMINAL_STATES = [S.CANCELLED, S.EXPIRED, S.INVALID, S.FAILED];
+
+function toState(subscriptionOrState) {
+  const state =
+    subscriptionOrState && subscriptionOrState["state"] !== undefined
+      ? subscriptionOrState["state"]
+      : subscriptionOrState;
+  if (!Object.prototype.hasOwnProperty.call(TRANSITIONS, state)) {
+    throw new DaisyValidationError(`Unknown subscription state: ${state}`);
+  }
+  return state;
+}
+
+/**
+ * Does the subscriber have access to the plan? True for `ACTIVE`, and for
+ * `ACTIVE_CANCELLED` until `nextPaymentDate` (end of the paid period). An
+ * `ACTIVE_CANCELLED` subscription without `nextPaymentDate` has no access.
+ * @param {module:common~Subscription} subscription - Subscription.
+ * @param {Object} [opts={}]
+ * @param {Date|number} [opts.now=Date.now()] - Reference time.
+ * @returns {boolean}
+ *
+ * @example
+ *
+ * const { isEntitled } = require("@daisypayments/daisy-sdk/common/states");
+ *
+ * const subscriptions = await daisy.getSubscriptions({ account });
+ * const allowed = subscriptions.some(s => isEntitled(s));
+ */
+function isEntitled(subscription, { now = Date.now() } = {}) {
+  if (!subscription || !ENTITLED_STATES.includes(toState(subscription))) {
+    return false;
+  } else if (subscription["state"] === S.ACTIVE_CANCELLED) {
+    const end = subscription["nextPaymentDate"];
+    return Boolean(end) && new Date(end).getTime() > Number(now);
+  }
+  return true;
+}
+
+/**
+ * Can the subscriber sign a cancellation? The subscription must be `ACTIVE` without a cancellation in progress.
+ * @param {module:common~Subscription} subscription - Subscription.
+ * @returns {boolean}
+ */
+function canCancel(subscription) {
+  return (
+    Boolean(subscription) &&
+    toState(subscription) === S.ACTIVE &&
+    subscription["cancelState"] !== CancelState.PENDING
+  );
+}
+
+/**
+ * The subscription will not change anymore.
+ * @param {module:common~Subscription|string} subscription - Subscription or state.
+ * @returns {boolean}
+ */
+function isTerminal(subscription) {
+  return TERMINAL_STATES.includes(toState(subscription));
+}
+
+/**
+ * Is `from -> to` a legal transition?
+ * @param {string} from - Current state.
+ * @param {string} to - Next state.
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return TRANSITIONS[toState(from)].includes(toState(to));
+}
+
+/**
+ * Throw if `from -> to` is not a legal transition.
+ * @param {string} from - Current state.
+ * @param {string} to - Next state.
+ * @throws {module:common~DaisyError} With `code` `INVALID_TRANSITION`, `from` and `to`.
+ */
+function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new DaisyError(
+      `Subscription can not transition from ${from} to ${to}.`,
+      { code: "INVALID_TRANSITION", from, to }
+    );
+  }
+}
+
+/**
+ * @typedef {Object} Transition
+ * @property {string} from - Previous state.
+ * @property {string} to - Current state.
+ * @property {boolean} legal - False if the snapshots skipped states or moved backwards (missed or out of order webhooks).
+ * @property {?Object} cancelState - `{ from, to }` if the `cancelState` changed, `null` otherwise.
+ * @property {boolean} gainedAccess - The subscriber was not entitled before and is now.
+ * @property {boolean} lostAccess - The subscriber was entitled before and is not now.
+ */
+
+/**
+ * Compute the transition between two snapshots of the same subscription.
+ * @param {?module:common~Subscription} previous - Stored snapshot, `null` if this is the first time it is seen.
+ * @param {module:common~Subscription} current - New snapshot, from a webhook or the API.
+ * @param {Object} [opts={}]
+ * @param {Date|number} [opts.now=Date.now()] - Reference time for entitlements.
+ * @returns {?module:common~Transition} - `null` if neither `state` nor `cancelState` changed.
+ *
+ * @example
+ *
+ * webhooks.on("*", async ({ subscription }) => {
+ *   if (!subscription) return;
+ *   const stored = await db.subscriptions.find(subscription["daisyId"]);
+ *   const transition = getTransition(stored, subscription);
+ *   if (transition && transition.lostAccess) {
+ *     await revokeAccess(subscription["account"]);
+ *   }
+ * });
+ */
+function getTransition(previous, current, { now = Date.now() } = {}) {
+  const from = previous ? toState(previous) : S.NOT_STARTED;
+  const to = toState(current);
+  const cancelFrom = previous ? previous["cancelState"] || null : null;
+  const cancelTo = current["cancelState"] || null;
+
+  if (previous && from === to && cancelFrom === cancelTo) {
+    return null;
+  }
+
+  const before = previous ? isEntitled(previous, { now }) : false;
+  const after = isEntitled(current, { now });
+  return {
+    from,
+    to,
+    legal: from === to || canTransition(from, to) || !previous,
+    cancelState:
+      cancelFrom !== cancelTo ? { from: cancelFrom, to: cancelTo } : null,
+    gainedAccess: !before && after,
+    lostAccess: before && !after,
+  };
+}
+
+exports.SubscriptionState = SubscriptionState;
+exports.CancelState = CancelState;
+exports.InvoiceState = InvoiceState;
+exports.TRANSITIONS = TRANSITIONS;
+
+exports.isEntitled = isEntitled;
+exports.canCancel = canCancel;
+exports.isTerminal = isTerminal;
+exports.canTransition = canTransition;
+exports.assertTransition = assertTransition;
+exports.getTransition = getTransition;
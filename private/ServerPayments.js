@@ -1,11 +1,29 @@
 /** @module private */
 
 const DaisyPayments = require("../common/DaisyPayments");
+const { genIdempotencyKey } = require("../common/helpers");
+const { DaisyValidationError } = require("../common/errors");
 
 class ServerPayments extends DaisyPayments {
-  createInvoice(params = {}) {
+  /**
+   * Create an invoice.
+   * @async
+   * @param {Object} params - Invoice attributes, see {@link module:common~PaymentInvoice}.
+   * @param {Object} [opts={}] - Request options.
+   * @param {string} [opts.idempotencyKey] - Reuse the same key to safely retry the creation of the same invoice. Generated if missing.
+   * @returns {Promise<PaymentInvoice>} - Created invoice.
+   *
+   * @example
+   *
+   * const idempotencyKey = `checkout-${order.id}`;
+   * const invoice = await payments.createInvoice(
+   *   { invoicedPrice: 20 },
+   *   { idempotencyKey }
+   * );
+   */
+  createInvoice(params = {}, opts = {}) {
     if (!params) {
-      throw new TypeError(`Missing params argument.`);
+      throw new DaisyValidationError(`Missing params argument.`);
     }
 
     // TODO: maybe add check if user forgot to add the decimals to the price.
@@ -33,6 +51,9 @@ class ServerPayments extends DaisyPayments {
       method: "post",
       url: `/otp/`,
       data,
+      idempotencyKey: opts.idempotencyKey || genIdempotencyKey(),
+      // Safe to retry, the key is the same on every attempt.
+      retry: { methods: ["post"] },
     }).then(({ data: body }) => body.data);
   }
 }
@@ -1,33 +1,521 @@
 /** @module private */
 
+const sigUtil = require("eth-sig-util");
 const Signer = require("./Signer");
 const DaisySubscriptions = require("../common/DaisySubscriptions");
-const { ZERO_ADDRESS } = require("../common/helpers");
+const {
+  ZERO_ADDRESS,
+  isObject,
+  addPeriods,
+  compareAmounts,
+} = require("../common/helpers");
+const { DaisyError, DaisyValidationError } = require("../common/errors");
+const { buildTypedData } = require("../common/eip712");
+const { SubscriptionState, isEntitled } = require("../common/states");
+
+const ENTITLEMENTS_TTL = 60 * 1000; // 1 minute
+
+/**
+ * @typedef {Object} Entitlement
+ * @property {string} planId - {@link module:common~Plan#id}.
+ * @property {?module:common~Plan} plan - Plan, `null` if it is not listed anymore.
+ * @property {module:common~Subscription} subscription - Subscription granting the access.
+ * @property {string} state - `ACTIVE` or `ACTIVE_CANCELLED`.
+ * @property {boolean} trial - True during the free trial.
+ * @property {?Date} trialEndsAt - End of the free trial, `null` if the plan has no free trial.
+ * @property {?Date} renewsAt - Next billing cycle, `null` if cancelled.
+ * @property {?Date} expiresAt - When the access ends for cancelled subscriptions, `null` if renewing.
+ */
+
+/**
+ * @typedef {Object} AgreementProblem
+ * @property {string} code - Enum: `INVALID_AGREEMENT`, `INVALID_SIGNATURE`, `SIGNER_MISMATCH`, `SIGNATURE_EXPIRED`, `PLAN_NOT_FOUND`, `PLAN_INACTIVE`, `PLAN_MISMATCH`.
+ * @property {string} message - Human readable description.
+ * @property {string} [field] - Agreement field, for `PLAN_MISMATCH`.
+ */
+
+/**
+ * @typedef {Object} AgreementVerification
+ * @property {boolean} valid - No problems, safe to submit.
+ * @property {?string} signer - Address recovered from the signature, `null` if it could not be recovered.
+ * @property {?module:common~Plan} plan - Plan of the agreement.
+ * @property {module:private~AgreementProblem[]} problems - Empty if valid.
+ */
+
+/**
+ * Agreement fields that must match the plan: `[field, plan field, equals]`.
+ * @private
+ */
+const PLAN_FIELDS = [
+  ["plan", "onChainId", (a, b) => String(a) === String(b)],
+  ["token", "tokenAddress", (a, b) => same(a, b)],
+  ["price", "price", (a, b) => sameAmount(a, b)],
+  ["periods", "periods", (a, b) => Number(a) === Number(b)],
+  ["periodUnit", "periodUnit", (a, b) => String(a) === String(b)],
+];
+
+function same(a, b) {
+  return Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function sameAmount(a, b) {
+  try {
+    return compareAmounts(a, b) === 0;
+  } catch (error) {
+    return false; // missing or not a number
+  }
+}
+
+function recoverSigner(domain, agreement, signature) {
+  try {
+    return sigUtil.recoverTypedSignature({
+      data: buildTypedData(domain, "CreateSubscription", agreement),
+      sig: signature,
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+function checkAuthorizer(address, manager) {
+  const expected = manager["authorizer"] || null;
+  if (!same(address, expected)) {
+    throw new DaisyError(
+      `Signer address ${address} is not the authorizer of the manager (${expected}).`,
+      { code: "AUTHORIZER_MISMATCH", address, expected }
+    );
+  }
+}
+
+/**
+ * On-chain ids of the plans in `scope` (plans, ids or on-chain ids).
+ * @private
+ */
+function scopedPlans(manager, scope) {
+  const ids = scope
+    // eslint-disable-next-line lodash/prefer-is-nil
+    .filter(plan => plan !== null && plan !== undefined)
+    .map(plan => (isObject(plan) ? plan["id"] : String(plan)));
+  return (manager["plans"] || [])
+    .filter(plan => ids.includes(plan["id"]) || ids.includes(plan["onChainId"]))
+    .map(plan => String(plan["onChainId"]));
+}
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+function getTrialEnd(subscription, plan) {
+  const source =
+    subscription["freeTrialPeriods"] !== undefined ? subscription : plan;
+  const periods = source ? Number(source["freeTrialPeriods"]) : 0;
+  const start = subscription["startedAt"] || subscription["createdAt"];
+  if (!periods || !start) {
+    return null;
+  }
+  return addPeriods(start, periods, source["freeTrialPeriodsUnit"]);
+}
+
+/**
+ * @private
+ * @returns {?module:private~Entitlement} - `null` if the subscription does not grant access at `now`.
+ */
+function toEntitlement(subscription, plans, now) {
+  const planId = subscription["plan"] ? subscription["plan"]["id"] : null;
+  const plan = plans.find(p => p["id"] === planId) || null;
+  const state = subscription["state"];
+  const cancelled = state === SubscriptionState.ACTIVE_CANCELLED;
+
+  const trialEndsAt = getTrialEnd(subscription, plan);
+  const trial = Boolean(trialEndsAt) && trialEndsAt.getTime() > now;
+  const nextPaymentDate = toDate(subscription["nextPaymentDate"]);
+
+  // A cancelled trial keeps access until the end of the trial.
+  if (!isEntitled(subscription, { now }) && !(cancelled && trial)) {
+    return null;
+  }
+
+  let expiresAt = null;
+  if (cancelled) {
+    expiresAt =
+      trial && (!nextPaymentDate || trialEndsAt > nextPaymentDate)
+        ? trialEndsAt
+        : nextPaymentDate;
+  }
+
+  return {
+    planId,
+    plan,
+    subscription,
+    state,
+    trial,
+    trialEndsAt,
+    renewsAt: cancelled ? null : nextPaymentDate,
+    expiresAt,
+  };
+}
 
 class ServerSubscriptions extends DaisySubscriptions {
   /**
-   * Authorize a private plan
+   * @param {Object} input
+   * @param {Object} input.manager - `identifier` and `secretKey`.
+   * @param {Object} [input.override] - Client config, like `baseURL` or `retry`.
+   * @param {Object} [input.withGlobals] - Globals like `fetch`, and `signer` (see {@link module:private~Signer.from}) to sign without web3.
+   * @param {Object} [input.entitlements={}] - Options of {@link module:private~ServerSubscriptions#getEntitlements}.
+   * @param {number} [input.entitlements.ttl=60000] - How long (milliseconds) subscriptions and plans are cached. Set to `0` to disable the cache.
+   */
+  constructor({ entitlements = {}, ...args }) {
+    super(args);
+    if (this.withGlobals.signer) {
+      this.withGlobals = {
+        ...this.withGlobals,
+        signer: Signer.from(this.withGlobals.signer),
+      };
+    }
+    this.entitlementsTTL =
+      entitlements.ttl !== undefined ? entitlements.ttl : ENTITLEMENTS_TTL;
+    this.cache = new Map(); // key -> { promise, expiresAt }
+    this.authorizer = null;
+  }
+
+  /**
+   * Remove expired entries, so the cache does not grow with every account checked.
+   * @private
+   */
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.cache) {
+      if (entry.expiresAt <= now) {
+        this.cache.delete(key);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  cached(key, load, fresh = false) {
+    const now = Date.now();
+    this.prune(now);
+    const entry = this.cache.get(key);
+    if (!fresh && entry) {
+      return entry.promise;
+    }
+
+    const promise = load();
+    if (this.entitlementsTTL > 0) {
+      this.cache.set(key, { promise, expiresAt: now + this.entitlementsTTL });
+      // Do not cache failures.
+      promise.catch(() => {
+        const current = this.cache.get(key);
+        if (current && current.promise === promise) {
+          this.cache.delete(key);
+        }
+      });
+    }
+    return promise;
+  }
+
+  /**
+   * Subscriptions granting access to an address right now. Considers `ACTIVE_CANCELLED`
+   * subscriptions until the end of the paid period and free trials. Results are cached,
+   * see the `entitlements.ttl` option of the constructor.
+   * @async
+   * @param {string} account - Subscriber Ethereum address (case insensitive).
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.fresh=false] - Skip the cache.
+   * @param {Date|number} [opts.now=Date.now()] - Reference time.
+   * @returns {Promise<module:private~Entitlement[]>}
+   *
+   * @example
+   *
+   * const entitlements = await daisy.getEntitlements(account);
+   * const premium = entitlements.find(e => e.planId === PREMIUM_PLAN_ID);
+   * if (premium && premium.expiresAt) {
+   *   console.log(`Access until ${premium.expiresAt}`);
+   * }
+   */
+  getEntitlements(account, { fresh = false, now = Date.now() } = {}) {
+    if (!account) {
+      return Promise.reject(
+        new DaisyValidationError("Missing account argument.")
+      );
+    }
+
+    // Addresses are case insensitive, the same value is cached and sent to the API.
+    const address = account.toLowerCase();
+    const plans = this.cached(
+      "plans",
+      () => this.getData().then(manager => manager["plans"] || []),
+      fresh
+    );
+    const subscriptions = this.cached(
+      `subscriptions:${address}`,
+      () =>
+        this.iterateSubscriptions({
+          account: address,
+          state: [SubscriptionState.ACTIVE, SubscriptionState.ACTIVE_CANCELLED],
+        }).toArray(),
+      fresh
+    );
+
+    return Promise.all([plans, subscriptions]).then(([p, s]) =>
+      s
+        .map(subscription => toEntitlement(subscription, p, Number(now)))
+        .filter(Boolean)
+    );
+  }
+
+  /**
+   * Does the address have access to any plan, or to one of the given plans?
+   * @async
+   * @param {string} account - Subscriber Ethereum address (case insensitive).
+   * @param {Object} [opts={}]
+   * @param {string|string[]} [opts.planId] - Only consider these plans.
+   * @param {boolean} [opts.fresh=false] - Skip the cache.
+   * @param {Date|number} [opts.now=Date.now()] - Reference time.
+   * @returns {Promise<boolean>}
+   *
+   * @example
+   *
+   * app.get("/premium", async (req, res) => {
+   *   const allowed = await daisy.hasActiveSubscription(req.user.account, {
+   *     planId: [GOLD_PLAN_ID, PLATINUM_PLAN_ID],
+   *   });
+   *   res.sendStatus(allowed ? 200 : 402);
+   * });
+   */
+  hasActiveSubscription(account, { planId, fresh, now } = {}) {
+    const plans = planId ? [].concat(planId) : null;
+    return this.getEntitlements(account, { fresh, now }).then(entitlements =>
+      entitlements.some(e => !plans || plans.includes(e.planId))
+    );
+  }
+
+  /**
+   * Forget cached subscriptions, call it when a webhook reports a change.
+   * @param {string} [account] - Subscriber address. Clears the whole cache if missing.
+   * @returns {this}
+   *
+   * @example
+   *
+   * webhooks.on("*", ({ subscription }) => {
+   *   if (subscription) daisy.clearEntitlements(subscription["account"]);
+   * });
+   */
+  clearEntitlements(account) {
+    if (account) {
+      this.cache.delete(`subscriptions:${account.toLowerCase()}`);
+    } else {
+      this.cache.clear();
+    }
+    return this;
+  }
+
+  /**
+   * Load the authorizer of private plans and check that its address is the `authorizer`
+   * of the manager. Then it is the default of {@link module:private~ServerSubscriptions#authorize}.
+   * @async
+   * @param {module:private~Signer|Object} input - Anything accepted by {@link module:private~Signer.from}, like `{ keystore, password }`.
+   * @returns {Promise<module:private~Signer>}
+   * @throws {module:common~DaisyError} With code `AUTHORIZER_MISMATCH` if it is not the authorizer of the manager.
+   *
+   * @example
+   *
+   * // Keep the keystore password out of the source code, the key is only decrypted in memory.
+   * await subscriptions.loadAuthorizer({
+   *   keystore: fs.readFileSync("authorizer.json"),
+   *   password: process.env.AUTHORIZER_PASSWORD,
+   * });
+   * const authSignature = await subscriptions.authorize(null, agreement);
+   */
+  loadAuthorizer(input) {
+    const signer = Signer.from(input);
+    return Promise.all([signer.getAddress(), this.getData()]).then(
+      ([address, manager]) => {
+        checkAuthorizer(address, manager);
+        this.authorizer = signer;
+        return signer;
+      }
+    );
+  }
+
+  /**
+   * Authorize a private plan. Fails before signing if the signer is not the `authorizer`
+   * of the manager, because the `authSignature` would be rejected on-chain.
    * @async
    * @private
-   * @param {Object} authorizer - Authorizer, must match the `authorizer` address in Daisy dashboard.
-   * @param {string} authorizer.privateKey - Buffer, use `Buffer.from("PRIVATE_KEY", "hex")`.
-   * @param {Object} agreement - From {@link module:browser.DaisySDKToken#sign}.
+   * @param {module:private~Signer|Object} authorizer - Authorizer, must match the `authorizer` address in Daisy dashboard. A {@link module:private~Signer}, or anything accepted by {@link module:private~Signer.from} like `{ privateKey }`. Defaults to the one from {@link module:private~ServerSubscriptions#loadAuthorizer}, or `withGlobals.signer`.
+   * @param {Object} agreement - From {@link module:browser.DaisySDKToken#sign}, or only its `subscription`.
    * @param {Object} [opts] - Additional options.
    * @param {boolean} [opts.allowAnyAddress=false] - True if any address can use the authorizer signature to join a private plan.
-   * @returns {string} - authSignature. Use in {@link module:common~SubscriptionProductClient#submit} as `authSignature`.
+   * @param {Array<module:common~Plan|string>} [opts.plans] - Only authorize these plans (or plan ids). Defaults to any plan.
+   * @param {number} [opts.maxExpiresIn] - Only authorize agreements with a `signatureExpiresAt` within this time (milliseconds). Needs the full agreement: the subscription terms alone have no expiration.
+   * @param {Date|number} [opts.now=Date.now()] - Reference time for `maxExpiresIn`.
+   * @returns {Promise<string>} - authSignature. Use in {@link module:common~SubscriptionProductClient#submit} as `authSignature`.
+   * @throws {module:common~DaisyError} With code `AUTHORIZER_MISMATCH`, `PLAN_NOT_AUTHORIZED`, `SIGNATURE_EXPIRED` or `EXPIRATION_TOO_LATE`.
+   * @throws {module:common~DaisyValidationError} If `maxExpiresIn` is set and the agreement has no `signatureExpiresAt`.
+   *
+   * @example
+   *
+   * // The key never leaves the signing service.
+   * const authSignature = await subscriptions.authorize(
+   *   { address: AUTHORIZER_ADDRESS, signTypedData: typedData => signingService.sign(typedData) },
+   *   agreement,
+   *   { plans: [enterprisePlan], maxExpiresIn: 10 * 60 * 1000 }
+   * );
    */
-  authorize(authorizer, agreement, opts = { allowAnyAddress: false }) {
-    if (!authorizer || !authorizer.privateKey) {
-      throw new TypeError("Missing authorizer.privateKey");
+  authorize(authorizer, agreement, opts = {}) {
+    const {
+      allowAnyAddress = false,
+      plans = null,
+      maxExpiresIn = null,
+      now = Date.now(),
+    } = opts;
+    if (!agreement) {
+      throw new DaisyValidationError("Missing agreement.");
     }
-    return this.getData().then(manager => {
-      // Sign private plan using authorizer private key.
-      const signer = new Signer(authorizer.privateKey, manager["address"]);
-      return signer.signTypedData("Subscription", {
-        ...agreement,
-        subscriber: opts.allowAnyAddress ? ZERO_ADDRESS : agreement.subscriber,
-      });
-    });
+    const signer = Signer.from(
+      authorizer || this.authorizer || this.withGlobals.signer
+    );
+    const terms = agreement["subscription"] || agreement;
+
+    return Promise.all([signer.getAddress(), this.getData(), this.loadDomain()])
+      .then(([address, manager]) => {
+        checkAuthorizer(address, manager);
+
+        if (
+          plans &&
+          !scopedPlans(manager, plans).includes(String(terms["plan"]))
+        ) {
+          throw new DaisyError(
+            `Plan ${terms["plan"]} is not in the authorized plans.`,
+            { code: "PLAN_NOT_AUTHORIZED", plan: terms["plan"] }
+          );
+        }
+
+        // eslint-disable-next-line lodash/prefer-is-nil
+        if (maxExpiresIn !== null && maxExpiresIn !== undefined) {
+          const signatureExpiresAt =
+            agreement["signatureExpiresAt"] || terms["signatureExpiresAt"];
+          if (!signatureExpiresAt) {
+            throw new DaisyValidationError(
+              "`maxExpiresIn` needs the agreement with its `signatureExpiresAt`, not only the subscription terms."
+            );
+          }
+          const expiresAt = Number(signatureExpiresAt) * 1000;
+          if (!expiresAt || expiresAt > Number(now) + maxExpiresIn) {
+            throw new DaisyError(
+              `Agreement expires after the maximum of ${maxExpiresIn}ms.`,
+              { code: "EXPIRATION_TOO_LATE", expiresAt: toDate(expiresAt) }
+            );
+          } else if (expiresAt <= Number(now)) {
+            throw new DaisyError("Agreement signature is expired.", {
+              code: "SIGNATURE_EXPIRED",
+              expiresAt: toDate(expiresAt),
+            });
+          }
+        }
+
+        return buildTypedData(this.getDomain(manager), "Subscription", {
+          ...terms,
+          subscriber: allowAnyAddress ? ZERO_ADDRESS : terms["subscriber"],
+        });
+      })
+      .then(typedData => signer.signTypedData(typedData));
+  }
+
+  /**
+   * Check an agreement signed in the browser before submitting it: the signature must
+   * recover to the subscriber with the EIP-712 domain of the manager, must not be
+   * expired and the terms must match the plan.
+   * @async
+   * @param {Object} input
+   * @param {Object} input.agreement - From {@link module:common.DaisySubscriptionsOnToken#sign}.
+   * @param {string} input.signature - From {@link module:common.DaisySubscriptionsOnToken#sign}.
+   * @param {module:common~Plan} [input.plan] - Plan selected by the user. Defaults to the plan in the agreement.
+   * @param {Date|number} [input.now=Date.now()] - Reference time for the expiration.
+   * @returns {Promise<module:private~AgreementVerification>}
+   *
+   * @example
+   *
+   * app.post("/api/plan/:pid/subscriptions/", h(async (req, res) => {
+   *   const { agreement, signature } = req.body;
+   *   const plan = plans.find(p => p["id"] === req.params["pid"]);
+   *
+   *   const { valid, problems } = await subscriptions.verifyAgreement({ agreement, signature, plan });
+   *   if (!valid) {
+   *     return res.status(400).json({ problems });
+   *   }
+   *   const { data: subscription } = await subscriptions.submit({ agreement, signature });
+   *   res.json(subscription);
+   * }));
+   */
+  verifyAgreement({ agreement, signature, plan, now = Date.now() } = {}) {
+    if (!agreement || !signature) {
+      throw new DaisyValidationError("Missing agreement or signature.");
+    }
+
+    return Promise.all([this.getData(), this.loadDomain()]).then(
+      ([manager]) => {
+        const domain = this.getDomain(manager);
+        const problems = [];
+        const problem = (code, message, field) =>
+          problems.push(field ? { code, message, field } : { code, message });
+
+        const terms = agreement["subscription"];
+        if (!terms || !terms["subscriber"]) {
+          problem("INVALID_AGREEMENT", "Agreement without subscription terms.");
+          return { valid: false, signer: null, plan: plan || null, problems };
+        }
+
+        const signer = recoverSigner(domain, agreement, signature);
+        if (!signer) {
+          problem("INVALID_SIGNATURE", "Signature could not be recovered.");
+        } else if (!same(signer, terms["subscriber"])) {
+          problem(
+            "SIGNER_MISMATCH",
+            `Signed by ${signer}, not by the subscriber ${terms["subscriber"]}.`
+          );
+        }
+
+        const expiresAt = Number(agreement["signatureExpiresAt"]) * 1000;
+        if (!(expiresAt > Number(now))) {
+          problem("SIGNATURE_EXPIRED", "Signature is expired.");
+        }
+
+        const selected =
+          plan ||
+          (manager["plans"] || []).find(
+            p => String(p["onChainId"]) === String(terms["plan"])
+          );
+        if (!selected) {
+          problem("PLAN_NOT_FOUND", `Plan ${terms["plan"]} not found.`);
+        } else {
+          if (selected["active"] === false) {
+            problem(
+              "PLAN_INACTIVE",
+              `Plan "${selected["name"]}" is not active.`
+            );
+          }
+          for (const [field, planField, equals] of PLAN_FIELDS) {
+            if (!equals(terms[field], selected[planField])) {
+              problem(
+                "PLAN_MISMATCH",
+                `Agreement ${field} is ${terms[field]}, plan has ${selected[planField]}.`,
+                field
+              );
+            }
+          }
+        }
+
+        return {
+          valid: problems.length === 0,
+          signer,
+          plan: selected || null,
+          problems,
+        };
+      }
+    );
   }
 
   /**
@@ -46,7 +534,7 @@ class ServerSubscriptions extends DaisySubscriptions {
    */
   createInvitation(plan, params = { active: true, maxUsages: 0 }) {
     if (!plan) {
-      throw new TypeError("Missing first argument: plan");
+      throw new DaisyValidationError("Missing first argument: plan");
     }
 
     const data = {
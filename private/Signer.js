@@ -1,31 +1,207 @@
 /** @module private */
 
 const sigUtil = require("eth-sig-util");
-const { EIP712Types } = require("@daisypayments/smart-contracts/eip712");
+const ethUtil = require("ethereumjs-util");
+const { isObject } = require("../common/helpers");
+const { DaisyError, DaisyValidationError } = require("../common/errors");
+const { decryptKeystore } = require("./keystore");
+
+function toPrivateKey(privateKey) {
+  if (Buffer.isBuffer(privateKey)) {
+    return privateKey;
+  }
+  const hex = String(privateKey).replace(/^0x/, "");
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new DaisyValidationError("Invalid private key.");
+  }
+  return Buffer.from(hex, "hex");
+}
 
 /**
- * @private
+ * Signs EIP-712 typed data without exposing how: a private key in memory, a KMS or
+ * HSM, a remote signing service... Extend it and implement both methods, or use
+ * {@link module:private~Signer.from}.
+ *
+ * Accepted by {@link module:private~ServerSubscriptions#authorize} and as `withGlobals.signer`,
+ * where it replaces the web3 wallet in the `sign*` methods.
+ *
+ * @example
+ *
+ * class KMSSigner extends Signer {
+ *   getAddress() {
+ *     return Promise.resolve(AUTHORIZER_ADDRESS);
+ *   }
+ *   signTypedData(typedData) {
+ *     return kms.sign(sigUtil.TypedDataUtils.sign(typedData)); // 0x-prefixed r, s, v
+ *   }
+ * }
  */
 class Signer {
-  constructor(privateKey, subscriptionManagerAddress) {
-    this.privateKey = privateKey;
-    this.domain = {
-      verifyingContract: subscriptionManagerAddress,
-    };
+  /**
+   * @async
+   * @returns {Promise<string>} - Ethereum address.
+   */
+  getAddress() {
+    return Promise.reject(new DaisyError("Signer#getAddress not implemented."));
+  }
+
+  /**
+   * @async
+   * @param {Object} typedData - `{ types, domain, primaryType, message }`, see {@link module:common~buildTypedData}.
+   * @returns {Promise<string>} - Signature.
+   */
+  // eslint-disable-next-line no-unused-vars
+  signTypedData(typedData) {
+    return Promise.reject(
+      new DaisyError("Signer#signTypedData not implemented.")
+    );
+  }
+
+  /**
+   * Signer from one of:
+   * - A {@link module:private~Signer}, or any object with `getAddress()` and `signTypedData(typedData)`.
+   * - `{ address, signTypedData }`: an address and a function, for external signers.
+   * - `{ privateKey }`, a `Buffer` or a hex string: a {@link module:private~PrivateKeySigner}.
+   * - `{ keystore, password }`: a {@link module:private~KeystoreSigner}.
+   * @param {Object|Buffer|string} input
+   * @returns {module:private~Signer}
+   */
+  static from(input) {
+    if (!input) {
+      throw new DaisyValidationError("Missing signer.");
+    } else if (
+      isObject(input) &&
+      input.getAddress &&
+      input.signTypedData &&
+      !Buffer.isBuffer(input)
+    ) {
+      return input;
+    } else if (isObject(input) && input.address && input.signTypedData) {
+      return new CallbackSigner(input.address, input.signTypedData);
+    } else if (isObject(input) && input.keystore) {
+      return new KeystoreSigner(input.keystore, input.password);
+    } else if (isObject(input) && input.privateKey) {
+      return new PrivateKeySigner(input.privateKey);
+    } else if (Buffer.isBuffer(input) || !isObject(input)) {
+      return new PrivateKeySigner(input);
+    }
+    throw new DaisyValidationError(
+      "Signer must have `getAddress` and `signTypedData`, `address` and `signTypedData`, `keystore` and `password`, or `privateKey`."
+    );
+  }
+}
+
+/**
+ * Signs with a private key kept in memory.
+ * @extends module:private~Signer
+ */
+class PrivateKeySigner extends Signer {
+  /**
+   * @param {Buffer|string} privateKey - `Buffer` or hex string (with or without `0x`).
+   */
+  constructor(privateKey) {
+    super();
+    this.privateKey = toPrivateKey(privateKey);
+    this.address = null;
   }
 
-  signTypedData(type, message) {
-    const data = {
-      types: EIP712Types,
-      domain: this.domain,
-      primaryType: type,
-      message,
-    };
+  getAddress() {
+    if (!this.address) {
+      this.address = ethUtil.bufferToHex(
+        ethUtil.privateToAddress(this.privateKey)
+      );
+    }
+    return Promise.resolve(this.address);
+  }
 
-    return sigUtil.signTypedData(this.privateKey, {
-      data,
-    });
+  signTypedData(typedData) {
+    return Promise.resolve().then(() =>
+      sigUtil.signTypedData(this.privateKey, { data: typedData })
+    );
   }
 }
 
+/**
+ * Signs with a function, like a call to a KMS or to a remote signing service.
+ * @extends module:private~Signer
+ */
+class CallbackSigner extends Signer {
+  /**
+   * @param {string} address - Ethereum address of the key.
+   * @param {Function} sign - `typedData => Promise<string>`.
+   */
+  constructor(address, sign) {
+    super();
+    if (!address || !sign) {
+      throw new DaisyValidationError("Missing address or sign function.");
+    }
+    this.address = address;
+    this.sign = sign;
+  }
+
+  getAddress() {
+    return Promise.resolve(this.address);
+  }
+
+  signTypedData(typedData) {
+    return Promise.resolve().then(() => this.sign(typedData));
+  }
+}
+
+/**
+ * Signs with the key of an encrypted V3 keystore, see {@link module:private~decryptKeystore}.
+ * The key is decrypted once, on first use, and kept in memory.
+ * @extends module:private~Signer
+ */
+class KeystoreSigner extends Signer {
+  /**
+   * @param {Object|string|Buffer} keystore - Keystore JSON, or its content.
+   * @param {string} password - Passphrase.
+   */
+  constructor(keystore, password) {
+    super();
+    // eslint-disable-next-line lodash/prefer-lodash-typecheck
+    if (!keystore || typeof password !== "string") {
+      throw new DaisyValidationError("Missing keystore or password.");
+    }
+    this.keystore = keystore;
+    this.password = password;
+    this.decrypting = null;
+  }
+
+  /**
+   * Decrypt the keystore, only the first time.
+   * @async
+   * @returns {Promise<module:private~PrivateKeySigner>}
+   */
+  unlock() {
+    if (!this.decrypting) {
+      this.decrypting = decryptKeystore(this.keystore, this.password).then(
+        privateKey => {
+          this.keystore = null;
+          this.password = null;
+          return new PrivateKeySigner(privateKey);
+        }
+      );
+      // Do not cache failures.
+      this.decrypting.catch(() => {
+        this.decrypting = null;
+      });
+    }
+    return this.decrypting;
+  }
+
+  getAddress() {
+    return this.unlock().then(signer => signer.getAddress());
+  }
+
+  signTypedData(typedData) {
+    return this.unlock().then(signer => signer.signTypedData(typedData));
+  }
+}
+
+Signer.PrivateKeySigner = PrivateKeySigner;
+Signer.KeystoreSigner = KeystoreSigner;
+Signer.CallbackSigner = CallbackSigner;
+
 module.exports = Signer;
@@ -0,0 +1,327 @@
+/** @module private */
+
+/* eslint promise/no-nesting: 0 */
+
+const {
+  verify,
+  verifyEvent,
+  checkTimestamp,
+  getTimestamp,
+  parseBody,
+  replayKey,
+  MemoryStore,
+  DEFAULT_TOLERANCE,
+} = require("./webhooks");
+const { DaisyWebhookError, DaisyValidationError } = require("../common/errors");
+
+const SIGNATURE_HEADER = "x-daisy-signature";
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {?string} id - Event ID, used to detect replays.
+ * @property {string} type - Event type, like `subscription.cancelled`, `receipt.created` or `invoice.paid`.
+ * @property {?Date} createdAt - When the event was emitted.
+ * @property {module:common~Subscription} [subscription] - Present on `subscription.*` events.
+ * @property {module:common~Receipt|module:common~PaymentReceipt} [receipt] - Present on `receipt.*` events.
+ * @property {module:common~PaymentInvoice} [invoice] - Present on `invoice.*` events.
+ * @property {Object} data - Event payload.
+ * @property {Object} raw - Verified message as received.
+ */
+
+function slug(value) {
+  return String(value).toLowerCase();
+}
+
+/**
+ * Guess the event type of payloads without an explicit `type`.
+ * @private
+ */
+function inferType(data) {
+  if (data["invoicedPrice"] !== undefined && data["state"]) {
+    return `invoice.${slug(data["state"])}`;
+  } else if (data["daisyId"] && data["state"]) {
+    return `subscription.${slug(data["state"])}`;
+  } else if (data["txHash"] && (data["action"] || data["amount"])) {
+    return "receipt.created";
+  }
+  return "unknown";
+}
+
+/**
+ * Parse a verified webhook message into a {@link module:private~WebhookEvent}.
+ * @private
+ * @param {Object} message - Verified message.
+ * @returns {module:private~WebhookEvent}
+ */
+function toEvent(message) {
+  const data = message["data"] || message;
+  const type = message["type"] || message["event"] || inferType(data);
+  const resource = type.split(".")[0];
+
+  const event = {
+    id: message["id"] || message["eventId"] || null,
+    type,
+    createdAt: getTimestamp(message) ? new Date(getTimestamp(message)) : null,
+    data,
+    raw: message,
+  };
+  if (["subscription", "receipt", "invoice"].includes(resource)) {
+    event[resource] = data;
+  }
+  return event;
+}
+
+/* eslint-disable lodash/prefer-is-nil, lodash/prefer-lodash-typecheck */
+function toMessage(body) {
+  if (body === undefined || body === null) {
+    throw new DaisyWebhookError("Missing webhook body.", {
+      reason: "INVALID_PAYLOAD",
+    });
+  } else if (typeof body === "string" || Buffer.isBuffer(body)) {
+    return parseBody(body);
+  }
+  return body;
+}
+/* eslint-enable lodash/prefer-is-nil, lodash/prefer-lodash-typecheck */
+
+function reply(error) {
+  return { status: 400, body: { error: error.reason, message: error.message } };
+}
+
+/**
+ * Verify, parse and dispatch Daisy webhooks.
+ *
+ * @example
+ *
+ * const { WebhookHandler } = require("@daisypayments/daisy-sdk/private");
+ *
+ * const webhooks = new WebhookHandler({
+ *   publicKey: process.env.DAISY_CALLBACK_PUBLIC_KEY,
+ * });
+ *
+ * webhooks.on("subscription.cancelled", async ({ subscription }) => {
+ *   await revokeAccess(subscription["account"]);
+ * });
+ *
+ * // The raw body is required to verify the signature.
+ * app.post("/webhooks/daisy", express.raw({ type: "application/json" }), webhooks.express());
+ */
+class WebhookHandler {
+  /**
+   * @param {Object} [opts={}]
+   * @param {string} [opts.publicKey=process.env.DAISY_CALLBACK_PUBLIC_KEY] - Daisy callback public key (PEM).
+   * @param {string} [opts.header="x-daisy-signature"] - Header with the base64 signature.
+   * @param {number} [opts.tolerance=300000] - Max age of an event in milliseconds. Set to `0` to disable, only with a persistent `store`.
+   * @param {boolean} [opts.requireTimestamp=false] - Reject events without timestamp.
+   * @param {module:private~ReplayStore} [opts.store=new MemoryStore()] - Where processed event ids are remembered. Use a shared store when running multiple processes.
+   * @param {string} [opts.algorithm="RSA-SHA256"] - Signature algorithm.
+   */
+  constructor({
+    publicKey = process.env.DAISY_CALLBACK_PUBLIC_KEY,
+    header = SIGNATURE_HEADER,
+    tolerance = DEFAULT_TOLERANCE,
+    requireTimestamp = false,
+    store = new MemoryStore(),
+    algorithm,
+  } = {}) {
+    if (!publicKey) {
+      throw new DaisyValidationError(
+        "Missing `publicKey` argument or `DAISY_CALLBACK_PUBLIC_KEY` environment variable."
+      );
+    }
+    if (!tolerance && store instanceof MemoryStore) {
+      throw new DaisyValidationError(
+        "`tolerance: 0` needs a persistent `store`, otherwise old webhooks can be replayed."
+      );
+    }
+    this.publicKey = publicKey;
+    this.header = header.toLowerCase();
+    this.tolerance = tolerance;
+    this.requireTimestamp = requireTimestamp;
+    this.store = store;
+    this.algorithm = algorithm;
+    this.listeners = {};
+  }
+
+  /**
+   * Register a listener. Listeners can return a Promise, the webhook is acknowledged after every listener resolves.
+   * @param {string} type - Event type (`subscription.cancelled`, `invoice.paid`, ...) or `*` for every event.
+   * @param {Function} listener - Receives a {@link module:private~WebhookEvent}.
+   * @returns {this}
+   */
+  on(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).concat(listener);
+    return this;
+  }
+
+  /**
+   * Remove a listener.
+   * @param {string} type - Event type.
+   * @param {Function} listener - Listener passed to {@link module:private~WebhookHandler#on}.
+   * @returns {this}
+   */
+  off(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(
+      fn => fn !== listener
+    );
+    return this;
+  }
+
+  /**
+   * Verify the signature and parse the event, without dispatching it.
+   * @param {Object} input
+   * @param {string|Buffer|Object} input.body - Raw request body.
+   * @param {string} input.signature - Value of the signature header.
+   * @returns {module:private~WebhookEvent}
+   * @throws {module:common~DaisyWebhookError}
+   */
+  parse({ body, signature }) {
+    const message = toMessage(body);
+
+    const valid =
+      Boolean(signature) &&
+      verify({
+        message,
+        digest: signature,
+        publicKey: this.publicKey,
+        algorithm: this.algorithm,
+      });
+    if (!valid) {
+      throw new DaisyWebhookError("Invalid webhook signature.", {
+        reason: "INVALID_SIGNATURE",
+      });
+    }
+    checkTimestamp(message, {
+      tolerance: this.tolerance,
+      requireTimestamp: this.requireTimestamp,
+    });
+
+    return toEvent(message);
+  }
+
+  /**
+   * Verify, parse and dispatch an event to the registered listeners.
+   * If a listener fails the event id is released so Daisy can retry it.
+   * @async
+   * @param {Object} input
+   * @param {string|Buffer|Object} input.body - Raw request body.
+   * @param {string} input.signature - Value of the signature header.
+   * @returns {Promise<module:private~WebhookEvent>}
+   */
+  handle({ body, signature }) {
+    let message = null;
+    try {
+      message = toMessage(body);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return verifyEvent({
+      message,
+      digest: signature,
+      publicKey: this.publicKey,
+      algorithm: this.algorithm,
+      tolerance: this.tolerance,
+      requireTimestamp: this.requireTimestamp,
+      store: this.store,
+    }).then(verified => {
+      const event = toEvent(verified);
+      const listeners = []
+        .concat(this.listeners[event.type] || [])
+        .concat(this.listeners["*"] || []);
+
+      // Listeners that throw synchronously also release the event id.
+      const calls = listeners.map(listener =>
+        Promise.resolve().then(() => listener(event))
+      );
+      return Promise.all(calls).then(
+        () => event,
+        error => {
+          const release = Promise.resolve(
+            this.store.forget(replayKey(verified, signature))
+          );
+          return release.then(() => {
+            throw error;
+          });
+        }
+      );
+    });
+  }
+
+  /**
+   * Express (and Connect) middleware. Requires the raw body, use `express.raw({ type: "application/json" })`.
+   * @returns {Function} `(req, res, next)` middleware.
+   */
+  express() {
+    return (req, res, next) => {
+      const body = req.rawBody || req.body;
+      const signature = req.headers[this.header];
+
+      return this.handle({ body, signature }).then(
+        () => res.status(200).json({ received: true }),
+        error => {
+          if (error instanceof DaisyWebhookError) {
+            const { status, body: payload } = reply(error);
+            return res.status(status).json(payload);
+          }
+          return next(error); // eslint-disable-line promise/no-callback-in-promise
+        }
+      );
+    };
+  }
+
+  /**
+   * Koa middleware. Requires the raw body as `ctx.request.rawBody` (`koa-bodyparser`) or `ctx.request.body`.
+   * @returns {Function} `(ctx, next)` middleware.
+   */
+  koa() {
+    return ctx => {
+      const body = ctx.request.rawBody || ctx.request.body;
+      const signature = ctx.get(this.header);
+
+      return this.handle({ body, signature }).then(
+        () => {
+          ctx.status = 200;
+          ctx.body = { received: true };
+          return ctx;
+        },
+        error => {
+          if (error instanceof DaisyWebhookError) {
+            const { status, body: payload } = reply(error);
+            ctx.status = status;
+            ctx.body = payload;
+            return;
+          }
+          throw error;
+        }
+      );
+    };
+  }
+
+  /**
+   * Fastify route handler. Requires the raw body as `request.rawBody` (`fastify-raw-body`) or `request.body`.
+   * @returns {Function} `(request, reply)` handler.
+   */
+  fastify() {
+    return (request, response) => {
+      const body = request.rawBody || request.body;
+      const signature = request.headers[this.header];
+
+      return this.handle({ body, signature }).then(
+        () => response.code(200).send({ received: true }),
+        error => {
+          if (error instanceof DaisyWebhookError) {
+            const { status, body: payload } = reply(error);
+            return response.code(status).send(payload);
+          }
+          throw error;
+        }
+      );
+    };
+  }
+}
+
+WebhookHandler.SIGNATURE_HEADER = SIGNATURE_HEADER;
+WebhookHandler.DEFAULT_TOLERANCE = DEFAULT_TOLERANCE;
+
+module.exports = WebhookHandler;
@@ -0,0 +1,358 @@
+/** @module private */
+
+const { sign } = require("./webhooks");
+const { ZERO_ADDRESS } = require("../common/helpers");
+const {
+  SubscriptionState,
+  CancelState,
+  InvoiceState,
+} = require("../common/states");
+
+/**
+ * Fixtures for tests: Daisy resources and webhook events with realistic shapes.
+ *
+ * @example
+ *
+ * const fixtures = require("@daisypayments/daisy-sdk/private/fixtures");
+ * const { generateKeyPair } = require("@daisypayments/daisy-sdk/private/webhooks");
+ *
+ * const { publicKey, privateKey } = generateKeyPair();
+ * const event = fixtures.subscriptionEvents()["CANCELLED"];
+ * const { body, headers } = fixtures.signedEvent(event, privateKey);
+ *
+ * await request(app).post("/webhooks/daisy").set(headers).send(body);
+ */
+
+const SUBSCRIPTION_STATES = Object.values(SubscriptionState);
+const INVOICE_STATES = Object.values(InvoiceState);
+
+const ACCOUNT = "0x1111111111111111111111111111111111111111";
+const TOKEN = "0x2222222222222222222222222222222222222222";
+const WALLET = "0x3333333333333333333333333333333333333333";
+const INVOICE_ADDRESS = "0x4444444444444444444444444444444444444444";
+const MANAGER_ADDRESS = "0x5555555555555555555555555555555555555555";
+const PUBLISHER = "0x6666666666666666666666666666666666666666";
+
+let counter = 0;
+
+function uid(prefix) {
+  counter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${counter}`;
+}
+
+function hex(size) {
+  let value = "0x";
+  while (value.length < size + 2) {
+    value += Math.floor(Math.random() * 16).toString(16);
+  }
+  return value;
+}
+
+function timestamps() {
+  const now = new Date().toISOString();
+  return { createdAt: now, updatedAt: now };
+}
+
+/**
+ * Random Ethereum address.
+ * @returns {string}
+ */
+exports.address = function address() {
+  return hex(40);
+};
+
+/**
+ * Subscription manager, without plans.
+ * @param {Object} [overrides={}]
+ * @returns {module:common~SubscriptionManager}
+ */
+exports.manager = function manager(overrides = {}) {
+  return {
+    identifier: uid("manager"),
+    secretKey: hex(32).slice(2),
+    name: "Subscription service",
+    networkId: 4,
+    walletAddress: WALLET,
+    publisher: PUBLISHER,
+    authorizer: PUBLISHER,
+    address: MANAGER_ADDRESS,
+    txHash: hex(64),
+    state: "DEPLOYED",
+    deployedAt: new Date().toISOString(),
+    ...timestamps(),
+    ...overrides,
+  };
+};
+
+/**
+ * @param {Object} [overrides={}]
+ * @returns {module:common~PaymentGroup}
+ */
+exports.paymentGroup = function paymentGroup(overrides = {}) {
+  return {
+    identifier: uid("otp"),
+    secretKey: hex(32).slice(2),
+    name: "Payment group",
+    networkId: 4,
+    walletAddress: WALLET,
+    tokenAddress: TOKEN,
+    active: true,
+    ...timestamps(),
+    ...overrides,
+  };
+};
+
+/**
+ * @param {Object} [overrides={}]
+ * @returns {Object}
+ */
+exports.token = function token(overrides = {}) {
+  return {
+    name: "Daisy Token",
+    symbol: "DSY",
+    address: TOKEN,
+    decimals: 18,
+    ...overrides,
+  };
+};
+
+/**
+ * @param {Object} [overrides={}]
+ * @returns {module:common~Plan}
+ */
+exports.plan = function plan(overrides = {}) {
+  return {
+    id: uid("plan"),
+    name: "Monthly",
+    onChainId: hex(64),
+    description: "",
+    price: "1000000000000000000",
+    periods: 1,
+    periodUnit: "MONTH",
+    maxExecutions: "0",
+    private: false,
+    active: true,
+    state: "DEPLOYED",
+    removalState: "OK",
+    freeTrialPeriods: "0",
+    freeTrialPeriodsUnit: "MONTH",
+    tokenAddress: TOKEN,
+    ...timestamps(),
+    ...overrides,
+  };
+};
+
+/**
+ * @param {Object} [overrides={}]
+ * @returns {module:common~Subscription}
+ */
+exports.subscription = function subscription(overrides = {}) {
+  const nextPayment = Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
+  return {
+    daisyId: `daisy-${uid("sub")}`,
+    account: ACCOUNT,
+    token: TOKEN,
+    tokenAddress: TOKEN,
+    price: "1000000000000000000",
+    periodUnit: "MONTH",
+    periods: 1,
+    signature: hex(130),
+    signatureExpiresAt: String(Math.floor(Date.now() / 1000) + 600),
+    maxExecutions: "0",
+    nextPayment: String(nextPayment),
+    nextPaymentDate: new Date(nextPayment * 1000).toISOString(),
+    onChainId: hex(64),
+    txHash: hex(64),
+    state: SubscriptionState.ACTIVE,
+    cancelState: CancelState.OK,
+    startedAt: new Date().toISOString(),
+    ...timestamps(),
+    plan: { id: uid("plan") },
+    ...overrides,
+  };
+};
+
+/**
+ * @param {Object} [overrides={}]
+ * @returns {module:common~Invitation}
+ */
+exports.invitation = function invitation(overrides = {}) {
+  const identifier = uid("invitation");
+  return {
+    identifier,
+    active: true,
+    automatic: true,
+    maxUsages: 0,
+    sharePath: `/invitations/${identifier}`,
+    shareURL: `https://app.daisypayments.com/invitations/${identifier}`,
+    callbackURL: null,
+    callbackExtra: null,
+    redirectURLDefault: null,
+    ...timestamps(),
+    plan: { id: uid("plan") },
+    ...overrides,
+  };
+};
+
+/**
+ * Subscription receipt (billing cycle).
+ * @param {Object} [overrides={}]
+ * @returns {module:common~Receipt}
+ */
+exports.receipt = function receipt(overrides = {}) {
+  return {
+    id: uid("receipt"),
+    txHash: hex(64),
+    action: "BILLED",
+    feeRecipient: ZERO_ADDRESS,
+    feeAmount: "0",
+    paymentRecipient: WALLET,
+    paymentAmount: "1000000000000000000",
+    onChainCreatedAt: new Date().toISOString(),
+    createdAt: new Date().toISOString(),
+    ...overrides,
+  };
+};
+
+/**
+ * @param {Object} [overrides={}]
+ * @returns {module:common~PaymentInvoice}
+ */
+exports.invoice = function invoice(overrides = {}) {
+  return {
+    id: uid("invoice"),
+    identifier: uid("inv"),
+    state: InvoiceState.PENDING,
+    amountPaid: "0",
+    address: INVOICE_ADDRESS,
+    tokenAddress: TOKEN,
+    walletAddress: WALLET,
+    invoicedPrice: "20000000000000000000",
+    ...timestamps(),
+    ...overrides,
+  };
+};
+
+/**
+ * @param {Object} [overrides={}]
+ * @returns {module:common~PaymentReceipt}
+ */
+exports.paymentReceipt = function paymentReceipt(overrides = {}) {
+  return {
+    id: uid("receipt"),
+    txHash: hex(64),
+    account: ACCOUNT,
+    amount: "20000000000000000000",
+    onChainCreatedAt: new Date().toISOString(),
+    ...timestamps(),
+    ...overrides,
+  };
+};
+
+/**
+ * Webhook event envelope.
+ * @param {string} type - Event type, like `subscription.cancelled`.
+ * @param {Object} data - Payload.
+ * @param {Object} [overrides={}] - Envelope fields: `id`, `timestamp`.
+ * @returns {Object}
+ */
+exports.event = function event(type, data, overrides = {}) {
+  return {
+    id: uid("evt"),
+    type,
+    timestamp: Date.now(),
+    data,
+    ...overrides,
+  };
+};
+
+function slug(state) {
+  return state.toLowerCase();
+}
+
+/**
+ * One `subscription.*` event for every subscription state.
+ * @param {Object} [overrides={}] - Subscription fields.
+ * @returns {Object<string, Object>} - Events by state.
+ */
+exports.subscriptionEvents = function subscriptionEvents(overrides = {}) {
+  return SUBSCRIPTION_STATES.reduce((acc, state) => {
+    acc[state] = exports.event(
+      `subscription.${slug(state)}`,
+      exports.subscription({
+        state,
+        endedAt: [
+          SubscriptionState.CANCELLED,
+          SubscriptionState.EXPIRED,
+        ].includes(state)
+          ? new Date().toISOString()
+          : undefined,
+        ...overrides,
+      })
+    );
+    return acc;
+  }, {});
+};
+
+/**
+ * One `invoice.*` event for every invoice state.
+ * @param {Object} [overrides={}] - Invoice fields.
+ * @returns {Object<string, Object>} - Events by state.
+ */
+exports.invoiceEvents = function invoiceEvents(overrides = {}) {
+  const invoice = exports.invoice(overrides);
+  const price = String(invoice["invoicedPrice"]);
+  const paid = {
+    [InvoiceState.PENDING]: "0",
+    [InvoiceState.UNDER_PAID]: price.slice(0, -1) || "0", // a tenth
+    [InvoiceState.PAID]: price,
+    [InvoiceState.OVER_PAID]: `${price}0`, // ten times
+  };
+
+  return INVOICE_STATES.reduce((acc, state) => {
+    acc[state] = exports.event(`invoice.${slug(state)}`, {
+      ...invoice,
+      state,
+      amountPaid: paid[state],
+      paidAt: state === InvoiceState.PENDING ? null : new Date().toISOString(),
+      ...overrides,
+    });
+    return acc;
+  }, {});
+};
+
+/**
+ * `receipt.created` event.
+ * @param {Object} [overrides={}] - Receipt fields.
+ * @returns {Object}
+ */
+exports.receiptEvent = function receiptEvent(overrides = {}) {
+  return exports.event("receipt.created", exports.receipt(overrides));
+};
+
+/**
+ * Sign an event as Daisy does.
+ * @param {Object} event - Webhook event.
+ * @param {string} privateKey - PEM private key.
+ * @param {Object} [opts={}]
+ * @param {string} [opts.header="x-daisy-signature"]
+ * @returns {{ body: string, signature: string, headers: Object }} - Request parts to send to your endpoint.
+ */
+exports.signedEvent = function signedEvent(
+  event,
+  privateKey,
+  { header = "x-daisy-signature" } = {}
+) {
+  const signature = sign({ message: event, privateKey });
+  return {
+    body: JSON.stringify(event),
+    signature,
+    headers: {
+      "content-type": "application/json",
+      [header]: signature,
+    },
+  };
+};
+
+exports.SUBSCRIPTION_STATES = SUBSCRIPTION_STATES;
+exports.INVOICE_STATES = INVOICE_STATES;
@@ -2,6 +2,13 @@
 
 const ServerSubscriptions = require("./ServerSubscriptions");
 const ServerPayments = require("./ServerPayments");
+const WebhookHandler = require("./WebhookHandler");
+const Signer = require("./Signer");
+const { decryptKeystore, encryptKeystore } = require("./keystore");
+const errors = require("../common/errors");
+const states = require("../common/states");
+const eip712 = require("../common/eip712");
+const payloads = require("../common/payloads");
 
 exports.ServerSubscriptions = ServerSubscriptions;
 exports.initSubscriptions = function initSubscriptions(...args) {
@@ -15,6 +22,30 @@ exports.initPayments = function initPayments(...args) {
   return instance.sync();
 };
 
+exports.WebhookHandler = WebhookHandler;
+
+exports.Signer = Signer;
+exports.PrivateKeySigner = Signer.PrivateKeySigner;
+exports.CallbackSigner = Signer.CallbackSigner;
+exports.KeystoreSigner = Signer.KeystoreSigner;
+exports.decryptKeystore = decryptKeystore;
+exports.encryptKeystore = encryptKeystore;
+
+exports.DaisyError = errors.DaisyError;
+exports.DaisyAPIError = errors.DaisyAPIError;
+exports.DaisyAuthError = errors.DaisyAuthError;
+exports.DaisyNotFoundError = errors.DaisyNotFoundError;
+exports.DaisyRateLimitError = errors.DaisyRateLimitError;
+exports.DaisyNetworkError = errors.DaisyNetworkError;
+exports.DaisyValidationError = errors.DaisyValidationError;
+exports.DaisySignatureRejectedError = errors.DaisySignatureRejectedError;
+exports.DaisyWrongNetworkError = errors.DaisyWrongNetworkError;
+exports.DaisyWebhookError = errors.DaisyWebhookError;
+
+exports.states = states;
+exports.eip712 = eip712;
+exports.payloads = payloads;
+
 /**
  * Legacy and deprecating soon.
  */
@@ -0,0 +1,187 @@
+/** @module private */
+
+const crypto = require("crypto");
+const ethUtil = require("ethereumjs-util");
+const { isObject, genUUID } = require("../common/helpers");
+const { DaisyError, DaisyValidationError } = require("../common/errors");
+
+const CIPHER = "aes-128-ctr";
+
+/**
+ * Default scrypt parameters of geth and MetaMask.
+ * @private
+ */
+const SCRYPT = { n: 262144, r: 8, p: 1 };
+
+const KDFS = ["scrypt", "pbkdf2"];
+
+function isHex(value) {
+  return /^[0-9a-f]+$/i.test(value);
+}
+
+function parse(keystore) {
+  let json = keystore;
+  if (Buffer.isBuffer(keystore) || !isObject(keystore)) {
+    try {
+      json = JSON.parse(String(keystore));
+    } catch (error) {
+      throw new DaisyValidationError("Keystore is not valid JSON.");
+    }
+  }
+  const data = json && (json["crypto"] || json["Crypto"]);
+  if (Number(json && json["version"]) !== 3 || !data) {
+    throw new DaisyValidationError("Only V3 keystores are supported.");
+  }
+  if (data["cipher"] !== CIPHER) {
+    throw new DaisyValidationError(
+      `Unsupported keystore cipher: ${data["cipher"]}`
+    );
+  } else if (!KDFS.includes(data["kdf"])) {
+    throw new DaisyValidationError(`Unsupported keystore KDF: ${data["kdf"]}`);
+  }
+  const params = data["kdfparams"];
+  const cipherparams = data["cipherparams"];
+  if (
+    !isObject(params) ||
+    !isHex(params["salt"]) ||
+    !Number(params["dklen"]) ||
+    !isObject(cipherparams) ||
+    !isHex(cipherparams["iv"]) ||
+    !isHex(data["ciphertext"]) ||
+    !isHex(data["mac"])
+  ) {
+    throw new DaisyValidationError(
+      "Invalid keystore: missing or malformed `crypto` fields."
+    );
+  }
+  return data;
+}
+
+function deriveKey(password, kdf, params) {
+  const salt = Buffer.from(params["salt"], "hex");
+  const dklen = Number(params["dklen"]);
+  return new Promise((resolve, reject) => {
+    const done = (err, key) => (err ? reject(err) : resolve(key));
+    if (kdf === "scrypt") {
+      const N = Number(params["n"]);
+      const r = Number(params["r"]);
+      const p = Number(params["p"]);
+      const maxmem = 128 * r * (N + p + 2) + 1024 * 1024;
+      try {
+        crypto.scrypt(password, salt, dklen, { N, r, p, maxmem }, done);
+      } catch (error) {
+        // OpenSSL needs N < 2^(16 * r).
+        throw new DaisyValidationError(
+          `Unsupported scrypt parameters: n=${N}, r=${r}, p=${p}`,
+          { cause: error }
+        );
+      }
+    } else if (kdf === "pbkdf2") {
+      if (params["prf"] !== "hmac-sha256") {
+        throw new DaisyValidationError(
+          `Unsupported keystore PRF: ${params["prf"]}`
+        );
+      }
+      crypto.pbkdf2(password, salt, Number(params["c"]), dklen, "sha256", done);
+    } else {
+      throw new DaisyValidationError(`Unsupported keystore KDF: ${kdf}`);
+    }
+  });
+}
+
+function mac(derivedKey, ciphertext) {
+  return ethUtil
+    .keccak256(Buffer.concat([derivedKey.slice(16, 32), ciphertext]))
+    .toString("hex");
+}
+
+/**
+ * Decrypt a Web3 Secret Storage V3 keystore (the JSON files of geth, MetaMask or MyCrypto),
+ * with the `scrypt` or `pbkdf2` key derivation functions.
+ * @async
+ * @param {Object|string|Buffer} keystore - Keystore JSON, or its content.
+ * @param {string} password - Passphrase.
+ * @returns {Promise<Buffer>} - Private key.
+ * @throws {module:common~DaisyValidationError} If the keystore is malformed or not supported.
+ * @throws {module:common~DaisyError} With code `INVALID_PASSWORD` if the password is wrong.
+ *
+ * @example
+ *
+ * const fs = require("fs");
+ * const { decryptKeystore } = require("@daisypayments/daisy-sdk/private");
+ *
+ * const privateKey = await decryptKeystore(
+ *   fs.readFileSync("authorizer.json"),
+ *   process.env.AUTHORIZER_PASSWORD
+ * );
+ */
+function decryptKeystore(keystore, password) {
+  let data = null;
+  try {
+    // eslint-disable-next-line lodash/prefer-lodash-typecheck
+    if (typeof password !== "string") {
+      throw new DaisyValidationError("Missing keystore password.");
+    }
+    data = parse(keystore);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  // Validated by `parse()`.
+  const ciphertext = Buffer.from(data["ciphertext"], "hex");
+  return deriveKey(password, data["kdf"], data["kdfparams"]).then(
+    derivedKey => {
+      if (mac(derivedKey, ciphertext) !== data["mac"].toLowerCase()) {
+        throw new DaisyError("Wrong keystore password.", {
+          code: "INVALID_PASSWORD",
+        });
+      }
+      const decipher = crypto.createDecipheriv(
+        CIPHER,
+        derivedKey.slice(0, 16),
+        Buffer.from(data["cipherparams"]["iv"], "hex")
+      );
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    }
+  );
+}
+
+/**
+ * Encrypt a private key as a V3 keystore, with `scrypt`.
+ * @async
+ * @param {Buffer|string} privateKey - `Buffer` or hex string.
+ * @param {string} password - Passphrase.
+ * @param {Object} [kdfparams] - scrypt `n`, `r` and `p`. Defaults to the parameters of geth.
+ * @returns {Promise<Object>} - Keystore JSON.
+ */
+function encryptKeystore(privateKey, password, kdfparams = {}) {
+  const key = Buffer.isBuffer(privateKey)
+    ? privateKey
+    : Buffer.from(String(privateKey).replace(/^0x/, ""), "hex");
+  const params = {
+    ...SCRYPT,
+    ...kdfparams,
+    dklen: 32,
+    salt: crypto.randomBytes(32).toString("hex"),
+  };
+  const iv = crypto.randomBytes(16);
+  return deriveKey(password, "scrypt", params).then(derivedKey => {
+    const cipher = crypto.createCipheriv(CIPHER, derivedKey.slice(0, 16), iv);
+    const ciphertext = Buffer.concat([cipher.update(key), cipher.final()]);
+    return {
+      version: 3,
+      id: genUUID(),
+      address: ethUtil.privateToAddress(key).toString("hex"),
+      crypto: {
+        cipher: CIPHER,
+        cipherparams: { iv: iv.toString("hex") },
+        ciphertext: ciphertext.toString("hex"),
+        kdf: "scrypt",
+        kdfparams: params,
+        mac: mac(derivedKey, ciphertext),
+      },
+    };
+  });
+}
+
+exports.decryptKeystore = decryptKeystore;
+exports.encryptKeystore = encryptKeystore;
@@ -0,0 +1,902 @@
+/** @module private */
+
+/* eslint lodash/prefer-lodash-typecheck:0, lodash/prefer-is-nil:0 */
+
+const fixtures = require("./fixtures");
+const { DaisyValidationError } = require("../common/errors");
+const { addPeriods, addAmounts, compareAmounts } = require("../common/helpers");
+const {
+  SubscriptionState,
+  CancelState,
+  InvoiceState,
+  assertTransition,
+  canCancel,
+} = require("../common/states");
+
+const STATUS_TEXT = {
+  200: "OK",
+  201: "Created",
+  400: "Bad Request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not Found",
+  405: "Method Not Allowed",
+  429: "Too Many Requests",
+  500: "Internal Server Error",
+  503: "Service Unavailable",
+};
+
+/**
+ * Minimal `Headers` implementation, case insensitive.
+ * @private
+ */
+class MockHeaders {
+  constructor(init = {}) {
+    this.map = {};
+    if (typeof init.forEach === "function") {
+      init.forEach((value, name) => this.append(name, value));
+    } else {
+      Object.entries(init).forEach(([name, value]) => this.append(name, value));
+    }
+  }
+
+  append(name, value) {
+    const key = String(name).toLowerCase();
+    this.map[key] = this.map[key]
+      ? `${this.map[key]}, ${value}`
+      : String(value);
+  }
+
+  set(name, value) {
+    this.map[String(name).toLowerCase()] = String(value);
+  }
+
+  get(name) {
+    const value = this.map[String(name).toLowerCase()];
+    return value === undefined ? null : value;
+  }
+
+  has(name) {
+    return this.map[String(name).toLowerCase()] !== undefined;
+  }
+
+  delete(name) {
+    delete this.map[String(name).toLowerCase()];
+  }
+
+  forEach(callback) {
+    for (const [name, value] of this.entries()) {
+      callback(value, name, this);
+    }
+  }
+
+  entries() {
+    return Object.entries(this.map)[Symbol.iterator]();
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+/**
+ * Minimal `Response` implementation.
+ * @private
+ */
+class MockResponse {
+  constructor(body, { status = 200, headers = {}, url = "" } = {}) {
+    this.body = body;
+    this.status = status;
+    this.statusText = STATUS_TEXT[status] || "";
+    this.ok = status >= 200 && status < 300;
+    this.headers = new MockHeaders(headers);
+    this.url = url;
+  }
+
+  text() {
+    return Promise.resolve(this.body);
+  }
+
+  json() {
+    return Promise.resolve().then(() => JSON.parse(this.body));
+  }
+}
+
+/**
+ * Error responses of the mock, converted to `{ code, message }` bodies.
+ * @private
+ */
+class HTTPError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code || null;
+  }
+}
+
+function notFound(resource) {
+  return new HTTPError(404, `${resource} not found.`, "NOT_FOUND");
+}
+
+function decodeAuth(headers) {
+  const header = headers.get("Authorization") || "";
+  const [scheme, encoded] = header.split(" ");
+  if (scheme !== "Basic" || !encoded) {
+    return { username: null, password: null };
+  }
+  const decoded = Buffer.from(encoded, "base64").toString();
+  const index = decoded.indexOf(":");
+  return {
+    username: decoded.slice(0, index),
+    password: decoded.slice(index + 1) || null,
+  };
+}
+
+function same(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Keep items matching every filter. Filters are case insensitive and accept repeated values (`in`).
+ * @private
+ */
+function filterBy(items, query, fields) {
+  return items.filter(item =>
+    Object.entries(fields).every(([param, getter]) => {
+      const values = query.getAll(param);
+      return (
+        values.length === 0 || values.some(value => same(getter(item), value))
+      );
+    })
+  );
+}
+
+/**
+ * Paginate like the real API when `limit` is present, otherwise return everything.
+ * @private
+ */
+function paginate(items, query) {
+  if (!query.has("limit")) {
+    return { data: items, total: items.length };
+  }
+  const limit = Number(query.get("limit"));
+  const offset = query.has("cursor")
+    ? Number(Buffer.from(query.get("cursor"), "base64").toString())
+    : Number(query.get("offset")) || 0;
+  const data = items.slice(offset, offset + limit);
+  const body = { data, total: items.length, limit, offset };
+  if (query.has("cursor")) {
+    const seen = offset + data.length;
+    body.next =
+      seen < items.length ? Buffer.from(String(seen)).toString("base64") : null;
+  }
+  return body;
+}
+
+function omitSecret({ secretKey, ...rest }) {
+  return rest;
+}
+
+/**
+ * In-process Daisy API for tests and offline development. Implements the routes
+ * used by the SDK over seedable data, inject it with `withGlobals`.
+ *
+ * @example
+ *
+ * const { ServerSubscriptions } = require("@daisypayments/daisy-sdk/private");
+ * const MockDaisyAPI = require("@daisypayments/daisy-sdk/private/mock");
+ *
+ * const api = new MockDaisyAPI({
+ *   managers: [{ identifier: "acme", secretKey: "secret", plans: [{ name: "Gold" }] }],
+ * });
+ *
+ * const daisy = new ServerSubscriptions({
+ *   manager: { identifier: "acme", secretKey: "secret" },
+ *   withGlobals: api.globals,
+ * });
+ *
+ * const { plans } = await daisy.getData();
+ * const subscription = api.addSubscription(plans[0], { account });
+ * api.transition(subscription["daisyId"], "ACTIVE_CANCELLED");
+ */
+class MockDaisyAPI {
+  /**
+   * @param {Object} [seed={}] - Initial data, see {@link module:private~MockDaisyAPI#seed}.
+   */
+  constructor(seed = {}) {
+    this.db = {
+      managers: [],
+      subscriptions: [],
+      receipts: {},
+      invitations: [],
+      paymentGroups: [],
+      invoices: [],
+      paymentReceipts: {},
+      tokens: [],
+    };
+    this.requests = [];
+    this.failures = [];
+    this.idempotency = {};
+    this.counter = 0;
+    this.fetch = this.fetch.bind(this);
+
+    this.routes = [
+      ["get", /^\/$/, this.getManager],
+      ["get", /^\/subscriptions\/$/, this.listSubscriptions],
+      ["post", /^\/subscriptions\/$/, this.createSubscription],
+      ["post", /^\/subscriptions\/cancel\/$/, this.cancelSubscription],
+      ["get", /^\/subscriptions\/hash\/([^/]+)\/$/, this.getSubscriptionByHash],
+      [
+        "get",
+        /^\/subscriptions\/hash\/([^/]+)\/receipts\/$/,
+        this.getReceiptsByHash,
+      ],
+      ["get", /^\/subscriptions\/([^/]+)\/$/, this.getSubscription],
+      ["get", /^\/subscriptions\/([^/]+)\/receipts\/$/, this.getReceipts],
+      ["post", /^\/plans\/([^/]+)\/invitations\/$/, this.createInvitation],
+      ["get", /^\/otp\/$/, this.getPaymentGroup],
+      ["post", /^\/otp\/$/, this.createInvoice],
+      ["get", /^\/otp\/invoices\/$/, this.listInvoices],
+      [
+        "get",
+        /^\/otp\/invoices\/address\/([^/]+)\/$/,
+        this.getInvoiceByAddress,
+      ],
+      [
+        "get",
+        /^\/otp\/invoices\/address\/([^/]+)\/receipts\/$/,
+        this.getPaymentReceiptsByAddress,
+      ],
+      ["get", /^\/otp\/invoices\/([^/]+)\/$/, this.getInvoice],
+      [
+        "get",
+        /^\/otp\/invoices\/([^/]+)\/receipts\/$/,
+        this.getPaymentReceipts,
+      ],
+      ["get", /^\/otp\/tokens\/?$/, this.listTokens],
+      ["get", /^\/otp\/tokens\/([^/]+)\/?$/, this.getToken],
+    ];
+
+    this.seed(seed);
+  }
+
+  /**
+   * Globals to pass as `withGlobals` to any SDK instance.
+   * @returns {Object} `{ fetch, Headers }`
+   */
+  get globals() {
+    return { fetch: this.fetch, Headers: MockHeaders };
+  }
+
+  /**
+   * Add data. Nested resources are created under their parent.
+   * @param {Object} [data={}]
+   * @param {Object[]} [data.managers] - Subscription managers, each one can have `plans`, and each plan `subscriptions` (each one with `receipts`).
+   * @param {Object[]} [data.paymentGroups] - Payment groups, each one can have `invoices` (each one with `receipts`).
+   * @param {Object[]} [data.tokens] - Tokens returned by `/otp/tokens`. Defaults to a test token.
+   * @returns {this}
+   */
+  seed({ managers = [], paymentGroups = [], tokens } = {}) {
+    for (const { plans = [], ...attributes } of managers) {
+      const manager = this.addManager(attributes);
+      for (const { subscriptions = [], ...planAttributes } of plans) {
+        const plan = this.addPlan(manager, planAttributes);
+        for (const { receipts = [], ...rest } of subscriptions) {
+          const subscription = this.addSubscription(plan, rest);
+          receipts.forEach(receipt =>
+            this.bill(subscription["daisyId"], receipt)
+          );
+        }
+      }
+    }
+    for (const { invoices = [], ...attributes } of paymentGroups) {
+      const group = this.addPaymentGroup(attributes);
+      for (const { receipts = [], ...rest } of invoices) {
+        const invoice = this.addInvoice(group, rest);
+        receipts.forEach(receipt =>
+          this.pay(invoice["identifier"], receipt["amount"], receipt)
+        );
+      }
+    }
+    if (tokens || this.db.tokens.length === 0) {
+      this.db.tokens = this.db.tokens.concat(
+        (tokens || [{}]).map(token => fixtures.token(token))
+      );
+    }
+    return this;
+  }
+
+  /**
+   * @param {Object} [attributes={}]
+   * @returns {module:common~SubscriptionManager} - Stored manager, including `secretKey` and `plans`.
+   */
+  addManager(attributes = {}) {
+    const manager = { ...fixtures.manager(attributes), plans: [] };
+    this.db.managers.push(manager);
+    return manager;
+  }
+
+  /**
+   * @param {Object|string} manager - Manager or its identifier.
+   * @param {Object} [attributes={}]
+   * @returns {module:common~Plan}
+   */
+  addPlan(manager, attributes = {}) {
+    const owner = this.findManager(manager["identifier"] || manager);
+    const plan = fixtures.plan(attributes);
+    owner.plans.push(plan);
+    return plan;
+  }
+
+  /**
+   * @param {Object|string} plan - Plan or its id.
+   * @param {Object} [attributes={}]
+   * @returns {module:common~Subscription}
+   */
+  addSubscription(plan, attributes = {}) {
+    const { plan: stored } = this.findPlan(plan["id"] || plan);
+    const subscription = fixtures.subscription({
+      token: stored["tokenAddress"],
+      tokenAddress: stored["tokenAddress"],
+      price: stored["price"],
+      periods: stored["periods"],
+      periodUnit: stored["periodUnit"],
+      ...attributes,
+      plan: { id: stored["id"] },
+    });
+    this.db.subscriptions.push(subscription);
+    this.db.receipts[subscription["daisyId"]] = [];
+    return subscription;
+  }
+
+  /**
+   * @param {Object} [attributes={}]
+   * @returns {module:common~PaymentGroup} - Stored group, including `secretKey`.
+   */
+  addPaymentGroup(attributes = {}) {
+    const group = fixtures.paymentGroup(attributes);
+    this.db.paymentGroups.push(group);
+    return group;
+  }
+
+  /**
+   * @param {Object|string} group - Payment group or its identifier.
+   * @param {Object} [attributes={}]
+   * @returns {module:common~PaymentInvoice}
+   */
+  addInvoice(group, attributes = {}) {
+    const owner = this.findPaymentGroup(group["identifier"] || group);
+    const invoice = fixtures.invoice({
+      tokenAddress: owner["tokenAddress"],
+      walletAddress: owner["walletAddress"],
+      address: fixtures.address(),
+      ...attributes,
+    });
+    Object.defineProperty(invoice, "group", {
+      value: owner["identifier"],
+      enumerable: false,
+    });
+    this.db.invoices.push(invoice);
+    this.db.paymentReceipts[invoice["identifier"]] = [];
+    return invoice;
+  }
+
+  /**
+   * Move a subscription to another state, as the blockchain would.
+   * @param {string} daisyId - Subscription Daisy ID.
+   * @param {string} state - New state.
+   * @param {Object} [attributes={}] - Other fields to update.
+   * @returns {module:common~Subscription}
+   * @throws {module:common~DaisyError} If the transition is not legal, see {@link module:common~TRANSITIONS}.
+   */
+  transition(daisyId, state, attributes = {}) {
+    const subscription = this.findSubscription(daisyId);
+    assertTransition(subscription["state"], state);
+
+    const now = new Date().toISOString();
+    const changes = { state, updatedAt: now };
+    if (state === SubscriptionState.ACTIVE && !subscription["startedAt"]) {
+      changes.startedAt = now;
+    } else if (
+      [SubscriptionState.CANCELLED, SubscriptionState.EXPIRED].includes(state)
+    ) {
+      changes.endedAt = now;
+    }
+    if (
+      [
+        SubscriptionState.ACTIVE_CANCELLED,
+        SubscriptionState.CANCELLED,
+      ].includes(state)
+    ) {
+      changes.cancelState = CancelState.OK;
+    }
+    return Object.assign(subscription, changes, attributes);
+  }
+
+  /**
+   * Bill a subscription: add a receipt and move the next payment one period forward.
+   * @param {string} daisyId - Subscription Daisy ID.
+   * @param {Object} [attributes={}] - Receipt fields.
+   * @returns {module:common~Receipt}
+   */
+  bill(daisyId, attributes = {}) {
+    const subscription = this.findSubscription(daisyId);
+    const receipt = fixtures.receipt({
+      paymentAmount: subscription["price"],
+      ...attributes,
+    });
+    this.db.receipts[daisyId].push(receipt);
+
+    const next = addPeriods(
+      Number(subscription["nextPayment"]) * 1000,
+      subscription["periods"] || 1,
+      subscription["periodUnit"]
+    );
+    Object.assign(subscription, {
+      nextPayment: String(Math.floor(next.getTime() / 1000)),
+      nextPaymentDate: next.toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+    return receipt;
+  }
+
+  /**
+   * Register a payment to an invoice. Its state is updated according to the total paid.
+   * @param {string} identifier - Invoice identifier or address.
+   * @param {string|number} amount - Amount in the smallest unit of the token.
+   * @param {Object} [attributes={}] - Receipt fields.
+   * @returns {module:common~PaymentReceipt}
+   */
+  pay(identifier, amount, attributes = {}) {
+    const invoice = this.findInvoice(identifier);
+    const receipt = fixtures.paymentReceipt({
+      ...attributes,
+      amount: String(amount),
+    });
+    this.db.paymentReceipts[invoice["identifier"]].push(receipt);
+
+    const amountPaid = addAmounts(invoice["amountPaid"], amount);
+    const comparison = compareAmounts(amountPaid, invoice["invoicedPrice"]);
+    let state = InvoiceState.PAID;
+    if (comparison < 0) {
+      state = InvoiceState.UNDER_PAID;
+    } else if (comparison > 0) {
+      state = InvoiceState.OVER_PAID;
+    }
+    Object.assign(invoice, {
+      amountPaid,
+      state,
+      paidAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+    return receipt;
+  }
+
+  /**
+   * Make the next requests fail, useful to test retries.
+   * @param {number} status - HTTP status code.
+   * @param {Object} [opts={}]
+   * @param {number} [opts.times=1] - How many requests fail.
+   * @param {Object} [opts.headers] - Extra response headers, like `Retry-After`.
+   * @param {Object} [opts.body] - Response body.
+   * @returns {this}
+   */
+  failNext(status, { times = 1, headers = {}, body } = {}) {
+    for (let i = 0; i < times; i += 1) {
+      this.failures.push({ status, headers, body });
+    }
+    return this;
+  }
+
+  /**
+   * `fetch` implementation. Bound to the instance.
+   * @async
+   * @param {string} url - Absolute URL.
+   * @param {Object} [init={}] - `fetch` options.
+   * @returns {Promise<Response>}
+   */
+  fetch(url, init = {}) {
+    this.counter += 1;
+    const requestId = `mock-${this.counter}`;
+    const method = (init.method || "get").toLowerCase();
+    const headers = new MockHeaders(init.headers || {});
+    const { pathname, searchParams } = new URL(url);
+    const body = init.body ? JSON.parse(init.body) : undefined;
+
+    this.requests.push({ method, url, path: pathname, headers, body });
+
+    const respond = (code, data, extra = {}) =>
+      Promise.resolve(
+        new MockResponse(JSON.stringify(data), {
+          status: code,
+          url,
+          headers: {
+            "Content-Type": "application/json",
+            "X-Request-Id": requestId,
+            ...extra,
+          },
+        })
+      );
+
+    if (this.failures.length > 0) {
+      const failure = this.failures.shift();
+      return respond(
+        failure.status,
+        failure.body || { message: STATUS_TEXT[failure.status] || "Error" },
+        failure.headers
+      );
+    }
+
+    const key = headers.get("Idempotency-Key");
+    if (key && this.idempotency[key]) {
+      const previous = this.idempotency[key];
+      return respond(previous.status, previous.payload);
+    }
+
+    const ctx = {
+      method,
+      query: searchParams,
+      body: body || {},
+      headers,
+      auth: decodeAuth(headers),
+    };
+
+    let status = 200;
+    let payload = null;
+    try {
+      const [, , handler, params] = this.match(method, pathname);
+      const result = handler.call(this, ctx, ...params);
+      status = result.status || 200;
+      payload = result.body;
+    } catch (error) {
+      if (!(error instanceof HTTPError)) {
+        return Promise.reject(error);
+      }
+      status = error.status;
+      payload = { code: error.code, message: error.message };
+    }
+
+    if (key && status < 500) {
+      this.idempotency[key] = { status, payload };
+    }
+    return respond(status, payload);
+  }
+
+  /**
+   * @private
+   */
+  match(method, pathname) {
+    const found = this.routes
+      .map(([m, regex, handler]) => [m, regex, handler, regex.exec(pathname)])
+      .filter(([, , , params]) => params);
+
+    if (found.length === 0) {
+      throw new HTTPError(404, `Cannot ${method.toUpperCase()} ${pathname}`);
+    }
+    const route = found.find(([m]) => m === method);
+    if (!route) {
+      throw new HTTPError(405, "Method not allowed.");
+    }
+    return [route[0], route[1], route[2], route[3].slice(1)];
+  }
+
+  /**
+   * @private
+   */
+  authenticate(ctx, collection) {
+    const { username, password } = ctx.auth;
+    const service = collection.find(s => s["identifier"] === username);
+    if (!service || (password && service["secretKey"] !== password)) {
+      throw new HTTPError(401, "Service for credentials not found.");
+    }
+    return { service, authenticated: Boolean(password) };
+  }
+
+  /**
+   * @private
+   */
+  findManager(identifier) {
+    const manager = this.db.managers.find(m => m["identifier"] === identifier);
+    if (!manager) {
+      throw new DaisyValidationError(`Unknown manager: ${identifier}`);
+    }
+    return manager;
+  }
+
+  /**
+   * @private
+   */
+  findPlan(id) {
+    for (const manager of this.db.managers) {
+      const plan = manager.plans.find(p => p["id"] === id);
+      if (plan) {
+        return { manager, plan };
+      }
+    }
+    throw new DaisyValidationError(`Unknown plan: ${id}`);
+  }
+
+  /**
+   * @private
+   */
+  findSubscription(daisyId) {
+    const subscription = this.db.subscriptions.find(
+      s => s["daisyId"] === daisyId
+    );
+    if (!subscription) {
+      throw new DaisyValidationError(`Unknown subscription: ${daisyId}`);
+    }
+    return subscription;
+  }
+
+  /**
+   * @private
+   */
+  findPaymentGroup(identifier) {
+    const group = this.db.paymentGroups.find(
+      g => g["identifier"] === identifier
+    );
+    if (!group) {
+      throw new DaisyValidationError(`Unknown payment group: ${identifier}`);
+    }
+    return group;
+  }
+
+  /**
+   * @private
+   */
+  findInvoice(identifier) {
+    const invoice = this.db.invoices.find(
+      i => i["identifier"] === identifier || same(i["address"], identifier)
+    );
+    if (!invoice) {
+      throw new DaisyValidationError(`Unknown invoice: ${identifier}`);
+    }
+    return invoice;
+  }
+
+  /**
+   * @private
+   */
+  subscriptionsOf(manager) {
+    const ids = manager.plans.map(plan => plan["id"]);
+    return this.db.subscriptions.filter(s => ids.includes(s["plan"]["id"]));
+  }
+
+  /**
+   * @private
+   */
+  ownSubscription(ctx, predicate) {
+    const { service } = this.authenticate(ctx, this.db.managers);
+    const subscription = this.db.subscriptions.find(predicate);
+    if (!subscription) {
+      throw notFound("Subscription");
+    } else if (!this.subscriptionsOf(service).includes(subscription)) {
+      throw new HTTPError(403, "Forbidden");
+    }
+    return subscription;
+  }
+
+  /**
+   * @private
+   */
+  ownInvoice(ctx, predicate) {
+    const { service } = this.authenticate(ctx, this.db.paymentGroups);
+    const invoice = this.db.invoices.find(predicate);
+    if (!invoice) {
+      throw notFound("Invoice");
+    } else if (invoice.group !== service["identifier"]) {
+      throw new HTTPError(403, "Forbidden");
+    }
+    return invoice;
+  }
+
+  // Routes: subscriptions
+
+  getManager(ctx) {
+    const { service } = this.authenticate(ctx, this.db.managers);
+    return { body: { data: omitSecret(service) } };
+  }
+
+  listSubscriptions(ctx) {
+    const { service } = this.authenticate(ctx, this.db.managers);
+    const subscriptions = filterBy(this.subscriptionsOf(service), ctx.query, {
+      account: s => s["account"],
+      state: s => s["state"],
+      token: s => s["token"],
+      planId: s => s["plan"]["id"],
+    });
+    return { body: paginate(subscriptions, ctx.query) };
+  }
+
+  createSubscription(ctx) {
+    const { service } = this.authenticate(ctx, this.db.managers);
+    const { agreement, receipt, signature } = ctx.body;
+    if (!agreement || !agreement["subscription"] || !signature) {
+      throw new HTTPError(
+        400,
+        "Missing agreement or signature.",
+        "INVALID_INPUT"
+      );
+    }
+
+    const terms = agreement["subscription"];
+    const plan = service.plans.find(p => p["onChainId"] === terms["plan"]);
+    if (!plan) {
+      throw notFound("Plan");
+    }
+
+    const subscription = this.addSubscription(plan, {
+      account: terms["subscriber"],
+      token: terms["token"],
+      tokenAddress: terms["token"],
+      price: String(terms["price"]),
+      maxExecutions: String(terms["maxExecutions"]),
+      signature,
+      signatureExpiresAt: String(agreement["signatureExpiresAt"]),
+      txHash: receipt ? receipt["transactionHash"] || null : null,
+      state: SubscriptionState.PENDING,
+      startedAt: null,
+    });
+    return { status: 201, body: { data: subscription } };
+  }
+
+  cancelSubscription(ctx) {
+    const { agreement, signature } = ctx.body;
+    if (!agreement || !signature) {
+      throw new HTTPError(
+        400,
+        "Missing agreement or signature.",
+        "INVALID_INPUT"
+      );
+    }
+    const subscription = this.ownSubscription(ctx, s =>
+      same(s["onChainId"], agreement["subscriptionId"])
+    );
+    if (!canCancel(subscription)) {
+      throw new HTTPError(
+        400,
+        "Only active subscriptions can be cancelled.",
+        "INVALID_STATE"
+      );
+    }
+    Object.assign(subscription, {
+      cancelState: CancelState.PENDING,
+      updatedAt: new Date().toISOString(),
+    });
+    return { body: { data: subscription } };
+  }
+
+  getSubscription(ctx, daisyId) {
+    const subscription = this.ownSubscription(
+      ctx,
+      s => s["daisyId"] === daisyId
+    );
+    return { body: { data: subscription } };
+  }
+
+  getSubscriptionByHash(ctx, onChainId) {
+    const subscription = this.ownSubscription(ctx, s =>
+      same(s["onChainId"], onChainId)
+    );
+    return { body: { data: subscription } };
+  }
+
+  getReceipts(ctx, daisyId) {
+    const subscription = this.ownSubscription(
+      ctx,
+      s => s["daisyId"] === daisyId
+    );
+    return { body: { data: this.db.receipts[subscription["daisyId"]] } };
+  }
+
+  getReceiptsByHash(ctx, onChainId) {
+    const subscription = this.ownSubscription(ctx, s =>
+      same(s["onChainId"], onChainId)
+    );
+    return { body: { data: this.db.receipts[subscription["daisyId"]] } };
+  }
+
+  createInvitation(ctx, planId) {
+    const { service, authenticated } = this.authenticate(ctx, this.db.managers);
+    const plan = service.plans.find(p => p["id"] === planId);
+    if (!authenticated || !plan) {
+      throw new HTTPError(403, "Not in an organization.");
+    }
+
+    const params = ctx.body;
+    const invitation = fixtures.invitation({
+      active: params["active"] !== undefined ? params["active"] : true,
+      maxUsages: Number(params["maxUsages"]) || 0,
+      callbackExtra: params["webhooksExtra"] || null,
+      redirectURLDefault: params["redirectURL"] || null,
+      cancelURL: params["cancelURL"] || null,
+      freeTrialPeriods: params["freeTrialPeriods"] || "0",
+      freeTrialPeriodsUnit: params["freeTrialPeriodsUnit"] || "MONTH",
+      plan: { id: plan["id"] },
+    });
+    this.db.invitations.push(invitation);
+    return { status: 201, body: { data: invitation } };
+  }
+
+  // Routes: payments
+
+  getPaymentGroup(ctx) {
+    const { service } = this.authenticate(ctx, this.db.paymentGroups);
+    return { body: { data: omitSecret(service) } };
+  }
+
+  createInvoice(ctx) {
+    const { service, authenticated } = this.authenticate(
+      ctx,
+      this.db.paymentGroups
+    );
+    if (!authenticated) {
+      throw new HTTPError(403, "Not in an organization.");
+    } else if (!ctx.body["invoicedPrice"]) {
+      throw new HTTPError(400, "Missing invoicedPrice.", "INVALID_INPUT");
+    }
+
+    const invoice = this.addInvoice(service, {
+      ...ctx.body,
+      state: InvoiceState.PENDING,
+      amountPaid: "0",
+    });
+    return { status: 201, body: { data: invoice } };
+  }
+
+  listInvoices(ctx) {
+    const { service } = this.authenticate(ctx, this.db.paymentGroups);
+    const invoices = filterBy(
+      this.db.invoices.filter(i => i.group === service["identifier"]),
+      ctx.query,
+      { state: i => i["state"] }
+    );
+    return { body: paginate(invoices, ctx.query) };
+  }
+
+  getInvoice(ctx, identifier) {
+    const invoice = this.ownInvoice(ctx, i => i["identifier"] === identifier);
+    return { body: { data: invoice } };
+  }
+
+  getInvoiceByAddress(ctx, address) {
+    const invoice = this.ownInvoice(ctx, i => same(i["address"], address));
+    return { body: { data: invoice } };
+  }
+
+  getPaymentReceipts(ctx, identifier) {
+    const invoice = this.ownInvoice(ctx, i => i["identifier"] === identifier);
+    return { body: { data: this.db.paymentReceipts[invoice["identifier"]] } };
+  }
+
+  getPaymentReceiptsByAddress(ctx, address) {
+    const invoice = this.ownInvoice(ctx, i => same(i["address"], address));
+    return { body: { data: this.db.paymentReceipts[invoice["identifier"]] } };
+  }
+
+  listTokens(ctx) {
+    const search = (ctx.query.get("query") || "").toLowerCase();
+    const tokens = this.db.tokens.filter(token =>
+      ["name", "symbol", "address"].some(field =>
+        String(token[field])
+          .toLowerCase()
+          .includes(search)
+      )
+    );
+    return { body: { data: tokens } };
+  }
+
+  getToken(ctx, symbol) {
+    const token = this.db.tokens.find(t => same(t["symbol"], symbol));
+    if (!token) {
+      throw notFound("Token");
+    }
+    return { body: { data: token } };
+  }
+}
+
+MockDaisyAPI.Headers = MockHeaders;
+MockDaisyAPI.Response = MockResponse;
+
+module.exports = MockDaisyAPI;
@@ -1,9 +1,12 @@
 /* eslint lodash/prefer-lodash-typecheck:0 */
 
 const crypto = require("crypto");
+const { DaisyWebhookError, DaisyValidationError } = require("../common/errors");
+
+const DEFAULT_TOLERANCE = 5 * 60 * 1000; // 5 minutes in milliseconds
 
 function isObject(something) {
-  return typeof something === "object";
+  return something !== null && typeof something === "object";
 }
 
 function sort(obj) {
@@ -21,15 +24,24 @@ function sort(obj) {
     }, {});
 }
 
+/**
+ * Canonical form of a message, the signature is computed over this string.
+ * @param {Object|string} message
+ * @returns {string}
+ */
+function canonicalize(message) {
+  return isObject(message) ? JSON.stringify(sort(message)) : message;
+}
+
+exports.canonicalize = canonicalize;
+
 exports.verify = function verify({
   message,
   digest,
   publicKey,
   algorithm,
 } = {}) {
-  const deterministic = isObject(message)
-    ? JSON.stringify(sort(message))
-    : message;
+  const deterministic = canonicalize(message);
 
   const verifier = crypto.createVerify(algorithm || "RSA-SHA256");
   verifier.update(deterministic);
@@ -37,3 +49,257 @@ exports.verify = function verify({
 
   return verifier.verify(publicKey, digest, "base64");
 };
+
+/**
+ * Sign a message the same way Daisy does. Useful to test webhook endpoints.
+ * @param {Object} input
+ * @param {Object|string} input.message - Webhook message.
+ * @param {string} input.privateKey - PEM private key, see {@link generateKeyPair}.
+ * @param {string} [input.algorithm="RSA-SHA256"]
+ * @returns {string} - Base64 digest, accepted by {@link verify}.
+ *
+ * @example
+ *
+ * const { publicKey, privateKey } = generateKeyPair();
+ * const digest = sign({ message, privateKey });
+ * verify({ message, digest, publicKey }); // true
+ */
+exports.sign = function sign({ message, privateKey, algorithm } = {}) {
+  const signer = crypto.createSign(algorithm || "RSA-SHA256");
+  signer.update(canonicalize(message));
+  signer.end();
+
+  return signer.sign(privateKey, "base64");
+};
+
+/**
+ * Generate a RSA keypair in PEM format to sign and verify test webhooks.
+ * @param {Object} [opts={}]
+ * @param {number} [opts.modulusLength=2048]
+ * @returns {{ publicKey: string, privateKey: string }}
+ */
+exports.generateKeyPair = function generateKeyPair({
+  modulusLength = 2048,
+} = {}) {
+  return crypto.generateKeyPairSync("rsa", {
+    modulusLength,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  });
+};
+
+/**
+ * Store used to remember processed webhook ids. Implement this interface to
+ * share the state between processes, for example with Redis
+ * (`SET key 1 NX PX ttl`) or a SQL table with an unique index.
+ * @typedef {Object} ReplayStore
+ * @property {Function} remember - `(id, ttl) => Promise<boolean>`. Atomically save the id for `ttl` milliseconds (`Infinity` to keep it forever). Resolves `false` if it was already stored.
+ * @property {Function} forget - `(id) => Promise`. Remove the id, called when the event could not be processed so it can be retried.
+ */
+
+/**
+ * In-memory {@link ReplayStore}. Only suitable for a single process, and it forgets
+ * everything on restart: it can not be used with `tolerance: 0`.
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map(); // id -> expiration timestamp
+  }
+
+  prune(now = Date.now()) {
+    for (const [id, expiresAt] of this.entries) {
+      if (expiresAt <= now) {
+        this.entries.delete(id);
+      }
+    }
+  }
+
+  remember(id, ttl) {
+    const now = Date.now();
+    this.prune(now);
+    if (this.entries.has(id)) {
+      return Promise.resolve(false);
+    }
+    this.entries.set(id, now + ttl);
+    return Promise.resolve(true);
+  }
+
+  forget(id) {
+    this.entries.delete(id);
+    return Promise.resolve();
+  }
+}
+
+exports.MemoryStore = MemoryStore;
+exports.DEFAULT_TOLERANCE = DEFAULT_TOLERANCE;
+
+function getTimestamp(message) {
+  const value = message["timestamp"] || message["createdAt"];
+  if (!value) {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isNaN(number)) {
+    // Seconds (blockchain style) or milliseconds.
+    return number < 1e12 ? number * 1000 : number;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date;
+}
+
+exports.getTimestamp = getTimestamp;
+
+/**
+ * Key of a message in the {@link ReplayStore}: its id, or its signature for messages without id.
+ * @param {Object} message - Parsed webhook message.
+ * @param {string} digest - Base64 signature.
+ * @returns {string}
+ */
+function replayKey(message, digest) {
+  return message["id"] || message["eventId"] || `digest:${digest}`;
+}
+
+exports.replayKey = replayKey;
+
+/**
+ * Parse a raw webhook body.
+ * @param {string|Buffer} body - Raw body.
+ * @returns {Object}
+ * @throws {DaisyWebhookError} With reason `INVALID_PAYLOAD`.
+ */
+function parseBody(body) {
+  try {
+    return JSON.parse(body.toString("utf8"));
+  } catch (error) {
+    throw new DaisyWebhookError("Webhook body is not valid JSON.", {
+      reason: "INVALID_PAYLOAD",
+    });
+  }
+}
+
+exports.parseBody = parseBody;
+
+/**
+ * Check the message timestamp is inside the tolerance window.
+ * @param {Object} message - Webhook message.
+ * @param {Object} [opts={}]
+ * @param {number} [opts.tolerance=300000] - Milliseconds. Set to `0` to disable.
+ * @param {boolean} [opts.requireTimestamp=false] - Reject messages without `timestamp`.
+ * @param {number} [opts.now=Date.now()] - Current time in milliseconds.
+ * @throws {DaisyWebhookError} With reason `STALE_TIMESTAMP`.
+ */
+exports.checkTimestamp = function checkTimestamp(
+  message,
+  { tolerance = DEFAULT_TOLERANCE, requireTimestamp = false, now } = {}
+) {
+  if (!tolerance) {
+    return;
+  }
+  const timestamp = getTimestamp(message);
+  if (timestamp === null) {
+    if (requireTimestamp) {
+      throw new DaisyWebhookError("Webhook is missing its timestamp.", {
+        reason: "STALE_TIMESTAMP",
+      });
+    }
+    return;
+  }
+  const age = Math.abs((now || Date.now()) - timestamp);
+  if (age > tolerance) {
+    throw new DaisyWebhookError(
+      `Webhook timestamp is outside the tolerance of ${tolerance}ms.`,
+      { reason: "STALE_TIMESTAMP" }
+    );
+  }
+};
+
+/**
+ * Verify the signature, the timestamp and that the message was not processed before.
+ *
+ * Messages need an `id` (or `eventId`) or a timestamp. Messages without id are remembered by
+ * their signature. Ids are kept twice the `tolerance`, or forever with `tolerance: 0`, which
+ * requires a persistent `store` (not a {@link MemoryStore}). Ids of messages without timestamp
+ * are also kept forever, use `requireTimestamp` to reject them instead.
+ * @async
+ * @param {Object} input
+ * @param {Object|string|Buffer} input.message - Webhook message or raw body.
+ * @param {string} input.digest - Base64 signature.
+ * @param {string} input.publicKey - `DAISY_CALLBACK_PUBLIC_KEY`.
+ * @param {string} [input.algorithm="RSA-SHA256"]
+ * @param {number} [input.tolerance=300000] - Max age of the message in milliseconds. Set to `0` to disable, only with a persistent `store`.
+ * @param {boolean} [input.requireTimestamp=false] - Reject messages without `timestamp`.
+ * @param {ReplayStore} [input.store] - Where processed ids are remembered. Replays are not checked if missing.
+ * @returns {Promise<Object>} - Resolves to the parsed message.
+ * @throws {DaisyWebhookError} With reason `INVALID_PAYLOAD`, `INVALID_SIGNATURE`, `STALE_TIMESTAMP` or `REPLAYED`.
+ * @throws {module:common~DaisyValidationError} With `tolerance: 0` and no persistent `store`.
+ *
+ * @example
+ *
+ * const store = new MemoryStore();
+ * const message = await verifyEvent({
+ *   message: req.body, // raw Buffer
+ *   digest: req.get("x-daisy-signature"),
+ *   publicKey: process.env.DAISY_CALLBACK_PUBLIC_KEY,
+ *   store,
+ * });
+ */
+exports.verifyEvent = function verifyEvent({
+  message,
+  digest,
+  publicKey,
+  algorithm,
+  tolerance = DEFAULT_TOLERANCE,
+  requireTimestamp = false,
+  store,
+} = {}) {
+  try {
+    if (!tolerance && (!store || store instanceof MemoryStore)) {
+      throw new DaisyValidationError(
+        "`tolerance: 0` needs a persistent `store`, otherwise old webhooks can be replayed."
+      );
+    }
+    const parsed =
+      Buffer.isBuffer(message) || typeof message === "string"
+        ? parseBody(message)
+        : message;
+    if (!isObject(parsed)) {
+      throw new DaisyWebhookError("Webhook body is not a JSON object.", {
+        reason: "INVALID_PAYLOAD",
+      });
+    }
+    if (
+      !digest ||
+      !exports.verify({ message: parsed, digest, publicKey, algorithm })
+    ) {
+      throw new DaisyWebhookError("Invalid webhook signature.", {
+        reason: "INVALID_SIGNATURE",
+      });
+    }
+    exports.checkTimestamp(parsed, { tolerance, requireTimestamp });
+
+    const key = replayKey(parsed, digest);
+    if (key.startsWith("digest:") && getTimestamp(parsed) === null) {
+      throw new DaisyWebhookError(
+        "Webhook has neither id nor timestamp, it can not be protected against replays.",
+        { reason: "INVALID_PAYLOAD" }
+      );
+    }
+    if (!store) {
+      return Promise.resolve(parsed);
+    }
+    // Older messages are rejected by the timestamp check. Without it, or for messages
+    // without timestamp, ids are kept forever.
+    const ttl =
+      tolerance && getTimestamp(parsed) !== null ? tolerance * 2 : Infinity;
+    return Promise.resolve(store.remember(key, ttl)).then(isNew => {
+      if (!isNew) {
+        throw new DaisyWebhookError(`Webhook ${key} was already processed.`, {
+          reason: "REPLAYED",
+        });
+      }
+      return parsed;
+    });
+  } catch (error) {
+    return Promise.reject(error);
+  }
+};
@@ -23,6 +23,8 @@ export default {
     resolve(),
     commonjs({
       include: ["contracts/**", "common/**", "node_modules/**"],
+      // Node fallback of `getRandomValues`, browsers have `window.crypto`.
+      ignore: ["crypto"],
     }),
     babel({
       exclude: "node_modules/**",